@@ -0,0 +1,562 @@
+'use strict'
+var http = require('http')
+  , url = require('url')
+  , crypto = require('crypto')
+  , debug = require('debug')('lobbysim:admin-api')
+  , assign = require('object-assign')
+  , parseSteamID = require('./steam-id').parse
+
+/**
+ * Options to the AdminAPI
+ * @typedef {Object} AdminAPI~Options
+ * @property {string} token - The token clients have to send as `Authorization: Bearer <token>`
+ * @property {number} [port=8080] - The port to listen on
+ * @property {string} [host='127.0.0.1'] - The address to listen on
+ * @property {string} [moderator='admin-api'] - The name drawings opened, closed and rerolled through the API are recorded with
+ * @property {number} [maxBodySize=16384] - The largest request body to accept (in bytes)
+ */
+
+/**
+ * An error that is sent to the client
+ * @property {number} statusCode - The HTTP status code
+ */
+class AdminAPIError extends Error {
+  /**
+   * Create an API error
+   * @param {number} statusCode - The HTTP status code
+   * @param {string} message - A description of the error
+   */
+  constructor(statusCode, message) {
+    super(message)
+    this.name = 'AdminAPIError'
+    this.statusCode = statusCode
+  }
+}
+
+// The status codes of the ways changing a channel can fail (see LobbySim.ChannelError)
+var CHANNEL_ERROR_STATUS = {
+  invalid: 400
+, unknown: 404
+, exists: 409
+, busy: 409
+}
+
+/**
+ * Compare two tokens without leaking how much of them matched through the time it takes
+ * @param {string} a - The first token
+ * @param {string} b - The second token
+ * @return {boolean}
+ */
+function sameToken(a, b) {
+  let hash = value => crypto.createHash('sha256').update(String(value)).digest()
+  let x = hash(a)
+    , y = hash(b)
+    , diff = 0
+  for (let i = 0; i < x.length; i++) {
+    diff |= x[i] ^ y[i]
+  }
+  return diff === 0
+}
+
+/**
+ * Decode a part of a request path
+ * @param {string} part - The part, e.g. a channel name
+ * @return {string} - The decoded part. Throws an AdminAPIError if it isn't encoded correctly.
+ */
+function decodePathPart(part) {
+  try {
+    return decodeURIComponent(part)
+  } catch (err) {
+    throw new AdminAPIError(400, `${part} isn't encoded correctly`)
+  }
+}
+
+/**
+ * A JSON API over HTTP to control a LobbySim from scripts and stream decks.
+ * Every request needs the configured token. Drawings are opened, closed and
+ * rerolled through the same LobbySim methods the chat commands use.
+ *
+ * Channels are named without the # in paths, e.g. /channels/jazzpi.
+ */
+class AdminAPI {
+  /**
+   * Create an admin API
+   * @param {LobbySim} lobbySim - The bot to control
+   * @param {AdminAPI~Options} options - The options for the API
+   */
+  constructor(lobbySim, options) {
+    if (!options || !options.token) {
+      throw new Error('The admin API needs a token')
+    }
+    this.lobbySim = lobbySim
+    this.options = assign({
+      port: 8080
+    , host: '127.0.0.1'
+    , moderator: 'admin-api'
+    , maxBodySize: 16 * 1024
+    }, options)
+    this.routes = [
+      ['GET', /^\/channels$/, this.listChannels]
+    , ['GET', /^\/channels\/([^\/]+)$/, this.getChannel]
+    , ['PUT', /^\/channels\/([^\/]+)$/, this.putChannel, {newChannel: true}]
+    , ['PATCH', /^\/channels\/([^\/]+)$/, this.patchChannel]
+    , ['DELETE', /^\/channels\/([^\/]+)$/, this.deleteChannel]
+    , ['GET', /^\/channels\/([^\/]+)\/drawing$/, this.getCurrentDrawing]
+    , ['POST', /^\/channels\/([^\/]+)\/drawing\/open$/, this.openDrawing]
+    , ['POST', /^\/channels\/([^\/]+)\/drawing\/close$/, this.closeDrawing]
+    , ['POST', /^\/channels\/([^\/]+)\/drawing\/reroll$/, this.rerollDrawing]
+    , ['GET', /^\/channels\/([^\/]+)\/allowed-members$/, this.getAllowedMembers]
+    , ['PUT', /^\/channels\/([^\/]+)\/allowed-members\/([^\/]+)$/, this.allowMember]
+    , ['DELETE', /^\/channels\/([^\/]+)\/allowed-members\/([^\/]+)$/, this.removeMember]
+    , ['GET', /^\/drawings\/(\d+)$/, this.getDrawing]
+    ]
+    this.server = http.createServer(this._handleRequest.bind(this))
+  }
+
+  /**
+   * Start listening
+   * @return {Promise.<string>} - The base URL of the API
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.removeListener('error', reject)
+        let address = this.server.address()
+        debug(`Listening on ${address.address}:${address.port}`)
+        resolve(`http://${address.address}:${address.port}`)
+      })
+    })
+  }
+
+  /**
+   * Stop listening
+   * @return {Promise}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()))
+  }
+
+  /**
+   * GET /channels: every channel with its Steam chat and drawing
+   * @return {Array.<Object>}
+   */
+  listChannels() {
+    return Object.keys(this.lobbySim.config.channels).map(channel => this._channelState(channel))
+  }
+
+  /**
+   * GET /channels/:channel: a channel with its Steam chat and drawing
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @return {Object}
+   */
+  getChannel(req, channel) {
+    return this._channelState(channel)
+  }
+
+  /**
+   * PUT /channels/:channel with the settings of the channel: add the channel,
+   * or replace all its settings if it exists
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @return {Promise.<Object>} - The channel
+   */
+  putChannel(req, channel) {
+    let changed
+    if (this.lobbySim.config.channels.hasOwnProperty(channel)) {
+      let changes = {}
+      Object.keys(this.lobbySim.config.channels[channel]).forEach(setting => {
+        changes[setting] = null
+      })
+      changed = this.lobbySim.updateChannel(channel, assign(changes, req.body), this.options.moderator)
+    } else {
+      changed = this.lobbySim.addChannel(channel, req.body, this.options.moderator)
+    }
+    return changed
+      .then(() => this._channelState(channel))
+      .catch(this._channelError)
+  }
+
+  /**
+   * PATCH /channels/:channel with the settings to change (null removes a setting)
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @return {Promise.<Object>} - The channel
+   */
+  patchChannel(req, channel) {
+    return this.lobbySim.updateChannel(channel, req.body, this.options.moderator)
+      .then(() => this._channelState(channel))
+      .catch(this._channelError)
+  }
+
+  /**
+   * DELETE /channels/:channel: remove the channel
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @return {Promise.<Object>} - `{removed: <channel>}`
+   */
+  deleteChannel(req, channel) {
+    return this.lobbySim.removeChannel(channel, this.options.moderator)
+      .then(() => ({removed: channel}))
+      .catch(this._channelError)
+  }
+
+  /**
+   * GET /channels/:channel/drawing: the current (or last) drawing of a channel
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @return {Object}
+   */
+  getCurrentDrawing(req, channel) {
+    return this._drawingState(channel)
+  }
+
+  /**
+   * POST /channels/:channel/drawing/open with an optional `duration` (in
+   * seconds), `winners`, `minRating`, `maxRating` and `ratingMode`
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @return {Promise.<Object>} - The new drawing
+   */
+  openDrawing(req, channel) {
+    let body = req.body
+    if (this.lobbySim.drawings[channel].open) {
+      throw new AdminAPIError(409, `There already is an open drawing in ${channel}`)
+    }
+    let options = {}
+    if (body.duration !== undefined) {
+      if (!(body.duration > 0 && body.winners > 0 && body.winners % 1 === 0)) {
+        throw new AdminAPIError(400, 'Timed drawings need a positive duration (in seconds) and number of winners')
+      }
+      options.duration = body.duration * 1000
+      options.nWinners = body.winners
+    }
+    for (let name of ['minRating', 'maxRating']) {
+      if (body[name] !== undefined && body[name] !== null && !(typeof body[name] === 'number' && body[name] >= 0)) {
+        throw new AdminAPIError(400, `${name} has to be a number`)
+      }
+      if (body[name] !== undefined) {
+        options[name] = body[name]
+      }
+    }
+    if (body.ratingMode !== undefined) {
+      if (body.ratingMode !== '1v1' && body.ratingMode !== 'team') {
+        throw new AdminAPIError(400, 'ratingMode has to be \'1v1\' or \'team\'')
+      }
+      options.ratingMode = body.ratingMode
+    }
+    return this.lobbySim.openDrawing(channel, this.options.moderator, options)
+      .then(() => this._drawingState(channel))
+  }
+
+  /**
+   * POST /channels/:channel/drawing/close with the number of `winners`
+   * (optional for timed drawings)
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @return {Promise.<Object>} - The closed drawing
+   */
+  closeDrawing(req, channel) {
+    let drawing = this.lobbySim.drawings[channel]
+    let winners = req.body.winners
+    if (!drawing.open) {
+      throw new AdminAPIError(409, `There is no open drawing in ${channel}`)
+    }
+    if (winners === undefined && drawing.winnerCount === null || winners !== undefined && !(winners >= 0 && winners % 1 === 0)) {
+      throw new AdminAPIError(400, 'winners has to be the number of winners to pick')
+    }
+    return this.lobbySim.closeDrawing(channel, this.options.moderator, winners)
+      .then(() => this._drawingState(channel))
+  }
+
+  /**
+   * POST /channels/:channel/drawing/reroll with the `winner` to replace
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @return {Promise.<Object>} - The rerolled `winner` and the `newWinner` (null if nobody was left)
+   */
+  rerollDrawing(req, channel) {
+    let winner = typeof req.body.winner === 'string' ? req.body.winner.toLowerCase() : null
+    if (winner === null) {
+      throw new AdminAPIError(400, 'winner has to be the name of a winner')
+    }
+    if (this.lobbySim.drawings[channel].winners.indexOf(winner) === -1) {
+      throw new AdminAPIError(404, `${winner} isn't a winner in ${channel}`)
+    }
+    return this.lobbySim.rerollDrawing(channel, this.options.moderator, winner)
+      .then(newWinner => ({winner: winner, newWinner: newWinner}))
+  }
+
+  /**
+   * GET /channels/:channel/allowed-members: SteamID64s of the users allowed in the channel's Steam chat
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @return {Array.<string>}
+   */
+  getAllowedMembers(req, channel) {
+    return this._chat(channel).allowedMembers.slice()
+  }
+
+  /**
+   * PUT /channels/:channel/allowed-members/:steamID: allow a user in the channel's Steam chat
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @param {string} target - SteamID of the user (in any format except custom URL names)
+   * @return {Array.<string>} - The allowed members
+   */
+  allowMember(req, channel, target) {
+    this.lobbySim.allowMember(this.lobbySim.config.channels[channel].chatID, this._steamID(target))
+    return this.getAllowedMembers(req, channel)
+  }
+
+  /**
+   * DELETE /channels/:channel/allowed-members/:steamID: stop allowing a user
+   * in the channel's Steam chat and kick them from it
+   * @param {Object} req - The request
+   * @param {string} channel - The channel
+   * @param {string} target - SteamID of the user (in any format except custom URL names)
+   * @return {Array.<string>} - The allowed members
+   */
+  removeMember(req, channel, target) {
+    let steamID = this._steamID(target)
+    if (!this.lobbySim.removeMember(this.lobbySim.config.channels[channel].chatID, steamID)) {
+      throw new AdminAPIError(409, `${steamID} is always allowed in the Steam chat of ${channel}`)
+    }
+    return this.getAllowedMembers(req, channel)
+  }
+
+  /**
+   * GET /drawings/:id: a drawing with its entrants, winners, rerolls and polls
+   * @param {Object} req - The request
+   * @param {string} id - ID of the drawing
+   * @return {Promise.<LobbySim~DrawingRecord>}
+   */
+  getDrawing(req, id) {
+    return this.lobbySim.getDrawing(parseInt(id, 10)).then(record => {
+      if (record === null) {
+        throw new AdminAPIError(404, `There is no drawing with ID ${id}`)
+      }
+      return record
+    })
+  }
+
+  /**
+   * Describe a channel
+   * @param {string} channel - The channel
+   * @return {Object}
+   * @private
+   */
+  _channelState(channel) {
+    let chat = this._chat(channel)
+    return {
+      channel: channel
+    , settings: this.lobbySim.config.channels[channel]
+    , chatID: this.lobbySim.config.channels[channel].chatID
+    , chatState: chat.state
+    , allowedMembers: chat.allowedMembers.slice()
+    , drawing: this._drawingState(channel)
+    }
+  }
+
+  /**
+   * Describe the current drawing of a channel
+   * @param {string} channel - The channel
+   * @return {Object}
+   * @private
+   */
+  _drawingState(channel) {
+    let drawing = this.lobbySim.drawings[channel]
+    let entrants = drawing.snapshot
+      .filter((username, i) => drawing.snapshot.indexOf(username) === i)
+      .map(username => ({
+        username: username
+      , tickets: drawing.snapshot.filter(entry => entry === username).length
+      }))
+    return {
+      id: drawing.id
+    , open: drawing.open
+    , moderator: drawing.moderator
+    , commitment: drawing.commitment
+    , seed: drawing.open ? null : drawing.seed
+    , closesAt: drawing.closesAt
+    , winnerCount: drawing.winnerCount
+    , minRating: drawing.minRating
+    , maxRating: drawing.maxRating
+    , ratingMode: drawing.ratingMode
+    , entrants: entrants
+    , winners: drawing.winners.slice()
+    , picks: drawing.picks.slice()
+    , teams: drawing.teams
+    , poll: drawing.poll === null ? null : {
+        topic: drawing.poll.topic
+      , options: drawing.poll.options
+      , votes: drawing.poll.votes
+      , endsAt: drawing.poll.endsAt
+      }
+    }
+  }
+
+  /**
+   * The Steam chat state of a channel
+   * @param {string} channel - The channel
+   * @return {Object}
+   * @private
+   */
+  _chat(channel) {
+    return this.lobbySim.channels[this.lobbySim.config.channels[channel].chatID]
+  }
+
+  /**
+   * Turn an error from changing a channel into the answer to the client
+   * @param {Error} err - The error
+   * @private
+   */
+  _channelError(err) {
+    // Not instanceof, since requiring index.js here would be circular
+    if (err.name === 'ChannelError' && CHANNEL_ERROR_STATUS.hasOwnProperty(err.code)) {
+      throw new AdminAPIError(CHANNEL_ERROR_STATUS[err.code], err.message)
+    }
+    throw err
+  }
+
+  /**
+   * Parse a SteamID from a path
+   * @param {string} target - The SteamID
+   * @return {string} - The SteamID64
+   * @private
+   */
+  _steamID(target) {
+    let parsed = parseSteamID(target)
+    if (parsed === null || parsed.steamID === undefined) {
+      throw new AdminAPIError(400, `${target} isn't a SteamID`)
+    }
+    return parsed.steamID
+  }
+
+  /**
+   * Handles a request to the server
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @private
+   */
+  _handleRequest(req, res) {
+    let path = url.parse(req.url).pathname.replace(/\/$/, '')
+    debug(`${req.method} ${path}`)
+    Promise.resolve().then(() => {
+      let auth = /^Bearer (.+)$/.exec(req.headers.authorization || '')
+      if (auth === null || !sameToken(auth[1], this.options.token)) {
+        throw new AdminAPIError(401, 'The token is missing or wrong')
+      }
+      let route = this._route(req.method, path)
+      return this._readBody(req).then(body => {
+        req.body = body
+        return route.handler.apply(this, [req].concat(route.args))
+      })
+    }).then(result => {
+      this._respond(res, 200, result)
+    }).catch(err => {
+      if (!(err instanceof AdminAPIError)) {
+        console.error(`Admin API request ${req.method} ${path} failed: ${err.stack || err}`)
+        err = new AdminAPIError(500, 'Internal error')
+      }
+      this._respond(res, err.statusCode, {error: err.message})
+    })
+  }
+
+  /**
+   * Find the handler for a request
+   * @param {string} method - The HTTP method
+   * @param {string} path - The path
+   * @return {Object} - The `handler` and its `args` from the path. Throws an AdminAPIError if there is none.
+   * @private
+   */
+  _route(method, path) {
+    let pathMatched = false
+    for (let route of this.routes) {
+      let match = route[1].exec(path)
+      if (match === null) {
+        continue
+      }
+      pathMatched = true
+      if (route[0] !== method) {
+        continue
+      }
+      let args = match.slice(1).map(decodePathPart)
+      if (path.indexOf('/channels/') === 0) {
+        // Channels are stored lowercase, like the chat layer names them
+        args[0] = `#${args[0].replace(/^#/, '').toLowerCase()}`
+        let newChannel = route[3] !== undefined && route[3].newChannel
+        if (!newChannel && !this.lobbySim.config.channels.hasOwnProperty(args[0])) {
+          throw new AdminAPIError(404, `There is no channel ${args[0]}`)
+        }
+      }
+      return {handler: route[2], args: args}
+    }
+    if (pathMatched) {
+      throw new AdminAPIError(405, `${method} isn't allowed on ${path}`)
+    }
+    throw new AdminAPIError(404, `There is nothing at ${path}`)
+  }
+
+  /**
+   * Read and parse the JSON body of a request
+   * @param {http.IncomingMessage} req - The request
+   * @return {Promise.<Object>} - The body, or an empty object if there is none
+   * @private
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      let chunks = []
+        , size = 0
+      req.on('data', chunk => {
+        size += chunk.length
+        if (size > this.options.maxBodySize) {
+          reject(new AdminAPIError(413, 'The request body is too large'))
+          req.destroy()
+          return
+        }
+        chunks.push(chunk)
+      })
+      req.on('end', () => {
+        let text = Buffer.concat(chunks).toString('utf8')
+        if (text.trim() === '') {
+          resolve({})
+          return
+        }
+        let body
+        try {
+          body = JSON.parse(text)
+        } catch (err) {
+          reject(new AdminAPIError(400, 'The request body isn\'t valid JSON'))
+          return
+        }
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new AdminAPIError(400, 'The request body has to be a JSON object'))
+          return
+        }
+        resolve(body)
+      })
+    })
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - The response
+   * @param {number} statusCode - The status code
+   * @param {*} body - The body
+   * @private
+   */
+  _respond(res, statusCode, body) {
+    let json = JSON.stringify(body)
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8'
+    , 'Content-Length': Buffer.byteLength(json)
+    })
+    res.end(json)
+  }
+}
+
+AdminAPI.AdminAPIError = AdminAPIError
+
+module.exports = AdminAPI
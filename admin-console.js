@@ -0,0 +1,398 @@
+'use strict'
+var readline = require('readline')
+  , EventEmitter = require('events')
+  , debug = require('debug')('lobbysim:admin-console')
+  , assign = require('object-assign')
+  , parseSteamID = require('./steam-id').parse
+  , parseOpenArgs = require('./index').parseOpenArgs
+
+/**
+ * Options to the AdminConsole
+ * @typedef {Object} AdminConsole~Options
+ * @property {stream.Readable} [input=process.stdin] - Where to read commands from
+ * @property {stream.Writable} [output=process.stdout] - Where to write answers to
+ * @property {string} [moderator='console'] - The name drawings opened, closed and rerolled on the console are recorded with
+ * @property {string} [prompt='lobbysim> '] - The prompt
+ */
+
+/**
+ * A command the operator can't run like that
+ * @property {string} message - What to tell the operator
+ */
+class AdminConsoleError extends Error {
+  /**
+   * Create a console error
+   * @param {string} message - What to tell the operator
+   */
+  constructor(message) {
+    super(message)
+    this.name = 'AdminConsoleError'
+  }
+}
+
+/**
+ * A REPL-style console for the operator running the bot. Channels can be
+ * given with or without the # and are completed with tab.
+ *
+ * Emits 'quit' when the operator quits or closes the input.
+ */
+class AdminConsole extends EventEmitter {
+  /**
+   * Create an admin console
+   * @param {LobbySim} lobbySim - The bot to control
+   * @param {AdminConsole~Options} [options] - The options for the console
+   */
+  constructor(lobbySim, options) {
+    super()
+    this.lobbySim = lobbySim
+    this.options = assign({
+      input: process.stdin
+    , output: process.stdout
+    , moderator: 'console'
+    , prompt: 'lobbysim> '
+    }, options)
+    this.rl = null
+    this.commands = {
+      help: {usage: 'help', description: 'Show this list', run: this.help}
+    , status: {usage: 'status', description: 'Show the state of the connections and servers', run: this.status}
+    , drawings: {usage: 'drawings', description: 'Show the drawing of every channel', run: this.drawings}
+    , open: {
+        usage: 'open <channel> [duration winners] [min=] [max=] [mode=]'
+      , description: 'Open a drawing, like !draw open'
+      , args: ['channel']
+      , run: this.open
+      }
+    , close: {usage: 'close <channel> [winners]', description: 'Close a drawing and pick winners', args: ['channel'], run: this.close}
+    , reroll: {
+        usage: 'reroll <channel> <winner>'
+      , description: 'Reroll and replace a winner'
+      , args: ['channel', 'winner']
+      , run: this.reroll
+      }
+    , allow: {
+        usage: 'allow <steamid> [channel]'
+      , description: 'Allow a user in the Steam chat of a channel (the channel is optional if there is only one)'
+      , args: ['steamid', 'channel']
+      , run: this.allow
+      }
+    , kick: {
+        usage: 'kick <steamid> [channel]'
+      , description: 'Kick a user from the Steam chat of a channel and stop allowing them in it'
+      , args: ['steamid', 'channel']
+      , run: this.kick
+      }
+    , say: {usage: 'say <channel> <message>', description: 'Say something in a channel', args: ['channel'], run: this.say}
+    , quit: {usage: 'quit', description: 'Stop the bot', run: this.quit}
+    }
+  }
+
+  /** Start reading commands */
+  start() {
+    this.rl = readline.createInterface({
+      input: this.options.input
+    , output: this.options.output
+    , completer: this.complete.bind(this)
+    })
+    this.rl.setPrompt(this.options.prompt)
+    this.rl.on('line', line => {
+      this.run(line).then(() => {
+        if (this.rl !== null) {
+          this.rl.prompt()
+        }
+      })
+    })
+    this.rl.on('close', () => {
+      this.rl = null
+      this.emit('quit')
+    })
+    this.rl.prompt()
+  }
+
+  /** Stop reading commands */
+  stop() {
+    if (this.rl !== null) {
+      this.rl.close()
+    }
+  }
+
+  /**
+   * Run a command line
+   * @param {string} line - The command and its arguments
+   * @return {Promise} - Resolves once the command is done. Never rejects.
+   */
+  run(line) {
+    let args = line.trim().split(/\s+/).filter(arg => arg !== '')
+    if (args.length === 0) {
+      return Promise.resolve()
+    }
+    let command = this.commands.hasOwnProperty(args[0]) ? this.commands[args[0]] : null
+    if (command === null) {
+      this._print(`Unknown command ${args[0]}. Type help for a list of commands.`)
+      return Promise.resolve()
+    }
+    debug(`Running ${line}`)
+    return Promise.resolve()
+      .then(() => command.run.call(this, args.slice(1), line))
+      .then(answer => {
+        if (answer !== undefined) {
+          this._print(answer)
+        }
+      })
+      .catch(err => {
+        if (err instanceof AdminConsoleError) {
+          this._print(err.message)
+          return
+        }
+        console.error(`${args[0]} failed: ${err.stack || err}`)
+      })
+  }
+
+  /**
+   * Complete a command line
+   * @param {string} line - The line up to the cursor
+   * @return {Array} - The completions and the part of the line they complete
+   */
+  complete(line) {
+    let words = line.split(/\s+/)
+    let word = words[words.length - 1]
+    let candidates
+    if (words.length === 1) {
+      candidates = Object.keys(this.commands)
+    } else {
+      let command = this.commands.hasOwnProperty(words[0]) ? this.commands[words[0]] : null
+      let type = command === null || !command.args ? null : command.args[words.length - 2]
+      if (type === 'channel') {
+        candidates = Object.keys(this.lobbySim.config.channels)
+          .concat(Object.keys(this.lobbySim.config.channels).map(channel => channel.replace(/^#/, '')))
+      } else if (type === 'winner') {
+        let channel = this._findChannel(words[1])
+        candidates = channel === null ? [] : this.lobbySim.drawings[channel].winners
+      } else {
+        candidates = []
+      }
+    }
+    let hits = candidates.filter(candidate => candidate.indexOf(word) === 0)
+    return [hits, word]
+  }
+
+  /**
+   * help: list the commands
+   * @return {string}
+   */
+  help() {
+    return Object.keys(this.commands)
+      .map(name => `${this.commands[name].usage} - ${this.commands[name].description}`)
+      .join('\n')
+  }
+
+  /**
+   * status: the state of the connections to the chat platforms and Steam
+   * @return {string}
+   */
+  status() {
+    let lobbySim = this.lobbySim
+    let lines = []
+    let states = status => typeof status === 'string' ? status :
+      Object.keys(status).map(name => `${name} ${status[name]}`).join(', ')
+    if (lobbySim.chat === null) {
+      lines.push('chat: not connected')
+    } else {
+      Object.keys(lobbySim.chat.adapters).forEach(platform => {
+        lines.push(`${platform}: ${states(lobbySim.chat.adapters[platform].connectionStatus)}`)
+      })
+    }
+    let steam = lobbySim.steamConnection
+    lines.push(`steam: ${steam === null ? 'not connected' :
+      steam.loggedOn ? 'logged on' : steam.connected ? 'connected, not logged on' : 'connecting'}`)
+    lines.push(`database: schema version ${lobbySim.schemaVersion}`)
+    lines.push(`admin API: ${lobbySim.adminAPI === null ? 'off' : 'on'}, overlay: ${lobbySim.overlay === null ? 'off' : 'on'}` +
+      `, webhooks: ${lobbySim.webhooks === null ? 0 : lobbySim.webhooks.hooks.length}`)
+    return lines.join('\n')
+  }
+
+  /**
+   * drawings: the drawing of every channel
+   * @return {string}
+   */
+  drawings() {
+    return Object.keys(this.lobbySim.drawings).map(channel => {
+      let drawing = this.lobbySim.drawings[channel]
+      if (drawing.id === null) {
+        return `${channel}: no drawing yet`
+      }
+      let entrants = drawing.snapshot.filter((entrant, i) => drawing.snapshot.indexOf(entrant) === i).length
+      if (drawing.open) {
+        let closes = drawing.closesAt === null ? '' :
+          `, closes in ${Math.max(0, Math.round((drawing.closesAt - (new Date).getTime()) / 1000))}s`
+        return `${channel}: drawing ${drawing.id} is open with ${entrants} entrants${closes}`
+      }
+      return `${channel}: drawing ${drawing.id} is closed, ${entrants} entrants, ` +
+        `winners: ${drawing.winners.join(', ') || 'none'}`
+    }).join('\n')
+  }
+
+  /**
+   * open <channel> [duration winners] [min=] [max=] [mode=]
+   * @param {Array.<string>} args - The arguments
+   * @return {Promise.<string>}
+   */
+  open(args) {
+    let channel = this._channel(args[0], 'open')
+    let options = parseOpenArgs(args.slice(1))
+    if (options === null) {
+      throw new AdminConsoleError(`Usage: ${this.commands.open.usage}`)
+    }
+    if (this.lobbySim.drawings[channel].open) {
+      throw new AdminConsoleError(`There already is an open drawing in ${channel}`)
+    }
+    return this.lobbySim.openDrawing(channel, this.options.moderator, options)
+      .then(() => `Opened drawing ${this.lobbySim.drawings[channel].id} in ${channel}`)
+  }
+
+  /**
+   * close <channel> [winners]
+   * @param {Array.<string>} args - The arguments
+   * @return {Promise.<string>}
+   */
+  close(args) {
+    let channel = this._channel(args[0], 'close')
+    let drawing = this.lobbySim.drawings[channel]
+    let winners = args[1] === undefined ? undefined : /^\d+$/.test(args[1]) ? parseInt(args[1], 10) : NaN
+    if (!drawing.open) {
+      throw new AdminConsoleError(`There is no open drawing in ${channel}`)
+    }
+    if (winners === undefined ? drawing.winnerCount === null : isNaN(winners)) {
+      throw new AdminConsoleError(`Usage: ${this.commands.close.usage} (winners is only optional for timed drawings)`)
+    }
+    return this.lobbySim.closeDrawing(channel, this.options.moderator, winners)
+      .then(() => `Closed drawing ${drawing.id} in ${channel}, winners: ${drawing.winners.join(', ') || 'none'}`)
+  }
+
+  /**
+   * reroll <channel> <winner>
+   * @param {Array.<string>} args - The arguments
+   * @return {Promise.<string>}
+   */
+  reroll(args) {
+    let channel = this._channel(args[0], 'reroll')
+    let winner = (args[1] || '').toLowerCase()
+    if (this.lobbySim.drawings[channel].winners.indexOf(winner) === -1) {
+      throw new AdminConsoleError(`${args[1] || 'Nobody'} isn't a winner in ${channel}`)
+    }
+    return this.lobbySim.rerollDrawing(channel, this.options.moderator, winner)
+      .then(newWinner => newWinner === null ?
+        `Removed ${winner}, nobody is left to replace them` :
+        `Replaced ${winner} with ${newWinner}`)
+  }
+
+  /**
+   * allow <steamid> [channel]
+   * @param {Array.<string>} args - The arguments
+   * @return {string}
+   */
+  allow(args) {
+    let steamID = this._steamID(args[0], 'allow')
+    let channel = this._channel(args[1], 'allow')
+    this.lobbySim.allowMember(this.lobbySim.config.channels[channel].chatID, steamID)
+    return `Allowed ${steamID} in the Steam chat of ${channel}`
+  }
+
+  /**
+   * kick <steamid> [channel]
+   * @param {Array.<string>} args - The arguments
+   * @return {string}
+   */
+  kick(args) {
+    let steamID = this._steamID(args[0], 'kick')
+    let channel = this._channel(args[1], 'kick')
+    if (!this.lobbySim.removeMember(this.lobbySim.config.channels[channel].chatID, steamID)) {
+      throw new AdminConsoleError(`${steamID} is always allowed in the Steam chat of ${channel}`)
+    }
+    return `Kicked ${steamID} from the Steam chat of ${channel}`
+  }
+
+  /**
+   * say <channel> <message>
+   * @param {Array.<string>} args - The arguments
+   * @param {string} line - The whole line, so the message keeps its spacing
+   * @return {string}
+   */
+  say(args, line) {
+    let channel = this._channel(args[0], 'say')
+    let message = line.trim().replace(/^say\s+\S+\s*/, '')
+    if (message === '') {
+      throw new AdminConsoleError(`Usage: ${this.commands.say.usage}`)
+    }
+    this.lobbySim.chat.say(channel, message)
+  }
+
+  /** quit: stop reading commands and tell the owner to stop the bot */
+  quit() {
+    this.stop()
+  }
+
+  /**
+   * Find a channel by its name with or without the #
+   * @param {string} [name] - The name
+   * @return {?string} - The channel, or null if there is no such channel
+   * @private
+   */
+  _findChannel(name) {
+    if (name === undefined) {
+      return null
+    }
+    let channel = `#${name.replace(/^#/, '').toLowerCase()}`
+    return this.lobbySim.config.channels.hasOwnProperty(channel) ? channel : null
+  }
+
+  /**
+   * The channel a command is about. It may be left out if there is only one.
+   * @param {string} [name] - The name the operator gave
+   * @param {string} command - Name of the command
+   * @return {string}
+   * @private
+   */
+  _channel(name, command) {
+    let channels = Object.keys(this.lobbySim.config.channels)
+    if (name === undefined && channels.length === 1) {
+      return channels[0]
+    }
+    let channel = this._findChannel(name)
+    if (channel === null) {
+      throw new AdminConsoleError(name === undefined ?
+        `Usage: ${this.commands[command].usage}` :
+        `There is no channel ${name}. Channels: ${channels.join(', ')}`)
+    }
+    return channel
+  }
+
+  /**
+   * Parse a SteamID the operator gave
+   * @param {string} [target] - The SteamID (in any format except custom URL names)
+   * @param {string} command - Name of the command
+   * @return {string} - The SteamID64
+   * @private
+   */
+  _steamID(target, command) {
+    let parsed = parseSteamID(target)
+    if (parsed === null || parsed.steamID === undefined) {
+      throw new AdminConsoleError(target === undefined ?
+        `Usage: ${this.commands[command].usage}` :
+        `${target} isn't a SteamID`)
+    }
+    return parsed.steamID
+  }
+
+  /**
+   * Write an answer to the output
+   * @param {string} text - The answer
+   * @private
+   */
+  _print(text) {
+    this.options.output.write(`${text}\n`)
+  }
+}
+
+AdminConsole.AdminConsoleError = AdminConsoleError
+
+module.exports = AdminConsole
@@ -0,0 +1,240 @@
+'use strict'
+var debug = require('debug')('lobbysim:chat-adapter')
+  , EventEmitter = require('events')
+  , Templates = require('./templates')
+
+/**
+ * A user who sent a message, in the same shape on every platform
+ * @typedef {Object} ChatAdapter~User
+ * @property {string} username - The name that identifies the user on the platform. Whispers are sent to it.
+ * @property {string} displayName - The name to show
+ * @property {string} level - One of ['staff', 'admin', 'broadcaster', 'mod', 'sub', 'user']
+ * @property {boolean} subscriber - Whether the user gets the subscriber multiplier
+ * @property {string} platform - The platform of the adapter the user came from (e.g. 'twitch')
+ */
+
+/**
+ * The base of the connections to chat platforms. It keeps the commands and
+ * checks who may execute them; platforms implement `say`, `whisper`,
+ * `joinChannel`, `leaveChannel`, `ownsUser` and, if they hold a connection,
+ * `close`, and pass the messages they receive to `_receive` and
+ * `_receiveWhisper`.
+ *
+ * Adapters emit 'connecting', 'logon', 'connected', 'disconnected' (with a
+ * reason and a function that reconnects) and 'reconnect', each with the name
+ * of the client that changed first.
+ */
+class ChatAdapter extends EventEmitter {
+  /**
+   * Create a chat adapter
+   * @param {string} platform - Name of the platform (e.g. 'twitch')
+   */
+  constructor(platform) {
+    super()
+    this.platform = platform
+    this.commands = {}
+    let templates = new Templates()
+    this._templatesFor = () => templates
+    this._levels = {
+      "user": 0
+    , "sub": 1
+    , "mod": 2
+    , "broadcaster": 3
+    , "admin": 4
+    , "staff": 5
+    }
+  }
+
+  /**
+   * Send a message on a channel
+   * @param {string} channel - Channel name
+   * @param {string} message  - Message
+   */
+  say(channel, message) {
+    throw new Error(`${this.platform} can't send messages`)
+  }
+
+  /**
+   * Send a whisper to a user
+   * @param {string} username - Username
+   * @param {string} message - Message
+   */
+  whisper(username, message) {
+    throw new Error(`${this.platform} can't send whispers`)
+  }
+
+  /**
+   * Start reading and sending messages on a channel
+   * @param {string} channel - Channel name
+   * @param {string} [id] - The ID of the channel on the platform, if it isn't the name (e.g. of a Discord channel)
+   */
+  joinChannel(channel, id) {
+    throw new Error(`${this.platform} can't join channels`)
+  }
+
+  /**
+   * Stop reading and sending messages on a channel
+   * @param {string} channel - Channel name
+   */
+  leaveChannel(channel) {
+    throw new Error(`${this.platform} can't leave channels`)
+  }
+
+  /**
+   * Checks if a username belongs to this platform
+   * @param {string} username - Username
+   * @return {boolean}
+   */
+  ownsUser(username) {
+    return false
+  }
+
+  /** Disconnect from the platform and stay disconnected */
+  close() {
+  }
+
+  /**
+   * Set where the default notAllowed and dontWhisper messages come from
+   * @param {Function} templatesFor - Called with the channel (undefined for whispers), returns the Templates to use
+   */
+  setTemplates(templatesFor) {
+    this._templatesFor = templatesFor
+  }
+
+  /**
+   * Checks if a user has at least a level, for commands with subcommands that need different levels
+   * @param {ChatAdapter~User} user - User object (as passed to command callbacks from chat)
+   * @param {string} level - One of ['staff', 'admin', 'broadcaster', 'mod', 'sub', 'user']
+   * @return {boolean}
+   */
+  hasLevel(user, level) {
+    return this._levels[user.level] >= this._levels[level]
+  }
+
+  /**
+   * Adds a command
+   * @param {string} call - The call for the command (e.g. !play)
+   * @param {Object} command - The command object
+   * @param {ChatAdapter~commandCallback} command.cb - The function to be called when the command is issued
+   * @param {string} - [command.requiredLevel='user'] - The user level required to call the command. One of ['staff', 'admin', 'broadcaster', 'mod', 'sub', 'user']
+   * @param {string} - [command.notAllowedMsg] - The message to display when the user isn't allowed to execute the command. Defaults to the notAllowed template
+   * @param {string} - [command.dontWhisperMsg] - The message to display when trying to execute the command by whisper and allowsWhisper is false. Defaults to the dontWhisper template
+   * @param {boolean} - [command.allowsWhisper=false] - Whether to allow executing the command by whisper. Always false if command.requiredLevel isn't 'user'
+   */
+  addCommand(call, command) {
+    command.call = call
+    command.requiredLevel = command.requiredLevel || 'user'
+    if (command.requiredLevel !== 'user') {
+      command.allowsWhisper = false
+    }
+    this.commands[call] = command
+    this.emit('add-command', call, command)
+  }
+  /**
+   * @callback ChatAdapter~commandCallback
+   * @param {string|ChatAdapter~User} user - User object (called from chat) or name (called from whisper)
+   * @param {Array} args - Space-separated arguments to the command
+   * @param {string} message - The message with which the command was called
+   * @param {string} [channel] - The channel from which the command was called (only present if called from chat)
+   */
+
+  /**
+   * Handles a message that was sent to a channel
+   * @param {ChatAdapter~User} user - The sender
+   * @param {string} message - Message received
+   * @param {string} channel - Channel the message was sent to
+   * @protected
+   */
+  _receive(user, message, channel) {
+    let _ret = this._matchCommand(user, message)
+    if (_ret === null) {
+      return
+    }
+    let command = _ret[0]
+      , allowed = _ret[1]
+      , args = _ret[2]
+    if (command !== undefined) {
+      if (allowed) {
+        command.cb(user, args, message, channel)
+      } else {
+        this._notAllowed(command, user, channel)
+      }
+    }
+  }
+
+  /**
+   * Handles a whisper that was sent to the bot
+   * @param {string} username - Username of the sender
+   * @param {string} message - Message received
+   * @protected
+   */
+  _receiveWhisper(username, message) {
+    let _ret = this._matchCommand(username, message)
+    if (_ret === null) {
+      return
+    }
+    let command = _ret[0]
+      , args = _ret[2]
+    if (command !== undefined) {
+      if (command.allowsWhisper) {
+        command.cb(username, args, message)
+      } else {
+        this._dontWhisper(command, username)
+      }
+    }
+  }
+
+  /**
+   * Tries to find a command that matches a message
+   * @param {string|ChatAdapter~User} user - User object or user name
+   * @param {string} message - Message received
+   * @private
+   */
+  _matchCommand(user, message) {
+    let _split = message.split(' ')
+    let command = this.commands[_split[0]]
+    if (command === undefined) {
+      return null
+    }
+    let allowed
+    if (typeof user === "object") {
+      let actual = this._levels[user.level]
+        , required = this._levels[command.requiredLevel]
+      allowed = actual >= required
+      debug(`${user.username} is ${allowed ? '' : 'not '}allowed to execute ${_split[0]} (required level is ${required}, actual is ${actual})`)
+    }
+    return [command, allowed, _split.slice(1)]
+  }
+
+  /**
+   * Sends a message if someone isn't allowed to execute a command.
+   * @param {Object} command - The command object
+   * @param {ChatAdapter~User} user - The user object
+   * @param {string} channel - Channel from which the command was called
+   * @private
+   */
+  _notAllowed(command, user, channel) {
+    if (command.notAllowedMsg !== undefined) {
+      this.whisper(user.username, command.notAllowedMsg)
+    } else {
+      this.whisper(user.username, this._templatesFor(channel).format('notAllowed', {command: command.call}))
+    }
+  }
+
+  /**
+   * Sends a message if a command isn't callable with whispers.
+   * @param {Object} command - The command object
+   * @param {string} username - Username
+   * @private
+   */
+  _dontWhisper(command, username) {
+    debug(`${username} can't execute ${command.call} by whisper`)
+    if (command.dontWhisperMsg !== undefined) {
+      this.whisper(username, command.dontWhisperMsg)
+    } else {
+      this.whisper(username, this._templatesFor().format('dontWhisper', {command: command.call}))
+    }
+  }
+}
+
+module.exports = ChatAdapter
@@ -1,10 +1,10 @@
 'use strict'
 var irc = require('tmi.js')
   , debug = require('debug')('lobbysim:chat-connection')
-  , EventEmitter = require('events')
+  , ChatAdapter = require('./chat-adapter')
 
 /** A connection to the Twitch chat */
-class ChatConnection extends EventEmitter {
+class ChatConnection extends ChatAdapter {
   /**
    * Create a chat connection
    * @param {Object} options - The options for the chat connection
@@ -13,18 +13,9 @@ class ChatConnection extends EventEmitter {
    * @param {Array} [options.channels] - An array of channels to join on startup
    */
   constructor(options) {
-    super()
-    options.channels = typeof options.channels ? options.channels : []
+    super('twitch')
+    options.channels = options.channels || []
     this.options = options
-    this.commands = {}
-    this._levels = {
-      "user": 0
-    , "sub": 1
-    , "mod": 2
-    , "broadcaster": 3
-    , "admin": 4
-    , "staff": 5
-    }
     this.connectionStatus = {
       chat: 'not connected'
     , group: 'not connected'
@@ -53,31 +44,54 @@ class ChatConnection extends EventEmitter {
   }
 
   /**
-   * Adds a command
-   * @param {string} call - The call for the command (e.g. !play)
-   * @param {Object} command - The command object
-   * @param {ChatConnection~commandCallback} command.cb - The function to be called when the command is issued
-   * @param {string} - [command.requiredLevel='user'] - The user level required to call the command. One of ['staff', 'admin', 'broadcaster', 'mod', 'sub', 'user']
-   * @param {string} - [command.notAllowedMsg=`You aren't allowed to executed ${command.call}`] - The message to display when the user isn't allowed to execute the command
-   * @param {string} - [command.dontWhisperMsg=`You can't execute ${command.call} by whisper`] - The message to display when trying to execute the command by whisper and allowsWhisper is false
-   * @param {boolean} - [command.allowsWhisper=false] - Whether to allow executing the command by whisper. Always false if command.requiredLevel isn't 'user'
+   * Join a Twitch channel. It is also joined again after reconnecting.
+   * @param {string} channel - Channel name
    */
-  addCommand(call, command) {
-    command.call = call
-    command.requiredLevel = command.requiredLevel || 'user'
-    if (command.requiredLevel !== 'user') {
-      command.allowsWhisper = false
+  joinChannel(channel) {
+    if (this.options.channels.indexOf(channel) !== -1) {
+      return
     }
-    this.commands[call] = command
-    this.emit('add-command', call, command)
+    this.options.channels.push(channel)
+    debug(`Joining ${channel}`)
+    Promise.resolve(this.chatClient.join(channel)).catch(err => {
+      // Channels are joined when the client (re)connects anyway
+      debug(`Couldn't join ${channel} right now: ${err}`)
+    })
   }
+
   /**
-   * @callback ChatConnection~commandCallback
-   * @param {string|Object} user - User object (called from chat) or name (called from whisper)
-   * @param {Array} args - Space-separated arguments to the command
-   * @param {string} message - The message with which the command was called
-   * @param {string} [channel] - The channel from which the command was called (only present if called from chat)
+   * Leave a Twitch channel
+   * @param {string} channel - Channel name
    */
+  leaveChannel(channel) {
+    let i = this.options.channels.indexOf(channel)
+    if (i === -1) {
+      return
+    }
+    this.options.channels.splice(i, 1)
+    debug(`Leaving ${channel}`)
+    Promise.resolve(this.chatClient.part(channel)).catch(err => {
+      debug(`Couldn't leave ${channel}: ${err}`)
+    })
+  }
+
+  /** Disconnect both clients and stay disconnected */
+  close() {
+    [this.chatClient, this.whisperClient].forEach(client => {
+      Promise.resolve(client.disconnect()).catch(err => {
+        debug(`Couldn't disconnect: ${err}`)
+      })
+    })
+  }
+
+  /**
+   * Checks if a username can be a Twitch username
+   * @param {string} username - Username
+   * @return {boolean}
+   */
+  ownsUser(username) {
+    return /^\w+$/.test(username)
+  }
 
   /**
    * Initializes the chat client
@@ -133,62 +147,10 @@ class ChatConnection extends EventEmitter {
     this.whisperClient.connect()
   }
 
-  /**
-   * Tries to find a command that matches a message
-   * @param {string|Object} user - User object or user name
-   * @param {string} message - Message received
-   * @param {string} [channel] - Channel from which the message was sent
-   * @private
-   */
-  _matchCommand(user, message, channel) {
-    let _split = message.split(' ')
-    let command = this.commands[_split[0]]
-    if (command === undefined) {
-      return null
-    }
-    let allowed
-    if (typeof user === "object") {
-      let actual = this._levels[user['user-type']]
-        , required = this._levels[command.requiredLevel]
-      allowed = actual >= required
-      debug(`${user.username} is ${allowed ? '' : 'not '}allowed to execute ${_split[0]} (required level is ${required}, actual is ${actual})`)
-    }
-    return [command, allowed, _split.slice(1)]
-  }
-
-  /**
-   * Sends a message if someone isn't allowed to execute a command.
-   * @param {Object} command - The command object
-   * @param {Object} user - The user object
-   * @private
-   */
-  _notAllowed(command, user) {
-    if (command.notAllowedMsg !== undefined) {
-      this.whisper(command.notAllowedMsg)
-    } else {
-      this.whisper(`You aren't allowed to execute ${command.call}`)
-    }
-  }
-
-  /**
-   * Sends a message if a command isn't callable with whispers.
-   * @param {Object} command - The command object
-   * @param {string} username - Username
-   * @private
-   */
-  _dontWhisper(command, username) {
-    debug(`${username} can't execute ${command.call} by whisper`)
-    if (command.dontWhisperMsg !== undefined) {
-      this.whisper(username, command.dontWhisperMsg)
-    } else {
-      this.whisper(username, `You can't execute ${command.call} by whisper`)
-    }
-  }
-
   /**
    * Handles a 'chat' event from the chat client
    * @param {string} channel - Channel name
-   * @param {Object} user - User object
+   * @param {Object} user - User object of tmi.js
    * @param {string} message - Message received
    * @param {boolean} self - Message was sent by the client
    * @private
@@ -198,29 +160,23 @@ class ChatConnection extends EventEmitter {
       return
     }
     debug(`Chat message fom ${user['display-name']} to ${channel}: ${message}`)
-    if (user['user-type'] === null) {
+    let level = user['user-type']
+    if (level === null) {
       if (user.subscriber) {
-        user['user-type'] = 'sub'
+        level = 'sub'
       } else if (user.username === channel.replace('#', '')) {
-        user['user-type'] = 'broadcaster'
-      } else {
-        user['user-type'] = 'user'
-      }
-    }
-    let _ret = this._matchCommand(user, message)
-    if (_ret === null) {
-      return
-    }
-    let command = _ret[0]
-      , allowed = _ret[1]
-      , args = _ret[2]
-    if (command !== undefined) {
-      if (allowed) {
-        command.cb(user, args, message, channel)
+        level = 'broadcaster'
       } else {
-        this._notAllowed(command, user)
+        level = 'user'
       }
     }
+    this._receive({
+      username: user.username
+    , displayName: user['display-name'] || user.username
+    , level: level
+    , subscriber: !!user.subscriber
+    , platform: this.platform
+    }, message, channel)
   }
 
   /**
@@ -231,20 +187,7 @@ class ChatConnection extends EventEmitter {
    */
   _handleWhisper(username, message) {
     debug(`Whisper fom ${username}: ${message}`)
-    let _ret = this._matchCommand(username, message)
-    if (_ret === null) {
-      return
-    }
-    let command = _ret[0]
-      , allowed = _ret[1]
-      , args = _ret[2]
-    if (command !== undefined) {
-      if (command.allowsWhisper) {
-        command.cb(username, args, message)
-      } else {
-        this._dontWhisper(command, username)
-      }
-    }
+    this._receiveWhisper(username, message)
   }
 
   /**
@@ -0,0 +1,190 @@
+'use strict'
+var steam = require('steam')
+  , debug = require('debug')('lobbysim:chat-invites')
+  , assign = require('object-assign')
+  , EventEmitter = require('events')
+
+/**
+ * Options to ChatInvites
+ * @typedef {Object} ChatInvites~Options
+ * @property {number} [requestTimeout=600000] - How long to wait for a friend request to be accepted (in ms)
+ */
+
+/**
+ * An invite that couldn't be sent
+ * @property {string} code - 'full' (a friend list is full), 'denied' (Steam didn't allow the request),
+ *   'timeout' (the friend request wasn't accepted in time) or 'failed'
+ */
+class InviteError extends Error {
+  /**
+   * Create an invite error
+   * @param {string} code - What went wrong
+   * @param {string} message - A description of the error
+   */
+  constructor(code, message) {
+    super(message)
+    this.name = 'InviteError'
+    this.code = code
+  }
+}
+
+/**
+ * Invites users to Steam group chats. Steam only delivers invites from
+ * friends, so users are added as friends first and the invite is sent once
+ * they accepted. Friends added this way can be removed again with release().
+ */
+class ChatInvites extends EventEmitter {
+  /**
+   * Create the invites for a Steam connection
+   * @param {SteamConnection} steamConnection - The logged in Steam connection
+   * @param {ChatInvites~Options} [options] - The options
+   */
+  constructor(steamConnection, options) {
+    super()
+    this.options = assign({
+      requestTimeout: 10 * 60 * 1000
+    }, options)
+    this.steamConnection = steamConnection
+    this.friends = steamConnection.friends
+    this.pending = {}
+    this.added = {}
+    steamConnection.on('addFriendResponse', this._handleAddFriendResponse.bind(this))
+    this.friends.on('friend', this._handleFriend.bind(this))
+  }
+
+  /**
+   * Invite a user to a chat, sending a friend request first if necessary
+   * @param {string} steamID - SteamID64 of the user
+   * @param {string} chatID - ID of the chat
+   * @return {Promise} - Resolves once the invite was sent, rejects with an InviteError
+   */
+  invite(steamID, chatID) {
+    if (this.friends.friends[steamID] === steam.EFriendRelationship.Friend) {
+      this._sendInvite(steamID, chatID)
+      return Promise.resolve()
+    }
+    if (this.pending.hasOwnProperty(steamID)) {
+      this.pending[steamID].chatID = chatID
+      return this.pending[steamID].promise
+    }
+    debug(`Sending a friend request to ${steamID}`)
+    let request = {chatID: chatID}
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve
+      request.reject = reject
+    })
+    request.timer = setTimeout(() => {
+      this.friends.removeFriend(steamID)
+      this._fail(steamID, new InviteError('timeout', `${steamID} didn't accept the friend request in time`))
+    }, this.options.requestTimeout)
+    this.pending[steamID] = request
+    this.added[steamID] = true
+    this.friends.addFriend(steamID)
+    this.emit('request', steamID)
+    return request.promise
+  }
+
+  /** Stop waiting for every friend request. The invites of users who accept later aren't sent. */
+  close() {
+    for (var steamID in this.pending) {
+      if (this.pending.hasOwnProperty(steamID)) {
+        clearTimeout(this.pending[steamID].timer)
+      }
+    }
+    this.pending = {}
+  }
+
+  /**
+   * Stop waiting for a friend request and remove a user the bot added as a friend
+   * @param {string} steamID - SteamID64 of the user
+   */
+  release(steamID) {
+    if (this.pending.hasOwnProperty(steamID)) {
+      clearTimeout(this.pending[steamID].timer)
+      delete this.pending[steamID]
+    }
+    if (this.added.hasOwnProperty(steamID)) {
+      debug(`Removing ${steamID} from the friends list`)
+      delete this.added[steamID]
+      this.friends.removeFriend(steamID)
+    }
+  }
+
+  /**
+   * Send the invite to a friend
+   * @param {string} steamID - SteamID64 of the user
+   * @param {string} chatID - ID of the chat
+   * @private
+   */
+  _sendInvite(steamID, chatID) {
+    debug(`Inviting ${steamID} to chat ${chatID}`)
+    this.friends.chatInvite(chatID, steamID)
+    this.emit('invite', steamID, chatID)
+  }
+
+  /**
+   * Reject a pending invite
+   * @param {string} steamID - SteamID64 of the user
+   * @param {InviteError} err - Why the invite couldn't be sent
+   * @private
+   */
+  _fail(steamID, err) {
+    let request = this.pending[steamID]
+    if (request === undefined) {
+      return
+    }
+    clearTimeout(request.timer)
+    delete this.pending[steamID]
+    delete this.added[steamID]
+    request.reject(err)
+  }
+
+  /**
+   * Handles an addFriendResponse event from the Steam connection
+   * @param {number} eresult - The result of the friend request
+   * @param {string} steamID - SteamID64 of the user
+   * @private
+   */
+  _handleAddFriendResponse(eresult, steamID) {
+    if (!this.pending.hasOwnProperty(steamID)) {
+      return
+    }
+    switch (eresult) {
+      case steam.EResult.OK:
+      case steam.EResult.DuplicateRequest:
+        debug(`Friend request to ${steamID} was sent`)
+        break
+      case steam.EResult.LimitExceeded:
+        this._fail(steamID, new InviteError('full', `Couldn't add ${steamID} as a friend: a friend list is full`))
+        break
+      case steam.EResult.AccessDenied:
+      case steam.EResult.Blocked:
+      case steam.EResult.Ignored:
+        this._fail(steamID, new InviteError('denied', `Steam didn't allow adding ${steamID} as a friend (${eresult})`))
+        break
+      default:
+        this._fail(steamID, new InviteError('failed', `Couldn't add ${steamID} as a friend (${eresult})`))
+    }
+  }
+
+  /**
+   * Handles a friend event from Steam
+   * @param {string} steamID - SteamID64 of the user
+   * @param {number} relationship - The new relationship
+   * @private
+   */
+  _handleFriend(steamID, relationship) {
+    let request = this.pending[steamID]
+    if (request === undefined || relationship !== steam.EFriendRelationship.Friend) {
+      return
+    }
+    clearTimeout(request.timer)
+    delete this.pending[steamID]
+    this._sendInvite(steamID, request.chatID)
+    request.resolve()
+  }
+}
+
+ChatInvites.InviteError = InviteError
+
+module.exports = ChatInvites
@@ -0,0 +1,128 @@
+'use strict'
+var debug = require('debug')('lobbysim:chat-router')
+
+/**
+ * Sends messages to the chat platform of a channel or user and registers
+ * commands on every platform, so LobbySim doesn't have to know where a
+ * channel is.
+ */
+class ChatRouter {
+  /**
+   * Create a chat router
+   * @param {Object.<string, ChatAdapter>} adapters - The adapters, by platform
+   * @param {Function} platformOf - Called with a channel, returns the platform it is on
+   */
+  constructor(adapters, platformOf) {
+    this.adapters = {}
+    this.platformOf = platformOf
+    this.commands = []
+    this.templatesFor = null
+    for (var platform in adapters) {
+      if (adapters.hasOwnProperty(platform)) {
+        this.addAdapter(platform, adapters[platform])
+      }
+    }
+  }
+
+  /**
+   * Route to another platform. The commands and templates that were already
+   * set on the router are set on its adapter, too.
+   * @param {string} platform - The platform (e.g. 'discord')
+   * @param {ChatAdapter} adapter - Its adapter
+   */
+  addAdapter(platform, adapter) {
+    this.adapters[platform] = adapter
+    this.commands.forEach(command => adapter.addCommand(command[0], command[1]))
+    if (this.templatesFor !== null) {
+      adapter.setTemplates(this.templatesFor)
+    }
+  }
+
+  /**
+   * Get the adapter of a platform
+   * @param {string} platform - The platform (e.g. 'twitch')
+   * @return {?ChatAdapter}
+   */
+  adapter(platform) {
+    return this.adapters.hasOwnProperty(platform) ? this.adapters[platform] : null
+  }
+
+  /**
+   * Send a message on a channel
+   * @param {string} channel - Channel name
+   * @param {string} message  - Message
+   */
+  say(channel, message) {
+    let adapter = this.adapter(this.platformOf(channel))
+    if (adapter === null) {
+      console.error(`Can't send a message to ${channel}, which isn't on a connected platform`)
+      return
+    }
+    adapter.say(channel, message)
+  }
+
+  /**
+   * Send a whisper to a user on the platform the username belongs to
+   * @param {string} username - Username
+   * @param {string} message - Message
+   */
+  whisper(username, message) {
+    for (var platform in this.adapters) {
+      if (this.adapters.hasOwnProperty(platform) && this.adapters[platform].ownsUser(username)) {
+        this.adapters[platform].whisper(username, message)
+        return
+      }
+    }
+    debug(`Not whispering to ${username}, who isn't on a connected platform: "${message}"`)
+  }
+
+  /**
+   * Checks if a user has at least a level
+   * @param {ChatAdapter~User} user - User object (as passed to command callbacks from chat)
+   * @param {string} level - One of ['staff', 'admin', 'broadcaster', 'mod', 'sub', 'user']
+   * @return {boolean}
+   */
+  hasLevel(user, level) {
+    let adapter = this.adapter(user.platform)
+    return adapter !== null && adapter.hasLevel(user, level)
+  }
+
+  /**
+   * Add a command on every platform
+   * @param {string} call - The call for the command (e.g. !play)
+   * @param {Object} command - The command object (see ChatAdapter#addCommand)
+   */
+  addCommand(call, command) {
+    this.commands.push([call, command])
+    this._each(adapter => adapter.addCommand(call, command))
+  }
+
+  /**
+   * Set where the default notAllowed and dontWhisper messages come from on every platform
+   * @param {Function} templatesFor - Called with the channel (undefined for whispers), returns the Templates to use
+   */
+  setTemplates(templatesFor) {
+    this.templatesFor = templatesFor
+    this._each(adapter => adapter.setTemplates(templatesFor))
+  }
+
+  /** Close the connections of every platform */
+  close() {
+    this._each(adapter => adapter.close())
+  }
+
+  /**
+   * Call a function with every adapter
+   * @param {Function} fn - Called with the adapter and the platform
+   * @private
+   */
+  _each(fn) {
+    for (var platform in this.adapters) {
+      if (this.adapters.hasOwnProperty(platform)) {
+        fn(this.adapters[platform], platform)
+      }
+    }
+  }
+}
+
+module.exports = ChatRouter
@@ -1,4 +1,28 @@
-var config = require('./config.json')
+var loadConfig = require('./config')
   , LobbySim = require('./index')
+  , AdminConsole = require('./admin-console')
+
+// node cli.js [--config <path>]
+var config
+try {
+  config = loadConfig.load(loadConfig.fromArgs(process.argv.slice(2)).file)
+} catch (err) {
+  if (!(err instanceof loadConfig.ConfigError)) {
+    throw err
+  }
+  console.error(err.message)
+  process.exit(2)
+}
 
 var lobbySimBot = new LobbySim(config)
+lobbySimBot.start().then(() => {
+  // Only offer the console when someone is at the terminal (not when running as a service)
+  if (process.stdin.isTTY) {
+    var adminConsole = new AdminConsole(lobbySimBot)
+    adminConsole.on('quit', () => process.exit(0))
+    adminConsole.start()
+  }
+}).catch(err => {
+  console.error(`Couldn't start Lobby Simulator: ${err.stack}`)
+  process.exit(1)
+})
@@ -0,0 +1,549 @@
+'use strict'
+var fs = require('fs')
+  , path = require('path')
+  , Templates = require('./templates')
+  , Webhooks = require('./webhooks')
+  , parseFormat = require('./team-builder').parseFormat
+
+/**
+ * Loading and validation of the configuration. Every setting is checked
+ * against SCHEMA before the bot starts, so typos and missing settings are
+ * reported up front instead of crashing somewhere inside the bot.
+ *
+ * Secrets (passwords and tokens) don't have to be in the configuration file:
+ * each of them can be given as `{"env": "<variable>"}` or
+ * `{"file": "<path>"}`, and the top-level ones can be overridden with an
+ * environment variable (e.g. LOBBYSIM_STEAM_PASSWORD) or a file named in the
+ * same variable with `_FILE` appended (e.g. LOBBYSIM_STEAM_PASSWORD_FILE).
+ * @module config
+ */
+
+/**
+ * A node of the schema
+ * @typedef {Object} Config~Schema
+ * @property {string|Array.<string>} type - 'string', 'number', 'integer', 'boolean', 'object' or 'array' (or a list of them)
+ * @property {boolean} [required=false] - Whether the setting has to be set
+ * @property {*} [default] - The value to use if the setting isn't set
+ * @property {Array} [enum] - The values the setting may have
+ * @property {number} [min] - The smallest number the setting may be
+ * @property {number} [max] - The largest number the setting may be
+ * @property {Object.<string, Config~Schema>} [properties] - The settings in an object
+ * @property {Config~Schema} [values] - The schema of every value of an object whose keys can be anything
+ * @property {boolean} [open=false] - Whether an object may have settings that aren't in properties
+ * @property {Config~Schema} [items] - The schema of every item of an array
+ * @property {boolean} [secret=false] - Whether the setting may be read from the environment or a file
+ * @property {string} [env] - The environment variable that overrides a secret
+ * @property {Function} [check] - Called with the value, returns why it is invalid or null
+ */
+
+/**
+ * An invalid configuration
+ * @property {string} file - The configuration file
+ * @property {Array.<string>} problems - Everything that is wrong with it
+ */
+class ConfigError extends Error {
+  /**
+   * Create a configuration error
+   * @param {string} file - The configuration file
+   * @param {Array.<string>} problems - Everything that is wrong with it
+   */
+  constructor(file, problems) {
+    super(`Invalid configuration in ${file}:\n` + problems.map(problem => `  - ${problem}`).join('\n'))
+    this.name = 'ConfigError'
+    this.file = file
+    this.problems = problems
+  }
+}
+
+function isLocale(locale) {
+  try {
+    Templates.load(locale)
+    return null
+  } catch (err) {
+    return `isn't a bundled locale (one of ${bundledLocales().join(', ')})`
+  }
+}
+
+function bundledLocales() {
+  return fs.readdirSync(path.join(__dirname, 'locales'))
+    .filter(file => path.extname(file) === '.json')
+    .map(file => path.basename(file, '.json'))
+}
+
+var STEAM_ID = {type: 'string', check: id => /^\d{17}$/.test(id) ? null : 'must be a SteamID64'}
+  , STRINGS = {type: 'object', values: {type: 'string'}}
+  // Timers can't wait longer than 2^31 - 1 ms
+  , SECONDS = {type: 'integer', min: 1, max: Math.floor(2147483647 / 1000)}
+
+var FAIRNESS = {type: 'object', properties: {
+  cooldown: {type: 'object', properties: {
+    drawings: {type: 'integer', min: 0}
+  , hours: {type: 'number', min: 0}
+  , tickets: {type: 'integer', min: 0}
+  }}
+, pity: {type: 'object', properties: {
+    bonus: {type: 'number', min: 0}
+  , max: {type: 'number', min: 0}
+  }}
+}}
+
+var THEME = {type: 'object', properties: {
+  background: {type: 'string'}
+, panel: {type: 'string'}
+, text: {type: 'string'}
+, accent: {type: 'string'}
+, font: {type: 'string'}
+, fontSize: {type: 'string'}
+}}
+
+var CHANNEL = {type: 'object', properties: {
+  platform: {type: 'string', enum: ['twitch', 'discord']}
+, discordChannel: {type: 'string'}
+, chatID: {type: 'string', required: true, check: id => /^\d+$/.test(id) ? null : 'must be the ID of a Steam group chat'}
+, mainUser: {type: 'string', required: true, check: STEAM_ID.check}
+, locale: {type: 'string', check: isLocale}
+, messages: STRINGS
+, joinLink: {type: 'string'}
+, fairness: FAIRNESS
+, steamModerators: {type: 'array', items: STEAM_ID}
+, teamFormat: {type: 'string', check: format => parseFormat(format) === null ? 'must be a team format like 4v4' : null}
+, checkInWindow: SECONDS
+, banAfterKicks: {type: 'integer', min: 1}
+, kickWindow: SECONDS
+, requireVerified: {type: 'boolean'}
+, minRating: {type: 'number'}
+, maxRating: {type: 'number'}
+, ratingMode: {type: 'string', enum: ['1v1', 'team']}
+, pollDuration: SECONDS
+, settings: STRINGS
+, overlayTheme: THEME
+}}
+
+/**
+ * The schema of the configuration (see the constructor of LobbySim for what
+ * the settings do)
+ * @type {Config~Schema}
+ */
+var SCHEMA = {type: 'object', required: true, properties: {
+  steam: {type: 'object', required: true, properties: {
+    account_name: {type: 'string', required: true}
+  , password: {type: 'string', required: true, secret: true, env: 'LOBBYSIM_STEAM_PASSWORD'}
+  , auth_code: {type: 'string', secret: true, env: 'LOBBYSIM_STEAM_AUTH_CODE'}
+  , sentryLocation: {type: 'string', default: '.sentryfile'}
+  }}
+, irc: {type: 'object', properties: {
+    username: {type: 'string', required: true}
+  , password: {type: 'string', required: true, secret: true, env: 'LOBBYSIM_IRC_PASSWORD'}
+  }}
+, discord: {type: 'object', properties: {
+    token: {type: 'string', required: true, secret: true, env: 'LOBBYSIM_DISCORD_TOKEN'}
+  , moderatorRoles: {type: 'array', items: {type: 'string'}}
+  , subscriberRoles: {type: 'array', items: {type: 'string'}}
+  , gatewayURL: {type: 'string'}
+  , apiURL: {type: 'string'}
+  , reconnectDelay: {type: 'integer', min: 0}
+  , timeout: {type: 'integer', min: 1}
+  }}
+, db: {type: 'object', required: true, open: true, properties: {
+    client: {type: 'string', required: true}
+  , connection: {type: ['object', 'string'], open: true, properties: {
+      password: {type: 'string', secret: true, env: 'LOBBYSIM_DB_PASSWORD'}
+    }}
+  }}
+, subMultiplier: {type: 'number', min: 1, default: 1}
+, fairness: FAIRNESS
+, steamModerators: {type: 'array', items: STEAM_ID}
+, inviteWinners: {type: 'boolean', default: true}
+, friendRequestTimeout: {type: 'integer', min: 1, max: SECONDS.max, default: 600}
+, banAfterKicks: {type: 'integer', min: 1, default: 3}
+, kickWindow: {type: 'integer', min: 1, max: SECONDS.max, default: 86400}
+, verificationTimeout: {type: 'integer', min: 1, default: 1800}
+, snapshotLocation: {type: 'string', default: 'snapshots'}
+, steamCommunityURL: {type: 'string', default: 'https://steamcommunity.com'}
+, ratingProvider: {type: 'object', properties: {
+    url: {type: 'string', required: true}
+  , timeout: {type: 'integer', min: 1}
+  , fields: {type: 'object', properties: {
+      rating1v1: {type: 'string'}
+    , ratingTeam: {type: 'string'}
+    }}
+  }}
+, locale: {type: 'string', default: 'en', check: isLocale}
+, messages: STRINGS
+, countdown: {type: 'array', items: SECONDS, default: [1800, 900, 600, 300, 120, 60, 30, 10]}
+, pollDuration: {type: 'integer', min: 1, max: SECONDS.max, default: 120}
+, adminAPI: {type: 'object', properties: {
+    token: {type: 'string', required: true, secret: true, env: 'LOBBYSIM_ADMIN_API_TOKEN'}
+  , port: {type: 'integer', min: 0}
+  , host: {type: 'string'}
+  , moderator: {type: 'string'}
+  , maxBodySize: {type: 'integer', min: 1}
+  }}
+, overlay: {type: 'object', properties: {
+    port: {type: 'integer', min: 0}
+  , host: {type: 'string'}
+  , theme: THEME
+  , css: {type: 'string'}
+  }}
+, webhooks: {type: 'array', items: {type: 'object', properties: {
+    url: {type: 'string', required: true}
+  , secret: {type: 'string', secret: true}
+  , events: {type: 'array', items: {type: 'string', enum: Webhooks.EVENTS}}
+  , format: {type: 'string', enum: ['json', 'discord']}
+  , retries: {type: 'integer', min: 0}
+  , retryDelay: {type: 'integer', min: 0}
+  , timeout: {type: 'integer', min: 1}
+  }}}
+, owners: {type: 'array', items: {type: 'string'}, default: []}
+, channels: {type: 'object', default: {}, values: CHANNEL, check: channels => {
+    let invalid = Object.keys(channels).filter(name => !/^#\S+$/.test(name))
+    return invalid.length === 0 ? null : `must be named with a # in front (not ${invalid.join(', ')})`
+  }}
+}}
+
+/**
+ * The JSON type of a value, telling integers apart from other numbers
+ * @param {*} value - The value
+ * @return {string}
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  if (typeof value === 'number' && value % 1 === 0) {
+    return 'integer'
+  }
+  return typeof value
+}
+
+/**
+ * Find the setting someone probably meant when they made a typo
+ * @param {string} key - The unknown setting
+ * @param {Array.<string>} known - The settings there are
+ * @return {?string}
+ * @private
+ */
+function suggest(key, known) {
+  let distance = (a, b) => {
+    let row = Array.from({length: b.length + 1}, (_, i) => i)
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0]
+      row[0] = i
+      for (let j = 1; j <= b.length; j++) {
+        let current = row[j]
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1))
+        previous = current
+      }
+    }
+    return row[b.length]
+  }
+  let best = null
+  known.forEach(name => {
+    let d = distance(key.toLowerCase(), name.toLowerCase())
+    if (d <= 2 && (best === null || d < best.distance)) {
+      best = {name: name, distance: d}
+    }
+  })
+  return best === null ? null : best.name
+}
+
+/**
+ * Read a secret from the environment or a file
+ * @param {Config~Schema} schema - The schema of the secret
+ * @param {*} value - The configured value
+ * @param {string} name - The name of the setting
+ * @param {Object.<string, string>} env - The environment variables
+ * @param {Array.<string>} problems - Problems are added to this
+ * @return {*} - The secret, or the value if it isn't read from anywhere
+ * @private
+ */
+function resolveSecret(schema, value, name, env, problems) {
+  let readFile = (file, from) => {
+    try {
+      return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '')
+    } catch (err) {
+      problems.push(`${name} couldn't be read from ${file} (${from}): ${err.message}`)
+      return undefined
+    }
+  }
+  if (schema.env !== undefined) {
+    if (env[schema.env] !== undefined) {
+      return env[schema.env]
+    }
+    if (env[`${schema.env}_FILE`] !== undefined) {
+      return readFile(env[`${schema.env}_FILE`], `named in ${schema.env}_FILE`)
+    }
+  }
+  if (typeOf(value) !== 'object') {
+    return value
+  }
+  let keys = Object.keys(value)
+  if (keys.length === 1 && keys[0] === 'env') {
+    if (env[value.env] === undefined) {
+      problems.push(`${name} should be read from the environment variable ${value.env}, which isn't set`)
+    }
+    return env[value.env]
+  }
+  if (keys.length === 1 && keys[0] === 'file') {
+    return readFile(value.file, 'configured as its file')
+  }
+  problems.push(`${name} must be a string, {"env": "<variable>"} or {"file": "<path>"}`)
+  return undefined
+}
+
+/**
+ * Check a value against a schema, filling in defaults and secrets
+ * @param {Config~Schema} schema - The schema
+ * @param {*} value - The value
+ * @param {string} name - The name of the setting, for the problems
+ * @param {Object.<string, string>} env - The environment variables
+ * @param {Array.<string>} problems - Problems are added to this
+ * @return {*} - The value with its defaults and secrets
+ * @private
+ */
+function checkValue(schema, value, name, env, problems) {
+  if (schema.secret) {
+    let problemCount = problems.length
+    value = resolveSecret(schema, value, name, env, problems)
+    if (problems.length !== problemCount) {
+      return value
+    }
+  }
+  if (value === undefined) {
+    if (schema.default !== undefined) {
+      return JSON.parse(JSON.stringify(schema.default))
+    }
+    if (schema.required) {
+      problems.push(`${name} is required` + (schema.env !== undefined ? ` (or set ${schema.env})` : ''))
+    }
+    return value
+  }
+
+  let types = [].concat(schema.type)
+  let type = typeOf(value)
+  if (types.indexOf(type) === -1 && !(type === 'integer' && types.indexOf('number') !== -1)) {
+    let expected = types.map(t => t === 'array' || t === 'object' || t === 'integer' ? `an ${t}` : `a ${t}`)
+    problems.push(`${name} must be ${expected.join(' or ')}`)
+    return value
+  }
+  if (schema.enum !== undefined && schema.enum.indexOf(value) === -1) {
+    problems.push(`${name} must be one of ${schema.enum.map(option => `'${option}'`).join(', ')}`)
+    return value
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    problems.push(`${name} must be at least ${schema.min}`)
+    return value
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    problems.push(`${name} must be at most ${schema.max}`)
+    return value
+  }
+
+  if (type === 'object') {
+    value = checkObject(schema, value, name, env, problems)
+  } else if (type === 'array' && schema.items !== undefined) {
+    value = value.map((item, i) => checkValue(schema.items, item, `${name}[${i}]`, env, problems))
+  }
+  if (schema.check !== undefined) {
+    let problem = schema.check(value)
+    if (problem !== null) {
+      problems.push(`${name} ${problem}`)
+    }
+  }
+  return value
+}
+
+/**
+ * Check the settings in an object
+ * @param {Config~Schema} schema - The schema of the object
+ * @param {Object} value - The object
+ * @param {string} name - The name of the setting, for the problems
+ * @param {Object.<string, string>} env - The environment variables
+ * @param {Array.<string>} problems - Problems are added to this
+ * @return {Object} - A copy of the object with its defaults and secrets
+ * @private
+ */
+function checkObject(schema, value, name, env, problems) {
+  let prefix = name === '' ? '' : `${name}.`
+  let result = {}
+  if (schema.values !== undefined) {
+    Object.keys(value).forEach(key => {
+      result[key] = checkValue(schema.values, value[key], prefix + key, env, problems)
+    })
+    return result
+  }
+  let properties = schema.properties || {}
+  Object.keys(value).forEach(key => {
+    if (properties.hasOwnProperty(key)) {
+      return
+    }
+    if (schema.open) {
+      result[key] = value[key]
+      return
+    }
+    let suggestion = suggest(key, Object.keys(properties))
+    problems.push(`${prefix}${key} isn't a setting` + (suggestion !== null ? ` (did you mean ${prefix}${suggestion}?)` : ''))
+  })
+  Object.keys(properties).forEach(key => {
+    let checked = checkValue(properties[key], value[key], prefix + key, env, problems)
+    if (checked !== undefined) {
+      result[key] = checked
+    }
+  })
+  return result
+}
+
+/**
+ * Check the settings of a channel that depend on each other
+ * @param {LobbySim~Channel} channel - The settings
+ * @param {string} name - The name of the channel's settings, for the problems
+ * @param {Array.<string>} problems - Problems are added to this
+ * @private
+ */
+function checkChannel(channel, name, problems) {
+  if (channel.platform === 'discord' && channel.discordChannel === undefined) {
+    problems.push(`${name}.discordChannel is required for channels on Discord`)
+  }
+  if (channel.minRating !== undefined && channel.maxRating !== undefined && channel.minRating > channel.maxRating) {
+    problems.push(`${name}.minRating is above its maxRating`)
+  }
+}
+
+/**
+ * Check a configuration, fill in its defaults and read its secrets
+ * @param {Object} config - The configuration
+ * @param {Object.<string, string>} [env=process.env] - The environment variables to read secrets from
+ * @param {string} [file='the configuration'] - Where the configuration came from, for the error
+ * @return {Object} - The configuration to pass to LobbySim
+ * @throws {ConfigError} If the configuration is invalid
+ */
+function validate(config, env, file) {
+  env = env || process.env
+  let problems = []
+  let result = checkValue(SCHEMA, config, '', env, problems)
+  if (problems.length === 0) {
+    // Checks that depend on more than one setting
+    for (var key in result.channels) {
+      if (result.channels.hasOwnProperty(key)) {
+        let channel = result.channels[key]
+        checkChannel(channel, `channels.${key}`, problems)
+        if (channel.platform === 'discord' && result.discord === undefined) {
+          problems.push(`discord is required because ${key} is on Discord`)
+        } else if (channel.platform !== 'discord' && result.irc === undefined) {
+          problems.push(`irc is required because ${key} is on Twitch`)
+        }
+      }
+    }
+  }
+  if (problems.length !== 0) {
+    throw new ConfigError(file || 'the configuration', problems)
+  }
+  return result
+}
+
+/**
+ * Check the settings of a channel that is added or changed while the bot is running
+ * @param {string} channel - Name of the channel
+ * @param {LobbySim~Channel} settings - The settings
+ * @return {LobbySim~Channel} - A copy of the settings
+ * @throws {ConfigError} If the channel's name or settings are invalid
+ */
+function validateChannel(channel, settings) {
+  let problems = []
+  if (!/^#\S+$/.test(channel)) {
+    problems.push(`${channel} must be named with a # in front`)
+  }
+  let result = checkValue(CHANNEL, settings, channel, {}, problems)
+  if (problems.length === 0) {
+    checkChannel(result, channel, problems)
+  }
+  if (problems.length !== 0) {
+    throw new ConfigError(channel, problems)
+  }
+  return result
+}
+
+/**
+ * Convert the text of a channel setting (e.g. from a chat command) to the
+ * setting's type: numbers, true and false, comma-separated lists and JSON objects
+ * @param {string} setting - Name of the setting
+ * @param {string} text - The text
+ * @return {*} - The value, or the text if it can't be converted (validating the settings reports that)
+ */
+function parseChannelSetting(setting, text) {
+  let schema = CHANNEL.properties[setting]
+  let types = schema === undefined ? [] : [].concat(schema.type)
+  if (types.indexOf('array') !== -1) {
+    return text === '' ? [] : text.split(',')
+  }
+  if ((types.indexOf('integer') !== -1 || types.indexOf('number') !== -1) && /^-?\d+(?:\.\d+)?$/.test(text)) {
+    return Number(text)
+  }
+  if (types.indexOf('boolean') !== -1 && (text === 'true' || text === 'false')) {
+    return text === 'true'
+  }
+  if (types.indexOf('object') !== -1) {
+    try {
+      return JSON.parse(text)
+    } catch (err) {
+      return text
+    }
+  }
+  return text
+}
+
+/**
+ * Read a configuration file and validate it
+ * @param {string} file - Path of the JSON file
+ * @param {Object.<string, string>} [env=process.env] - The environment variables to read secrets from
+ * @return {Object} - The configuration to pass to LobbySim
+ * @throws {ConfigError} If the file can't be read or the configuration is invalid
+ */
+function load(file, env) {
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (err) {
+    throw new ConfigError(file, [err.code === 'ENOENT' ? 'The file doesn\'t exist' : err.message])
+  }
+  return validate(config, env, file)
+}
+
+/**
+ * Take `--config <path>` out of the command line arguments
+ * @param {Array.<string>} argv - The arguments (without node and the script)
+ * @return {{file: string, args: Array.<string>}} - The configuration file (config.json next to the bot by default) and the other arguments
+ * @throws {ConfigError} If --config is missing its path
+ */
+function fromArgs(argv) {
+  let file = path.join(__dirname, 'config.json')
+    , args = []
+  for (let i = 0; i < argv.length; i++) {
+    let match = /^--config(?:=(.*))?$/.exec(argv[i])
+    if (match === null) {
+      args.push(argv[i])
+    } else if (match[1] !== undefined) {
+      file = match[1]
+    } else {
+      file = argv[++i]
+      if (file === undefined) {
+        throw new ConfigError('the command line', ['--config needs the path of a configuration file'])
+      }
+    }
+  }
+  return {file: file, args: args}
+}
+
+module.exports = {
+  load: load
+, validate: validate
+, validateChannel: validateChannel
+, parseChannelSetting: parseChannelSetting
+, fromArgs: fromArgs
+, ConfigError: ConfigError
+, SCHEMA: SCHEMA
+}
@@ -0,0 +1,379 @@
+'use strict'
+var WebSocket = require('ws')
+  , request = require('request')
+  , debug = require('debug')('lobbysim:discord-connection')
+  , assign = require('object-assign')
+  , ChatAdapter = require('./chat-adapter')
+
+/**
+ * Options to the DiscordConnection
+ * @typedef {Object} DiscordConnection~Options
+ * @property {string} token - The token of the Discord bot
+ * @property {Object.<string, string>} channels - The IDs of the Discord text channels, by the name of the LobbySim channel
+ * @property {Array.<string>} [moderatorRoles] - IDs of the roles whose members may use moderator commands
+ * @property {Array.<string>} [subscriberRoles] - IDs of the roles whose members count as subscribers
+ * @property {string} [gatewayURL='wss://gateway.discord.gg/?v=10&encoding=json'] - The Discord gateway to connect to
+ * @property {string} [apiURL='https://discord.com/api/v10'] - Where to send messages
+ * @property {number} [reconnectDelay=5000] - How long to wait before reconnecting (in ms)
+ * @property {number} [timeout=5000] - How long to wait for a response to a request (in ms)
+ */
+
+// Gateway opcodes
+var DISPATCH = 0
+  , HEARTBEAT = 1
+  , IDENTIFY = 2
+  , RECONNECT = 7
+  , INVALID_SESSION = 9
+  , HELLO = 10
+
+// The gateway closes with these codes if the bot can't ever connect
+var FATAL_CLOSE_CODES = [4004, 4010, 4011]
+
+// Gateway intents: messages in guild channels, direct messages and their content
+var INTENTS = 1 << 9 | 1 << 12 | 1 << 15
+
+/**
+ * The name LobbySim knows a Discord user by
+ * @param {Object} user - The Discord user
+ * @return {string} - 'discord:' and the username for users on Discord's unique usernames
+ *   (whose discriminator is '0'), or the tag of users who still have one
+ */
+function usernameOf(user) {
+  let name = user.discriminator === undefined || user.discriminator === '0' ?
+    `discord:${user.username}` : `${user.username}#${user.discriminator}`
+  return name.toLowerCase()
+}
+
+/**
+ * A connection to Discord as a bot. Discord users are identified by their
+ * lowercase username with a 'discord:' prefix (e.g. 'discord:jazzpi'), so they
+ * can't be mistaken for Twitch users, or by their tag (e.g. 'jazzpi#1234') if
+ * they still have a discriminator. Whispers are sent as direct messages.
+ */
+class DiscordConnection extends ChatAdapter {
+  /**
+   * Create a Discord connection
+   * @param {DiscordConnection~Options} options - The options for the Discord connection
+   */
+  constructor(options) {
+    super('discord')
+    this.options = assign({
+      moderatorRoles: []
+    , subscriberRoles: []
+    , gatewayURL: 'wss://gateway.discord.gg/?v=10&encoding=json'
+    , apiURL: 'https://discord.com/api/v10'
+    , reconnectDelay: 5000
+    , timeout: 5000
+    }, options)
+    this.options.apiURL = this.options.apiURL.replace(/\/$/, '')
+    this.channelsByID = {}
+    for (var channel in this.options.channels) {
+      if (this.options.channels.hasOwnProperty(channel)) {
+        this.channelsByID[this.options.channels[channel]] = channel
+      }
+    }
+    this.connectionStatus = 'not connected'
+    this.userIDs = new Map()
+    this.dmChannels = new Map()
+    this.queues = {}
+    this.socket = null
+    this.heartbeat = null
+    this.sequence = null
+    this.selfID = null
+    this.closed = false
+    // Connect once the creator could listen for the connection's events
+    process.nextTick(() => {
+      if (!this.closed) {
+        this.connect()
+      }
+    })
+  }
+
+  /** Connect to the gateway */
+  connect() {
+    this.connectionStatus = 'connecting'
+    debug(`Connecting to ${this.options.gatewayURL}.`)
+    this.emit('connecting', 'gateway', this.options.gatewayURL)
+    let socket = this.socket = new WebSocket(this.options.gatewayURL)
+    socket.on('message', data => {
+      let payload
+      try {
+        payload = JSON.parse(data)
+      } catch (err) {
+        debug(`Ignoring a gateway message that isn't JSON: ${data}`)
+        return
+      }
+      this._handlePayload(payload)
+    })
+    socket.on('close', (code, reason) => this._handleClose(socket, reason || `Closed with code ${code}`, code))
+    socket.on('error', err => this._handleClose(socket, String(err), null))
+  }
+
+  /** Disconnect from the gateway and stay disconnected */
+  close() {
+    this.closed = true
+    clearInterval(this.heartbeat)
+    if (this.socket !== null) {
+      this.socket.close()
+    }
+  }
+
+  /**
+   * Send a message on a channel
+   * @param {string} channel - Name of the LobbySim channel
+   * @param {string} message - Message
+   */
+  say(channel, message) {
+    if (!this.options.channels.hasOwnProperty(channel)) {
+      console.error(`Can't send a message to ${channel}, which has no Discord channel`)
+      return
+    }
+    this._send(this.options.channels[channel], message)
+  }
+
+  /**
+   * Send a direct message to a user
+   * @param {string} username - Name of the user (see DiscordConnection)
+   * @param {string} message - Message
+   */
+  whisper(username, message) {
+    debug(`Whispering to ${username}: "${message}"`)
+    let userID = this.userIDs.get(username)
+    if (userID === undefined) {
+      console.error(`Can't send a direct message to ${username}, who hasn't written anything yet`)
+      return
+    }
+    this._dmChannel(userID)
+      .then(channelID => this._send(channelID, message))
+      .catch(err => {
+        console.error(`Couldn't open a direct message channel to ${username}: ${err.message}`)
+      })
+  }
+
+  /**
+   * Start reading and sending messages in a Discord text channel
+   * @param {string} channel - Name of the LobbySim channel
+   * @param {string} id - ID of the Discord text channel
+   */
+  joinChannel(channel, id) {
+    this.leaveChannel(channel)
+    this.options.channels[channel] = id
+    this.channelsByID[id] = channel
+  }
+
+  /**
+   * Stop reading and sending messages in the Discord text channel of a LobbySim channel
+   * @param {string} channel - Name of the LobbySim channel
+   */
+  leaveChannel(channel) {
+    if (this.options.channels.hasOwnProperty(channel)) {
+      delete this.channelsByID[this.options.channels[channel]]
+      delete this.options.channels[channel]
+    }
+  }
+
+  /**
+   * Checks if a username is a Discord username or tag
+   * @param {string} username - Username
+   * @return {boolean}
+   */
+  ownsUser(username) {
+    return /^discord:/.test(username) || /#\d{4}$/.test(username)
+  }
+
+  /**
+   * Handles a payload from the gateway
+   * @param {Object} payload - The payload
+   * @private
+   */
+  _handlePayload(payload) {
+    if (payload.s !== undefined && payload.s !== null) {
+      this.sequence = payload.s
+    }
+    switch (payload.op) {
+      case HELLO:
+        clearInterval(this.heartbeat)
+        this.heartbeat = setInterval(() => this._sendPayload(HEARTBEAT, this.sequence),
+          payload.d.heartbeat_interval)
+        this.connectionStatus = 'logon'
+        debug('Identifying with the gateway.')
+        this.emit('logon', 'gateway')
+        this._sendPayload(IDENTIFY, {
+          token: this.options.token
+        , intents: INTENTS
+        , properties: {os: process.platform, browser: 'lobbysim', device: 'lobbysim'}
+        })
+        break
+      case HEARTBEAT:
+        this._sendPayload(HEARTBEAT, this.sequence)
+        break
+      case RECONNECT:
+      case INVALID_SESSION:
+        debug(`The gateway asked to reconnect (op ${payload.op}).`)
+        this.socket.close()
+        break
+      case DISPATCH:
+        if (payload.t === 'READY') {
+          this.selfID = payload.d.user.id
+          this.connectionStatus = 'connected'
+          debug(`Connected to ${this.options.gatewayURL} as ${payload.d.user.username}.`)
+          this.emit('connected', 'gateway', this.options.gatewayURL)
+        } else if (payload.t === 'MESSAGE_CREATE') {
+          this._handleMessage(payload.d)
+        }
+        break
+    }
+  }
+
+  /**
+   * Handles a message that was posted in a channel the bot can see
+   * @param {Object} message - The Discord message
+   * @private
+   */
+  _handleMessage(message) {
+    let author = message.author
+    if (author.bot || author.id === this.selfID || typeof message.content !== 'string') {
+      return
+    }
+    let username = usernameOf(author)
+    this.userIDs.set(username, author.id)
+    if (message.guild_id === undefined) {
+      debug(`Direct message from ${username}: ${message.content}`)
+      this.dmChannels.set(author.id, Promise.resolve(message.channel_id))
+      this._receiveWhisper(username, message.content)
+      return
+    }
+    let channel = this.channelsByID[message.channel_id]
+    if (channel === undefined) {
+      return
+    }
+    debug(`Message from ${username} to ${channel}: ${message.content}`)
+    let roles = message.member && message.member.roles || []
+    let hasRole = ids => roles.some(role => ids.indexOf(role) !== -1)
+    let subscriber = hasRole(this.options.subscriberRoles)
+    this._receive({
+      username: username
+    , displayName: message.member && message.member.nick || author.global_name || author.username
+    , level: hasRole(this.options.moderatorRoles) ? 'mod' : subscriber ? 'sub' : 'user'
+    , subscriber: subscriber
+    , platform: this.platform
+    }, message.content, channel)
+  }
+
+  /**
+   * Handles the connection to the gateway closing and reconnects
+   * @param {WebSocket} socket - The connection that closed
+   * @param {string} reason - Why it closed
+   * @param {?number} code - The close code
+   * @private
+   */
+  _handleClose(socket, reason, code) {
+    // An error can be followed by a close
+    if (socket !== this.socket) {
+      return
+    }
+    this.socket = null
+    clearInterval(this.heartbeat)
+    this.connectionStatus = 'disconnected'
+    debug(`Disconnected from ${this.options.gatewayURL} with reason "${reason}".`)
+    this.emit('disconnected', 'gateway', reason, () => this.connect())
+    if (this.closed) {
+      return
+    }
+    if (FATAL_CLOSE_CODES.indexOf(code) !== -1) {
+      console.error(`Discord refused the connection: ${reason}`)
+      return
+    }
+    setTimeout(() => {
+      if (this.socket === null && !this.closed) {
+        this.connectionStatus = 'reconnect'
+        debug(`Reconnecting to ${this.options.gatewayURL}.`)
+        this.emit('reconnect', 'gateway')
+        this.connect()
+      }
+    }, this.options.reconnectDelay)
+  }
+
+  /**
+   * Send a payload to the gateway
+   * @param {number} op - The opcode
+   * @param {*} data - The data
+   * @private
+   */
+  _sendPayload(op, data) {
+    if (this.socket !== null && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({op: op, d: data}))
+    }
+  }
+
+  /**
+   * Get the direct message channel to a user, opening it if needed
+   * @param {string} userID - ID of the user
+   * @return {Promise.<string>} - The ID of the channel
+   * @private
+   */
+  _dmChannel(userID) {
+    if (!this.dmChannels.has(userID)) {
+      let opened = this._request('POST', '/users/@me/channels', {recipient_id: userID})
+        .then(channel => channel.id)
+      opened.catch(() => this.dmChannels.delete(userID))
+      this.dmChannels.set(userID, opened)
+    }
+    return this.dmChannels.get(userID)
+  }
+
+  /**
+   * Post a message to a Discord channel. The messages of a channel are posted
+   * one after another so they keep their order.
+   * @param {string} channelID - ID of the Discord channel
+   * @param {string} content - The message
+   * @private
+   */
+  _send(channelID, content) {
+    this.queues[channelID] = (this.queues[channelID] || Promise.resolve())
+      .then(() => this._request('POST', `/channels/${channelID}/messages`, {content: content}))
+      .catch(err => {
+        console.error(`Couldn't post a message to the Discord channel ${channelID}: ${err.message}`)
+      })
+  }
+
+  /**
+   * Send a request to the Discord API, waiting and retrying when rate limited
+   * @param {string} method - The HTTP method
+   * @param {string} path - The path below the API URL
+   * @param {Object} body - The JSON body
+   * @param {number} [retries=3] - How often to retry when rate limited
+   * @return {Promise.<Object>} - The response body
+   * @private
+   */
+  _request(method, path, body, retries) {
+    retries = retries === undefined ? 3 : retries
+    return new Promise((resolve, reject) => {
+      request({
+        method: method
+      , url: this.options.apiURL + path
+      , headers: {Authorization: `Bot ${this.options.token}`}
+      , json: body
+      , timeout: this.options.timeout
+      }, (error, response, result) => {
+        if (error) {
+          reject(new Error(`Error while trying to reach ${path}: ${error}`))
+          return
+        }
+        if (response.statusCode === 429 && retries > 0) {
+          let delay = result && result.retry_after || 1000
+          debug(`Rate limited on ${path}, retrying in ${delay}ms`)
+          setTimeout(() => this._request(method, path, body, retries - 1).then(resolve, reject), delay)
+          return
+        }
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          reject(new Error(`${path} answered with status code ${response.statusCode}`))
+          return
+        }
+        resolve(result)
+      })
+    })
+  }
+}
+
+module.exports = DiscordConnection
@@ -0,0 +1,130 @@
+'use strict'
+var crypto = require('crypto')
+
+/**
+ * Provably fair drawings using a commit-reveal scheme.
+ *
+ * When a drawing is opened, a secret seed is created and only its SHA-256
+ * hash (the commitment) is published. When the drawing is closed, the seed is
+ * revealed. Every pick is derived from the seed and the ordered ticket list,
+ * so anyone can recompute the winners from the published snapshot.
+ * @module fair-draw
+ */
+
+/**
+ * A snapshot of a drawing that can be verified
+ * @typedef {Object} FairDraw~Snapshot
+ * @property {string} commitment - The published commitment
+ * @property {string} seed - The revealed seed
+ * @property {Array.<string>} entries - The ordered ticket list at the time the drawing was closed
+ * @property {Array.<string>} picks - Every user picked, in order (including winners that were rerolled)
+ */
+
+// 48 bits of the HMAC are used per attempt so the result fits into a double
+var RANGE = Math.pow(2, 48)
+
+/**
+ * Create a new secret seed
+ * @return {string} - The seed as a hex string
+ */
+function createSeed() {
+  return crypto.randomBytes(32).toString('hex')
+}
+
+/**
+ * Create the commitment for a seed
+ * @param {string} seed - The seed
+ * @return {string} - The SHA-256 hash of the seed as a hex string
+ */
+function commit(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex')
+}
+
+/**
+ * Deterministically pick an index for a round of a drawing
+ * @param {string} seed - The seed of the drawing
+ * @param {number} round - The number of picks made before this one
+ * @param {number} n - The number of tickets to pick from
+ * @return {number} - An index in [0, n)
+ */
+function pickIndex(seed, round, n) {
+  // Rejection sampling so every index is equally likely
+  let limit = RANGE - (RANGE % n)
+  for (let attempt = 0; ; attempt++) {
+    let value = crypto.createHmac('sha256', seed)
+      .update(`${round}:${attempt}`)
+      .digest()
+      .readUIntBE(0, 6)
+    if (value < limit) {
+      return value % n
+    }
+  }
+}
+
+/**
+ * Pick a winner and remove all of their tickets from the list
+ * @param {string} seed - The seed of the drawing
+ * @param {number} round - The number of picks made before this one
+ * @param {Array.<string>} entries - The remaining tickets. Modified in place.
+ * @return {?string} - The winner, or null if there are no tickets left
+ */
+function pick(seed, round, entries) {
+  if (entries.length === 0) {
+    return null
+  }
+  let winner = entries[pickIndex(seed, round, entries.length)]
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i] === winner) {
+      entries.splice(i, 1)
+    }
+  }
+  return winner
+}
+
+/**
+ * Recompute the picks of a drawing
+ * @param {string} seed - The seed of the drawing
+ * @param {Array.<string>} entries - The ordered ticket list
+ * @param {number} count - How many picks to make
+ * @return {Array.<string>} - The picks, in order
+ */
+function draw(seed, entries, count) {
+  let remaining = entries.slice()
+  let picks = []
+  for (let round = 0; round < count; round++) {
+    let winner = pick(seed, round, remaining)
+    if (winner === null) {
+      break
+    }
+    picks.push(winner)
+  }
+  return picks
+}
+
+/**
+ * Verify a drawing snapshot
+ * @param {FairDraw~Snapshot} snapshot - The snapshot to verify
+ * @return {Object} - `valid` is true if the commitment matches the seed and the
+ *   picks match the recomputed ones. `expected` holds the recomputed picks.
+ */
+function verify(snapshot) {
+  let commitmentValid = commit(snapshot.seed) === snapshot.commitment
+  let expected = draw(snapshot.seed, snapshot.entries, snapshot.picks.length)
+  let picksValid = expected.length === snapshot.picks.length &&
+    expected.every((winner, i) => winner === snapshot.picks[i])
+  return {
+    valid: commitmentValid && picksValid
+  , commitmentValid: commitmentValid
+  , picksValid: picksValid
+  , expected: expected
+  }
+}
+
+module.exports = {
+  createSeed: createSeed
+, commit: commit
+, pickIndex: pickIndex
+, pick: pick
+, draw: draw
+, verify: verify
+}
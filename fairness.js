@@ -0,0 +1,106 @@
+'use strict'
+var assign = require('object-assign')
+
+/**
+ * Fairness rules that decide how many tickets an entrant gets, based on how
+ * they did in the channel's previous drawings.
+ * @module fairness
+ */
+
+/**
+ * The fairness rules of a channel
+ * @typedef {Object} Fairness~Rules
+ * @property {Object} [cooldown] - Limit the tickets of recent winners
+ * @property {number} [cooldown.drawings] - Anyone who won one of this many previous drawings is on cooldown
+ * @property {number} [cooldown.hours] - Anyone who won a drawing closed in this many hours is on cooldown
+ * @property {number} [cooldown.tickets=0] - How many tickets users on cooldown get at most (0 excludes them)
+ * @property {Object} [pity] - Give bonus tickets to users who keep losing
+ * @property {number} [pity.bonus=1] - Bonus tickets for each drawing in a row entered without winning
+ * @property {number} [pity.max=5] - The most bonus tickets anyone can get
+ */
+
+/**
+ * How a user did in a previous drawing
+ * @typedef {Object} Fairness~HistoryEntry
+ * @property {number} id - ID of the drawing
+ * @property {?number} closedAt - When the drawing was closed (ms since the epoch)
+ * @property {boolean} entered - Whether the user entered the drawing
+ * @property {boolean} won - Whether the user won the drawing (and wasn't rerolled)
+ */
+
+/**
+ * The tickets a user gets and why
+ * @typedef {Object} Fairness~Tickets
+ * @property {number} tickets - The effective number of tickets
+ * @property {number} base - The tickets without any rules (1, or the multiplier for subscribers)
+ * @property {number} streak - How many drawings in a row the user entered without winning
+ * @property {number} bonus - The bonus tickets for the streak
+ * @property {?number} cooldown - ID of the drawing that put the user on cooldown, or null
+ */
+
+/**
+ * Fill in the defaults of a set of rules
+ * @param {Fairness~Rules} [rules] - The configured rules
+ * @return {Fairness~Rules}
+ */
+function normalize(rules) {
+  rules = assign({}, rules)
+  if (rules.cooldown) {
+    rules.cooldown = assign({drawings: 0, hours: 0, tickets: 0}, rules.cooldown)
+  }
+  if (rules.pity) {
+    rules.pity = assign({bonus: 1, max: 5}, rules.pity)
+  }
+  return rules
+}
+
+/**
+ * How many previous drawings are needed to apply a set of rules
+ * @param {Fairness~Rules} rules - The rules (with their defaults)
+ * @return {number}
+ */
+function historyLength(rules) {
+  let length = 0
+  if (rules.cooldown) {
+    length = rules.cooldown.drawings
+  }
+  if (rules.pity && rules.pity.bonus > 0) {
+    length = Math.max(length, Math.ceil(rules.pity.max / rules.pity.bonus))
+  }
+  return length
+}
+
+/**
+ * Work out how many tickets a user gets
+ * @param {Fairness~Rules} rules - The rules (with their defaults)
+ * @param {number} base - The tickets without any rules
+ * @param {Array.<Fairness~HistoryEntry>} history - The channel's previous drawings, newest first
+ * @param {number} now - The current time (ms since the epoch)
+ * @return {Fairness~Tickets}
+ */
+function tickets(rules, base, history, now) {
+  let result = {tickets: base, base: base, streak: 0, bonus: 0, cooldown: null}
+  if (rules.pity) {
+    for (let i = 0; i < history.length && history[i].entered && !history[i].won; i++) {
+      result.streak++
+    }
+    result.bonus = Math.min(result.streak * rules.pity.bonus, rules.pity.max)
+    result.tickets += result.bonus
+  }
+  if (rules.cooldown) {
+    let since = now - rules.cooldown.hours * 60 * 60 * 1000
+    let recent = history.filter((drawing, i) => drawing.won &&
+      (i < rules.cooldown.drawings || (rules.cooldown.hours > 0 && drawing.closedAt >= since)))[0]
+    if (recent !== undefined) {
+      result.cooldown = recent.id
+      result.tickets = Math.min(result.tickets, rules.cooldown.tickets)
+    }
+  }
+  return result
+}
+
+module.exports = {
+  normalize: normalize
+, historyLength: historyLength
+, tickets: tickets
+}
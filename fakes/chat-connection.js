@@ -0,0 +1,106 @@
+'use strict'
+var ChatConnection = require('../chat-connection')
+  , assign = require('object-assign')
+
+/**
+ * A ChatConnection that doesn't connect to Twitch. Messages and whispers that
+ * the bot sends are recorded, and chat messages and whispers can be injected
+ * as if they were received from Twitch. Command matching and permission
+ * checks are the same as in the real connection.
+ */
+class FakeChatConnection extends ChatConnection {
+  /**
+   * Create a fake chat connection
+   * @param {Object} [options] - The options of the chat connection
+   */
+  constructor(options) {
+    super(assign({username: 'lobbysimbot', password: ''}, options))
+    this.said = []
+    this.whispered = []
+  }
+
+  /**
+   * Create a Twitch user object like the ones tmi.js passes to chat handlers
+   * @param {string} username - The username
+   * @param {Object} [tags] - Tags to override, e.g. `{'user-type': 'mod'}` or `{subscriber: true}`
+   * @return {Object}
+   */
+  static user(username, tags) {
+    return assign({
+      username: username
+    , 'display-name': username
+    , 'user-type': null
+    , subscriber: false
+    }, tags)
+  }
+
+  say(channel, message) {
+    this.said.push({channel: channel, message: message})
+    this.emit('said', channel, message)
+  }
+
+  whisper(username, message) {
+    this.whispered.push({username: username, message: message})
+    this.emit('whispered', username, message)
+  }
+
+  /**
+   * Receive a chat message
+   * @param {string} channel - Channel the message was sent to
+   * @param {string|Object} user - Username or user object of the sender
+   * @param {string} message - The message
+   */
+  chat(channel, user, message) {
+    if (typeof user === 'string') {
+      user = FakeChatConnection.user(user)
+    }
+    this._handleChat(channel, user, message, false)
+  }
+
+  /**
+   * Receive a whisper
+   * @param {string} username - Username of the sender
+   * @param {string} message - The message
+   */
+  receiveWhisper(username, message) {
+    this._handleWhisper(username, message)
+  }
+
+  /**
+   * Simulate a connection state change of one of the clients
+   * @param {string} name - Name of the client ('chat' or 'group')
+   * @param {string} state - One of 'connecting', 'logon', 'connected', 'disconnected' or 'reconnect'
+   * @param {...*} args - Arguments of the event (e.g. the reason for 'disconnected')
+   */
+  setConnectionState(name, state) {
+    let handler = {
+      connecting: this._handleConnecting
+    , logon: this._handleLogon
+    , connected: this._handleConnected
+    , disconnected: this._handleDisconnected
+    , reconnect: this._handleReconnect
+    }[state]
+    handler.apply(this, [name].concat(Array.prototype.slice.call(arguments, 2)))
+  }
+
+  /** Forget everything that was said and whispered */
+  clear() {
+    this.said = []
+    this.whispered = []
+  }
+
+  _initChatClient() {
+    this.chatClient = {
+      connect: () => {}
+    , disconnect: () => Promise.resolve()
+    , join: () => Promise.resolve()
+    , part: () => Promise.resolve()
+    }
+  }
+
+  _initWhisperClient() {
+    this.whisperClient = {connect: () => {}, disconnect: () => Promise.resolve()}
+  }
+}
+
+module.exports = FakeChatConnection
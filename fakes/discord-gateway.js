@@ -0,0 +1,203 @@
+'use strict'
+var http = require('http')
+  , url = require('url')
+  , WebSocket = require('ws')
+  , assign = require('object-assign')
+
+// The intent without which guild messages arrive without their content
+var MESSAGE_CONTENT = 1 << 15
+
+/**
+ * A local Discord gateway and API for the DiscordConnection. Set its
+ * gatewayURL option to `<base URL>/gateway` and apiURL to `<base URL>/api`.
+ * Messages can be posted as if users wrote them, and everything the bot
+ * posts is recorded in `sent`. The data of every IDENTIFY is recorded in
+ * `identified`, and like on Discord, guild messages reach a bot without the
+ * MESSAGE_CONTENT intent with an empty content.
+ */
+class FakeDiscordGateway {
+  /**
+   * Create a fake Discord gateway
+   * @param {Object} [options]
+   * @param {string} [options.token='token'] - The bot token to accept
+   * @param {number} [options.heartbeatInterval=45000] - The heartbeat interval to ask for (in ms)
+   */
+  constructor(options) {
+    options = options || {}
+    this.token = options.token || 'token'
+    this.heartbeatInterval = options.heartbeatInterval || 45000
+    this.sent = []
+    this.heartbeats = 0
+    this.identified = []
+    this.failures = []
+    this.sockets = []
+    this.sequence = 0
+    this.server = http.createServer(this._handleRequest.bind(this))
+    this.wss = new WebSocket.Server({server: this.server})
+    this.wss.on('connection', this._handleConnection.bind(this))
+  }
+
+  /**
+   * Create a Discord user object
+   * @param {string} id - ID of the user
+   * @param {string} username - The username
+   * @param {string} [discriminator='0'] - '0' for a unique username, or the four digits of a legacy tag
+   * @return {Object}
+   */
+  static user(id, username, discriminator) {
+    return {id: id, username: username, discriminator: discriminator || '0'}
+  }
+
+  /**
+   * Post a message to a guild text channel
+   * @param {string} channelID - ID of the channel
+   * @param {Object} author - The user who writes it (see FakeDiscordGateway.user)
+   * @param {string} content - The message
+   * @param {Object} [member] - The author's guild member, e.g. `{roles: ['<role ID>'], nick: 'Jazz'}`
+   */
+  message(channelID, author, content, member) {
+    this._dispatch('MESSAGE_CREATE', {
+      id: String(++this.sequence)
+    , channel_id: channelID
+    , guild_id: 'guild'
+    , author: author
+    , member: member || {roles: []}
+    , content: content
+    })
+  }
+
+  /**
+   * Send a direct message to the bot
+   * @param {Object} author - The user who writes it (see FakeDiscordGateway.user)
+   * @param {string} content - The message
+   */
+  directMessage(author, content) {
+    this._dispatch('MESSAGE_CREATE', {
+      id: String(++this.sequence)
+    , channel_id: `dm-${author.id}`
+    , author: author
+    , content: content
+    })
+  }
+
+  /**
+   * The messages the bot posted to a channel
+   * @param {string} channelID - ID of the channel, `dm-<user ID>` for direct messages
+   * @return {Array.<string>}
+   */
+  messagesTo(channelID) {
+    return this.sent.filter(message => message.channelID === channelID).map(message => message.content)
+  }
+
+  /**
+   * Answer the next API requests with a status code
+   * @param {number} statusCode - The status code, e.g. 429 or 500
+   * @param {number} [times=1] - For how many requests
+   */
+  fail(statusCode, times) {
+    for (let i = 0; i < (times || 1); i++) {
+      this.failures.push(statusCode)
+    }
+  }
+
+  /**
+   * Close every gateway connection, as if Discord restarted
+   * @param {number} [code=1000] - The close code
+   */
+  disconnect(code) {
+    this.sockets.forEach(socket => socket.close(code || 1000))
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - The port, or 0 for a random one
+   * @return {Promise.<string>} - The base URL of the server
+   */
+  listen(port) {
+    return new Promise(resolve => {
+      this.server.listen(port || 0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`)
+      })
+    })
+  }
+
+  /**
+   * Stop listening
+   * @return {Promise}
+   */
+  close() {
+    this.wss.close()
+    return new Promise(resolve => this.server.close(() => resolve()))
+  }
+
+  _dispatch(type, data) {
+    let sequence = ++this.sequence
+    this.sockets
+      .filter(socket => socket.identified && socket.readyState === WebSocket.OPEN)
+      .forEach(socket => {
+        let d = data
+        if (type === 'MESSAGE_CREATE' && data.guild_id !== undefined && !(socket.intents & MESSAGE_CONTENT)) {
+          d = assign({}, data, {content: ''})
+        }
+        socket.send(JSON.stringify({op: 0, t: type, s: sequence, d: d}))
+      })
+  }
+
+  _handleConnection(socket) {
+    this.sockets.push(socket)
+    socket.on('close', () => this.sockets.splice(this.sockets.indexOf(socket), 1))
+    socket.on('message', data => {
+      let payload = JSON.parse(data)
+      if (payload.op === 1) {
+        this.heartbeats++
+        socket.send(JSON.stringify({op: 11}))
+      } else if (payload.op === 2) {
+        this.identified.push(payload.d)
+        if (payload.d.token !== this.token) {
+          socket.close(4004, 'Authentication failed.')
+          return
+        }
+        socket.identified = true
+        socket.intents = payload.d.intents || 0
+        socket.send(JSON.stringify({op: 0, t: 'READY', s: ++this.sequence,
+          d: {user: FakeDiscordGateway.user('bot', 'lobbysimbot'), guilds: []}}))
+      }
+    })
+    socket.send(JSON.stringify({op: 10, d: {heartbeat_interval: this.heartbeatInterval}}))
+  }
+
+  _handleRequest(req, res) {
+    let body = ''
+    req.on('data', chunk => {
+      body += chunk
+    })
+    req.on('end', () => {
+      let path = url.parse(req.url).pathname
+      let reply = (statusCode, result) => {
+        res.writeHead(statusCode, {'Content-Type': 'application/json'})
+        res.end(JSON.stringify(result))
+      }
+      if (req.headers.authorization !== `Bot ${this.token}`) {
+        reply(401, {message: '401: Unauthorized'})
+        return
+      }
+      if (this.failures.length !== 0) {
+        let statusCode = this.failures.shift()
+        reply(statusCode, statusCode === 429 ? {message: 'You are being rate limited.', retry_after: 10} : {})
+        return
+      }
+      let data = JSON.parse(body || '{}')
+      let match = /^\/api\/channels\/([^\/]+)\/messages$/.exec(path)
+      if (req.method === 'POST' && match) {
+        this.sent.push({channelID: match[1], content: data.content})
+        reply(200, {id: String(++this.sequence), channel_id: match[1], content: data.content})
+      } else if (req.method === 'POST' && path === '/api/users/@me/channels') {
+        reply(200, {id: `dm-${data.recipient_id}`, type: 1})
+      } else {
+        reply(404, {message: '404: Not Found'})
+      }
+    })
+  }
+}
+
+module.exports = FakeDiscordGateway
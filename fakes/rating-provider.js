@@ -0,0 +1,81 @@
+'use strict'
+var http = require('http')
+  , url = require('url')
+
+/**
+ * A local HTTP server that answers rating requests at /ratings/<steamID>
+ * with {"rating1v1": ..., "ratingTeam": ...}. Point the ratingProvider.url
+ * config option at `<base URL>/ratings/{steamID}`.
+ */
+class FakeRatingProvider {
+  /** Create a fake rating provider without any ratings */
+  constructor() {
+    this.ratings = {}
+    this.requests = []
+    this.failures = []
+    this.server = http.createServer(this._handleRequest.bind(this))
+  }
+
+  /**
+   * Add the ratings of a player
+   * @param {string} steamID - SteamID64 of the player
+   * @param {?number} rating1v1 - The 1v1 rating
+   * @param {?number} ratingTeam - The team game rating
+   */
+  addRating(steamID, rating1v1, ratingTeam) {
+    this.ratings[steamID] = {rating1v1: rating1v1, ratingTeam: ratingTeam}
+  }
+
+  /**
+   * Answer the next requests with a status code instead of ratings
+   * @param {number} statusCode - The status code, e.g. 500 or 503
+   * @param {number} [times=1] - For how many requests
+   */
+  fail(statusCode, times) {
+    for (let i = 0; i < (times || 1); i++) {
+      this.failures.push(statusCode)
+    }
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - The port, or 0 for a random one
+   * @return {Promise.<string>} - The base URL of the server
+   */
+  listen(port) {
+    return new Promise(resolve => {
+      this.server.listen(port || 0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`)
+      })
+    })
+  }
+
+  /**
+   * Stop listening
+   * @return {Promise}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()))
+  }
+
+  _handleRequest(req, res) {
+    let path = url.parse(req.url).pathname
+    this.requests.push(path)
+    if (this.failures.length !== 0) {
+      res.writeHead(this.failures.shift())
+      res.end()
+      return
+    }
+
+    let match = /^\/ratings\/(\d+)$/.exec(path)
+    if (!match || !this.ratings.hasOwnProperty(match[1])) {
+      res.writeHead(404, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({error: 'Player not found'}))
+      return
+    }
+    res.writeHead(200, {'Content-Type': 'application/json'})
+    res.end(JSON.stringify(this.ratings[match[1]]))
+  }
+}
+
+module.exports = FakeRatingProvider
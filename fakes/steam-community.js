@@ -0,0 +1,104 @@
+'use strict'
+var http = require('http')
+  , url = require('url')
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+/**
+ * A local HTTP server that answers profile requests like steamcommunity.com
+ * does with ?xml=1. Point ProfileLookup's baseURL (or the steamCommunityURL
+ * config option) at it.
+ */
+class FakeSteamCommunity {
+  /** Create a fake Steam community without any profiles */
+  constructor() {
+    this.profiles = []
+    this.requests = []
+    this.failures = []
+    this.server = http.createServer(this._handleRequest.bind(this))
+  }
+
+  /**
+   * Add a profile
+   * @param {Object} profile - The profile
+   * @param {string} profile.steamID - The SteamID64
+   * @param {string} [profile.vanity] - The custom URL name
+   * @param {string} [profile.name=profile.vanity] - The profile name
+   * @param {string} [profile.privacyState='public'] - 'public', 'friendsonly' or 'private'
+   * @param {string} [profile.summary=''] - The profile summary
+   * @param {boolean} [profile.hideSteamID=false] - Leave out the SteamID64, like for profiles that aren't set up
+   * @return {Object} - The profile, which can be modified later
+   */
+  addProfile(profile) {
+    profile.name = profile.name || profile.vanity || profile.steamID
+    profile.privacyState = profile.privacyState || 'public'
+    profile.summary = profile.summary || ''
+    this.profiles.push(profile)
+    return profile
+  }
+
+  /**
+   * Answer the next requests with a status code instead of a profile
+   * @param {number} statusCode - The status code, e.g. 429 or 503
+   * @param {number} [times=1] - For how many requests
+   */
+  fail(statusCode, times) {
+    for (let i = 0; i < (times || 1); i++) {
+      this.failures.push(statusCode)
+    }
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - The port, or 0 for a random one
+   * @return {Promise.<string>} - The base URL of the server
+   */
+  listen(port) {
+    return new Promise(resolve => {
+      this.server.listen(port || 0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`)
+      })
+    })
+  }
+
+  /**
+   * Stop listening
+   * @return {Promise}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()))
+  }
+
+  _handleRequest(req, res) {
+    let path = url.parse(req.url).pathname.replace(/\/$/, '')
+    this.requests.push(path)
+    if (this.failures.length !== 0) {
+      res.writeHead(this.failures.shift())
+      res.end()
+      return
+    }
+
+    let match = /^\/(profiles|id)\/([^\/]+)$/.exec(path)
+    let profile = match && this.profiles.find(profile => match[1] === 'profiles' ?
+      profile.steamID === match[2] : profile.vanity === decodeURIComponent(match[2]))
+    res.writeHead(200, {'Content-Type': 'text/xml; charset=utf-8'})
+    if (!profile) {
+      res.end('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<response><error><![CDATA[The specified profile could not be found.]]></error></response>')
+      return
+    }
+    res.end('<?xml version="1.0" encoding="UTF-8" standalone="yes"?><profile>' +
+      (profile.hideSteamID ? '' : `<steamID64>${profile.steamID}</steamID64>`) +
+      `<steamID>${escapeXML(profile.name)}</steamID>` +
+      `<privacyState>${profile.privacyState}</privacyState>` +
+      `<summary>${escapeXML(profile.summary)}</summary>` +
+      '</profile>')
+  }
+}
+
+module.exports = FakeSteamCommunity
@@ -0,0 +1,174 @@
+'use strict'
+var steam = require('steam')
+  , EventEmitter = require('events')
+
+/**
+ * Stands in for steam.SteamFriends. Chat rooms and friends are tracked the
+ * same way, and kicks, bans, friend requests, invites and messages are
+ * recorded.
+ */
+class FakeSteamFriends extends EventEmitter {
+  constructor() {
+    super()
+    this.chatRooms = {}
+    this.friends = {}
+    this.joined = []
+    this.left = []
+    this.kicked = []
+    this.banned = []
+    this.unbanned = []
+    this.friendRequests = []
+    this.removedFriends = []
+    this.invites = []
+    this.messages = []
+  }
+
+  sendMessage(target, message, type) {
+    this.messages.push({target: target, message: message})
+  }
+
+  addFriend(steamID) {
+    this.friendRequests.push(steamID)
+    this.friends[steamID] = steam.EFriendRelationship.RequestInitiator
+  }
+
+  removeFriend(steamID) {
+    this.removedFriends.push(steamID)
+    delete this.friends[steamID]
+  }
+
+  chatInvite(chatID, userID) {
+    this.invites.push({chatID: chatID, userID: userID})
+  }
+
+  joinChat(chatID) {
+    this.joined.push(chatID)
+  }
+
+  leaveChat(chatID) {
+    this.left.push(chatID)
+    delete this.chatRooms[chatID]
+  }
+
+  kick(chatID, userID) {
+    this.kicked.push({chatID: chatID, userID: userID})
+    delete this.chatRooms[chatID][userID]
+    this.emit('chatStateChange', steam.EChatMemberStateChange.Kicked, userID, chatID, null)
+  }
+
+  ban(chatID, userID) {
+    this.banned.push({chatID: chatID, userID: userID})
+    delete this.chatRooms[chatID][userID]
+    this.emit('chatStateChange', steam.EChatMemberStateChange.Banned, userID, chatID, null)
+  }
+
+  unban(chatID, userID) {
+    this.unbanned.push({chatID: chatID, userID: userID})
+  }
+}
+
+/**
+ * A SteamConnection that doesn't connect to Steam. Tests drive it by
+ * emitting the events the Steam client would emit.
+ */
+class FakeSteamConnection extends EventEmitter {
+  /**
+   * Create a fake Steam connection
+   * @param {string} [steamID='76561190000000000'] - The SteamID of the bot
+   */
+  constructor(steamID) {
+    super()
+    this.connected = true
+    this.loggedOn = true
+    this.client = {steamID: steamID || '76561190000000000'}
+    this.friends = new FakeSteamFriends()
+  }
+
+  disconnect() {
+    this.connected = false
+    this.loggedOn = false
+  }
+
+  /** Finish loading the friends list, which makes the bot join its chats */
+  relationships() {
+    this.friends.emit('relationships')
+  }
+
+  /**
+   * Answer a joinChat request
+   * @param {string} chatID - ID of the chat
+   * @param {Array.<string>} [members=[]] - SteamIDs of the users already in the chat
+   * @param {number} [response=steam.EChatRoomEnterResponse.Success] - The response
+   */
+  enterChat(chatID, members, response) {
+    if (response === undefined) {
+      response = steam.EChatRoomEnterResponse.Success
+    }
+    if (response === steam.EChatRoomEnterResponse.Success) {
+      this.friends.chatRooms[chatID] = {}
+      this.friends.chatRooms[chatID][this.client.steamID] = {}
+      ;(members || []).forEach(userID => {
+        this.friends.chatRooms[chatID][userID] = {}
+      })
+    }
+    this.friends.emit('chatEnter', chatID, response)
+  }
+
+  /**
+   * Let a user enter a chat
+   * @param {string} chatID - ID of the chat
+   * @param {string} userID - SteamID of the user
+   */
+  join(chatID, userID) {
+    this.friends.chatRooms[chatID][userID] = {}
+    this.friends.emit('chatStateChange', steam.EChatMemberStateChange.Entered, userID, chatID, userID)
+  }
+
+  /**
+   * Answer a friend request
+   * @param {string} steamID - SteamID of the user
+   * @param {number} [eresult=steam.EResult.OK] - The result of the request
+   */
+  addFriendResponse(steamID, eresult) {
+    if (eresult === undefined) {
+      eresult = steam.EResult.OK
+    }
+    if (eresult !== steam.EResult.OK) {
+      delete this.friends.friends[steamID]
+    }
+    this.emit('addFriendResponse', eresult, steamID, '')
+  }
+
+  /**
+   * Let a user accept a friend request
+   * @param {string} steamID - SteamID of the user
+   */
+  acceptFriend(steamID) {
+    this.friends.friends[steamID] = steam.EFriendRelationship.Friend
+    this.friends.emit('friend', steamID, steam.EFriendRelationship.Friend)
+  }
+
+  /**
+   * Send a message to a chat as a user
+   * @param {string} chatID - ID of the chat
+   * @param {string} userID - SteamID of the user
+   * @param {string} message - Message
+   */
+  chatMessage(chatID, userID, message) {
+    this.friends.emit('chatMsg', chatID, message, steam.EChatEntryType.ChatMsg, userID)
+  }
+
+  /**
+   * Let a user leave a chat
+   * @param {string} chatID - ID of the chat
+   * @param {string} userID - SteamID of the user
+   */
+  leave(chatID, userID) {
+    delete this.friends.chatRooms[chatID][userID]
+    this.friends.emit('chatStateChange', steam.EChatMemberStateChange.Left, userID, chatID, userID)
+  }
+}
+
+FakeSteamConnection.FakeSteamFriends = FakeSteamFriends
+
+module.exports = FakeSteamConnection
@@ -0,0 +1,102 @@
+'use strict'
+var fs = require('fs')
+  , path = require('path')
+  , createStorage = require('./storage').createStorage
+  , loadConfig = require('./config')
+
+/*
+ * Import ratings from a JSON or CSV export into the database in config.json
+ * (or the configuration file given with --config):
+ *   node import-ratings.js [--config <path>] <ratings.json|ratings.csv>
+ *
+ * JSON exports are an array of {"username", "rating1v1", "ratingTeam"}
+ * objects. CSV exports need a header line naming the username, rating1v1 and
+ * ratingTeam columns; other columns are ignored. Ratings that are missing or
+ * empty are left as they are.
+ */
+
+function exitWithConfigError(err) {
+  if (!(err instanceof loadConfig.ConfigError)) {
+    throw err
+  }
+  console.error(err.message)
+  process.exit(2)
+}
+
+var args
+try {
+  args = loadConfig.fromArgs(process.argv.slice(2))
+} catch (err) {
+  exitWithConfigError(err)
+}
+if (args.args.length < 1) {
+  console.error('Usage: node import-ratings.js [--config <path>] <ratings.json|ratings.csv>')
+  process.exit(2)
+}
+
+function parseRating(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined
+  }
+  let rating = Number(value)
+  if (!isFinite(rating)) {
+    throw new Error(`${value} isn't a rating`)
+  }
+  return Math.round(rating)
+}
+
+function parseCSV(text) {
+  let lines = text.split(/\r?\n/).filter(line => line.trim() !== '')
+  let header = lines.shift().split(',').map(column => column.trim())
+  if (header.indexOf('username') === -1) {
+    throw new Error('The CSV header doesn\'t have a username column')
+  }
+  return lines.map(line => {
+    let values = line.split(',').map(value => value.trim())
+    let row = {}
+    header.forEach((column, i) => {
+      row[column] = values[i]
+    })
+    return row
+  })
+}
+
+var file = args.args[0]
+var text = fs.readFileSync(file, 'utf8')
+var rows = path.extname(file).toLowerCase() === '.csv' ? parseCSV(text) : JSON.parse(text)
+if (!Array.isArray(rows)) {
+  console.error(`${file} doesn't contain a list of ratings`)
+  process.exit(2)
+}
+
+var profiles = rows.map((row, i) => {
+  if (typeof row.username !== 'string' || row.username === '') {
+    throw new Error(`Entry ${i + 1} doesn't have a username`)
+  }
+  return {
+    username: row.username.toLowerCase()
+  , rating1v1: parseRating(row.rating1v1)
+  , ratingTeam: parseRating(row.ratingTeam)
+  , source: 'import'
+  , updatedAt: (new Date).getTime()
+  }
+})
+
+var config
+try {
+  config = loadConfig.load(args.file)
+} catch (err) {
+  exitWithConfigError(err)
+}
+var storage = createStorage(config.db)
+storage.migrate()
+  .then(() => profiles.reduce((saved, profile) =>
+    saved.then(() => storage.saveRatingProfile(profile)), Promise.resolve()))
+  .then(() => {
+    console.log(`Imported the ratings of ${profiles.length} users.`)
+    return storage.close()
+  })
+  .catch(err => {
+    console.error(`Couldn't import the ratings: ${err.stack}`)
+    process.exit(1)
+  })
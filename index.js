@@ -1,422 +1,2326 @@
 'use strict'
 var SteamConnection = require('./steam-connection')
   , ChatConnection = require('./chat-connection')
+  , DiscordConnection = require('./discord-connection')
+  , ChatRouter = require('./chat-router')
   , debug = require('debug')('lobbysim:index')
   , steam = require('steam')
-  , knex = require('knex')
   , EventEmitter = require('events')
-  , request = require('request')
-  , parseXML = require('xml2js').parseString
+  , fs = require('fs')
+  , path = require('path')
+  , crypto = require('crypto')
+  , fairDraw = require('./fair-draw')
+  , fairness = require('./fairness')
+  , polls = require('./polls')
+  , createStorage = require('./storage').createStorage
+  , parseSteamID = require('./steam-id').parse
+  , ProfileLookup = require('./profile-lookup')
+  , AdminAPI = require('./admin-api')
+  , OverlayServer = require('./overlay-server')
+  , RatingProvider = require('./rating-provider')
+  , ChatInvites = require('./chat-invites')
+  , SteamCommands = require('./steam-commands')
+  , teamBuilder = require('./team-builder')
+  , Templates = require('./templates')
+  , Webhooks = require('./webhooks')
+  , validateChannel = require('./config').validateChannel
+  , parseChannelSetting = require('./config').parseChannelSetting
+  , ConfigError = require('./config').ConfigError
+  , assign = require('object-assign')
+
+// The longest setTimeout can wait (in ms), longer timers fire right away
+var MAX_TIMEOUT = 2147483647
 
 /**
  * A channel to connect to
  * @typedef {Object} LobbySim~Channel
+ * @property {string} [platform='twitch'] - Where the channel's chat is: 'twitch' (the Twitch channel with the same name) or 'discord'
+ * @property {string} [discordChannel] - The ID of the Discord text channel, if the platform is 'discord'
  * @property {number} chatID - The ID of the Steam group chat associated with this channel
  * @property {number} mainUser - The Steam ID of the main user for a chat that should always be allowed
+ * @property {string} [locale] - The bundled locale to use in this channel (defaults to config.locale)
+ * @property {Object.<string, string>} [messages] - Message templates that override the locale's ones in this channel
+ * @property {string} [joinLink='steam://friends/joinchat/<chatID>'] - The link to the Steam group chat
+ * @property {Fairness~Rules} [fairness] - Fairness rules for this channel (defaults to config.fairness)
+ * @property {Array.<string>} [steamModerators] - SteamID64s of the users who may use moderator commands in the Steam chat (defaults to config.steamModerators). The mainUser always may.
+ * @property {string} [teamFormat] - Split the winners into teams of this format (e.g. '4v4') whenever a drawing is closed
+ * @property {number} [checkInWindow] - How many seconds winners have to join the Steam chat before they are rerolled. Winners aren't rerolled automatically if this isn't set.
+ * @property {boolean} [requireVerified=false] - Only let users enter whose Steam profile is verified: they have to put a code the bot whispers them into its summary or name once
+ * @property {number} [banAfterKicks] - After how many kicks users who keep entering the Steam chat without being allowed are banned from it (defaults to config.banAfterKicks)
+ * @property {number} [kickWindow] - After how many seconds without a kick the kicks of a user are forgotten (defaults to config.kickWindow)
+ * @property {number} [minRating] - The rating entrants need at least, unless the drawing is opened with min=
+ * @property {number} [maxRating] - The rating entrants may have at most, unless the drawing is opened with max=
+ * @property {string} [ratingMode='team'] - Which rating minRating and maxRating apply to ('1v1' or 'team')
+ * @property {number} [pollDuration] - How many seconds polls among the winners run by default (defaults to config.pollDuration)
+ * @property {Object.<string, string>} [settings] - Lobby setting presets that moderators can post with !settings, by name
+ * @property {OverlayServer~Theme} [overlayTheme] - The look of this channel's overlay (defaults to config.overlay.theme)
  */
 
 /**
- * A Twitch channel name (a string starting with #)
+ * A channel name (a string starting with #). For Twitch channels, it is the name of the Twitch channel.
  * @typedef {string} LobbySim~TwitchChannel
  */
 
+/**
+ * Parse a duration like 90s, 5m, 1h30m or 7d
+ * @param {string} text - The duration
+ * @return {number} - The duration in ms, or NaN if it isn't a duration
+ */
+function parseDuration(text) {
+  let match = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(text || '')
+  if (match === null || text === '') {
+    return NaN
+  }
+  let d = parseInt(match[1] || 0, 10)
+    , h = parseInt(match[2] || 0, 10)
+    , m = parseInt(match[3] || 0, 10)
+    , sec = parseInt(match[4] || 0, 10)
+  return (((d * 24 + h) * 60 + m) * 60 + sec) * 1000
+}
+
+/**
+ * Parse the arguments to !draw open: an optional duration and number of
+ * winners, followed by rating requirements like min=1200, max=1800 or mode=1v1
+ * @param {Array.<string>} args - The arguments after 'open'
+ * @return {?LobbySim~OpenOptions} - The options, or null if the arguments are invalid
+ */
+function parseOpenArgs(args) {
+  let options = {}
+  let positional = []
+  for (let arg of args) {
+    let match = /^(min|max|mode)=(.*)$/.exec(arg)
+    if (match === null) {
+      positional.push(arg)
+    } else if (match[1] === 'mode') {
+      if (match[2] !== '1v1' && match[2] !== 'team') {
+        return null
+      }
+      options.ratingMode = match[2]
+    } else {
+      let rating = /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : NaN
+      if (isNaN(rating)) {
+        return null
+      }
+      options[match[1] === 'min' ? 'minRating' : 'maxRating'] = rating
+    }
+  }
+  if (positional.length !== 0) {
+    options.duration = parseDuration(positional[0])
+    options.nWinners = parseInt(positional[1], 10)
+    if (!(options.duration > 0 && options.nWinners > 0) || positional.length > 2) {
+      return null
+    }
+  }
+  return options
+}
+
+/**
+ * Options for opening a drawing
+ * @typedef {Object} LobbySim~OpenOptions
+ * @property {number} [duration] - Close the drawing automatically after this many ms
+ * @property {number} [nWinners] - How many winners to pick when closing automatically
+ * @property {?number} [minRating] - The rating entrants need at least (defaults to the channel's minRating)
+ * @property {?number} [maxRating] - The rating entrants may have at most (defaults to the channel's maxRating)
+ * @property {string} [ratingMode] - Which rating the requirements apply to (defaults to the channel's ratingMode)
+ */
+
+/**
+ * A drawing was opened
+ * @event LobbySim#drawing-opened
+ * @type {Object}
+ * @property {string} channel - Channel of the drawing
+ * @property {number} drawingID - ID of the drawing
+ * @property {string} moderator - Username of the moderator who opened it
+ * @property {number} openedAt - When it was opened
+ * @property {?number} closesAt - When it closes automatically, if it's timed
+ * @property {?number} winnerCount - How many winners are picked when it closes automatically
+ * @property {?number} minRating - The rating entrants need at least
+ * @property {?number} maxRating - The rating entrants may have at most
+ * @property {?string} ratingMode - Which rating minRating and maxRating apply to
+ * @property {string} commitment - The commitment to the drawing's seed
+ * @property {number} time - When the event happened
+ */
+
+/**
+ * A drawing was closed and its winners were picked
+ * @event LobbySim#drawing-closed
+ * @type {Object}
+ * @property {string} channel - Channel of the drawing
+ * @property {number} drawingID - ID of the drawing
+ * @property {string} moderator - Username of the moderator who closed it (the one who opened it for timed drawings)
+ * @property {number} closedAt - When it was closed
+ * @property {Array.<string>} entrants - Usernames of everyone who entered
+ * @property {number} tickets - How many tickets there were
+ * @property {Array.<string>} winners - Usernames of the winners
+ * @property {string} seed - The revealed seed
+ * @property {string} commitment - The commitment to the seed
+ * @property {number} time - When the event happened
+ */
+
+/**
+ * A user entered a drawing
+ * @event LobbySim#entry-added
+ * @type {Object}
+ * @property {string} channel - Channel of the drawing
+ * @property {number} drawingID - ID of the drawing
+ * @property {string} username - Username of the entrant
+ * @property {number} tickets - How many tickets they got
+ * @property {number} time - When the event happened
+ */
+
+/**
+ * A user left a drawing with !quit
+ * @event LobbySim#entry-removed
+ * @type {Object}
+ * @property {string} channel - Channel of the drawing
+ * @property {number} drawingID - ID of the drawing
+ * @property {string} username - Username of the entrant
+ * @property {number} time - When the event happened
+ */
+
+/**
+ * A winner was picked, when closing a drawing or rerolling
+ * @event LobbySim#winner-picked
+ * @type {Object}
+ * @property {string} channel - Channel of the drawing
+ * @property {number} drawingID - ID of the drawing
+ * @property {string} username - Username of the winner
+ * @property {number} position - How many picks were made before this one
+ * @property {?string} steamID - SteamID64 of the winner, if it is known
+ * @property {number} time - When the event happened
+ */
+
+/**
+ * A winner was removed so another one can be picked
+ * @event LobbySim#winner-rerolled
+ * @type {Object}
+ * @property {string} channel - Channel of the drawing
+ * @property {number} drawingID - ID of the drawing
+ * @property {string} username - Username of the removed winner
+ * @property {string} rerolledBy - Who rerolled them: a username, a SteamID64 or 'no-show' for automatic rerolls
+ * @property {number} time - When the event happened
+ */
+
+/**
+ * A user was kicked from a Steam chat
+ * @event LobbySim#user-kicked
+ * @type {Object}
+ * @property {string} channel - Channel of the chat
+ * @property {string} chatID - ID of the chat
+ * @property {string} steamID - SteamID64 of the user
+ * @property {string} reason - 'forbidden' if they weren't allowed in the chat, 'banned' if they were banned from it because they are on its blocklist, 'removed' if a moderator removed them
+ * @property {number} time - When the event happened
+ */
+
+/**
+ * The state of the connection to a chat platform or Steam changed
+ * @event LobbySim#connection-state
+ * @type {Object}
+ * @property {string} service - 'twitch', 'discord' or 'steam'
+ * @property {?string} client - Which client changed ('chat' or 'group' for Twitch, 'gateway' for Discord), null for Steam
+ * @property {string} state - 'connecting', 'logon', 'connected', 'disconnected' or 'reconnect'
+ * @property {?string} reason - Why it disconnected
+ * @property {number} time - When the event happened
+ */
+
+/**
+ * A channel couldn't be added, changed or removed
+ * @property {string} code - 'exists', 'unknown', 'invalid' or 'busy'
+ */
+class ChannelError extends Error {
+  /**
+   * Create a channel error
+   * @param {string} code - What went wrong
+   * @param {string} message - A description of the error
+   */
+  constructor(code, message) {
+    super(message)
+    this.name = 'ChannelError'
+    this.code = code
+  }
+}
+
 /** The main Lobby Simulator class */
 class LobbySim extends EventEmitter {
   /**
    * Create a Lobby Simulator
-   * @param {Object} config - The configuration
+   * @param {Object} config - The configuration (see config.js for loading and validating it)
    * @param {SteamConnection~Options} config.steam - Configuration for the Steam connection
    * @param {Object} config.irc - Configuration for the Chat connection
    * @param {string} config.irc.username - Twitch username to use
    * @param {string} config.irc.password - OAuth token to authenticate with
-   * @param {Object} config.db - A knex connection configuration
-   * @param {number} config.subMultiplier - The multiplier for subscriber entries
-   * @param {Object.<LobbySim~TwitchChannel, LobbySim~Channel>} config.channels - Channels to connect to
+   * @param {DiscordConnection~Options} [config.discord] - Configuration for the Discord connection, if a channel is on Discord (without `channels`)
+   * @param {Object} config.db - A knex connection configuration, or `{client: 'memory'}` to keep everything in memory
+   * @param {number} [config.subMultiplier=1] - The multiplier for subscriber entries
+   * @param {Fairness~Rules} [config.fairness] - Cooldown and pity rules that change how many tickets entrants get
+   * @param {Array.<string>} [config.steamModerators] - SteamID64s of the users who may use moderator commands in every Steam chat
+   * @param {boolean} [config.inviteWinners=true] - Whether to add winners as Steam friends and invite them to the chat
+   * @param {number} [config.friendRequestTimeout=600] - How many seconds winners have to accept the friend request
+   * @param {number} [config.verificationTimeout=1800] - How many seconds users have to put the code that verifies their Steam profile into it
+   * @param {number} [config.banAfterKicks=3] - After how many kicks users who keep entering a Steam chat without being allowed are banned from it
+   * @param {number} [config.kickWindow=86400] - After how many seconds without a kick the kicks of a user in a Steam chat are forgotten
+   * @param {string} [config.snapshotLocation='snapshots'] - The directory to publish drawing snapshots in
+   * @param {string} [config.steamCommunityURL='https://steamcommunity.com'] - Where to look up Steam profiles
+   * @param {RatingProvider~Options} [config.ratingProvider] - Where to fetch the ratings of users who haven't got any stored yet
+   * @param {string} [config.locale='en'] - The bundled locale to take messages from (one of the files in locales/)
+   * @param {Object.<string, string>} [config.messages] - Message templates that override the locale's ones in every channel
+   * @param {Array.<number>} [config.countdown=[1800, 900, 600, 300, 120, 60, 30, 10]] - How many seconds before a timed drawing closes to announce the time left
+   * @param {number} [config.pollDuration=120] - How many seconds polls among the winners run by default
+   * @param {AdminAPI~Options} [config.adminAPI] - Start the HTTP admin API with these options
+   * @param {OverlayServer~Options} [config.overlay] - Serve the stream overlays with these options
+   * @param {Array.<Webhooks~Hook>} [config.webhooks] - Send the events of the bot to these URLs
+   * @param {Array.<string>} [config.owners] - Usernames of the users who may add, change and remove channels with !channel
+   * @param {Object.<LobbySim~TwitchChannel, LobbySim~Channel>} config.channels - Channels to connect to. Channels added, changed or removed at runtime replace them when the bot starts.
+   * @param {Object} [options] - Dependencies to use instead of the default ones
+   * @param {KnexStorage|MemoryStorage} [options.storage] - The storage to use instead of one created from config.db
+   * @param {ChatConnection} [options.chatConnection] - The chat connection to use instead of connecting to Twitch
+   * @param {DiscordConnection} [options.discordConnection] - The chat connection to use instead of connecting to Discord
+   * @param {SteamConnection} [options.steamConnection] - The Steam connection to use instead of connecting to Steam
+   * @param {ProfileLookup} [options.profileLookup] - The profile lookup to use instead of one for config.steamCommunityURL
+   * @param {RatingProvider} [options.ratingProvider] - The rating provider to use instead of one for config.ratingProvider
    */
-  constructor(config) {
+  constructor(config, options) {
     super()
+    options = options || {}
     this.config = config
-    this.initDB(config.db)
-    config.irc.channels = Object.keys(config.channels)
-    this.chatConnection = new ChatConnection(config.irc)
+    this.config.subMultiplier = config.subMultiplier || 1
+    this.config.snapshotLocation = config.snapshotLocation || 'snapshots'
+    this.config.countdown = config.countdown || [1800, 900, 600, 300, 120, 60, 30, 10]
+    this.storage = options.storage || createStorage(config.db)
+    this.chatConnection = options.chatConnection || null
+    this.discordConnection = options.discordConnection || null
+    this.chat = null
+    this.steamConnection = options.steamConnection || null
+    this.chatInvites = null
+    this.steamCommands = null
+    this.adminAPI = null
+    this.overlay = null
+    this.webhooks = config.webhooks && config.webhooks.length !== 0 ? new Webhooks(this, config.webhooks) : null
+    this.profileLookup = options.profileLookup ||
+      new ProfileLookup(config.steamCommunityURL ? {baseURL: config.steamCommunityURL} : {})
+    this.ratingProvider = options.ratingProvider ||
+      (config.ratingProvider ? new RatingProvider(config.ratingProvider) : null)
+    this.schemaVersion = null
+    this.templates = new Templates(config.locale, config.messages)
+    this.channelTemplates = {}
     this.channels = {}
-    for (var key in this.config.channels) {
-      if (this.config.channels.hasOwnProperty(key)) {
-        let channel = this.config.channels[key]
-        this.channels[channel.chatID] = {
-          allowedMembers: [channel.mainUser]
-        , state: 'joining'
-        , key: key
-        }
+    this.drawings = {}
+    this.bans = {}
+    this.verifications = {}
+    for (var channel in config.channels) {
+      if (config.channels.hasOwnProperty(channel)) {
+        this._initChannel(channel)
       }
     }
+  }
 
-    this.chatConnection.on('disconnected', (name, reason, reconnect) => {
-      if (reason === 'Unable to connect.') {
-        reconnect()
+  /**
+   * Start the bot: migrate the database, restore the channels changed at runtime, the drawings and the bans, connect to
+   * the chat platforms and Steam, restart the timers of timed drawings and start the admin API and the overlays
+   * @return {Promise} - Resolves once the database is ready, the connections are being established and the servers are listening
+   */
+  start() {
+    return this.migrateDB()
+      .then(() => this.loadChannels())
+      .then(() => this.loadDrawings())
+      .then(() => this.loadBans())
+      .then(() => this.connect())
+      .then(() => {
+        for (var channel in this.drawings) {
+          if (this.drawings[channel].open && this.drawings[channel].closesAt !== null) {
+            debug(`Restarting the timer of the drawing in ${channel}`)
+            this._scheduleClose(channel)
+          }
+          if (this.drawings[channel].poll !== null) {
+            debug(`Restarting the timer of the poll in ${channel}`)
+            this._schedulePollEnd(channel)
+          }
+        }
+        let listening = []
+        if (this.config.adminAPI) {
+          this.adminAPI = new AdminAPI(this, this.config.adminAPI)
+          listening.push(this.adminAPI.listen())
+        }
+        if (this.config.overlay) {
+          this.overlay = new OverlayServer(this, this.config.overlay)
+          listening.push(this.overlay.listen())
+        }
+        return Promise.all(listening)
+      })
+  }
+
+  /**
+   * Stop the bot: stop the timers of drawings, polls and check-ins, the admin API, the overlays and the webhooks,
+   * disconnect from the chat platforms and Steam and close the storage. Open drawings stay open in the database and
+   * are restored by start().
+   * @return {Promise} - Resolves once the servers and the storage are closed
+   */
+  stop() {
+    Object.keys(this.drawings).forEach(channel => {
+      let drawing = this.drawings[channel]
+      clearInterval(drawing.msgInterval)
+      clearTimeout(drawing.timer)
+      if (drawing.poll !== null) {
+        clearTimeout(drawing.poll.timer)
       }
+      Object.keys(drawing.checkIns).forEach(winner => this._cancelCheckIn(channel, winner))
+    })
+    if (this.webhooks !== null) {
+      this.webhooks.close()
+    }
+    if (this.chatInvites !== null) {
+      this.chatInvites.close()
+    }
+    if (this.chat !== null) {
+      this.chat.close()
+    }
+    if (this.steamConnection !== null) {
+      this.steamConnection.disconnect()
+    }
+    let closing = []
+    if (this.adminAPI !== null) {
+      closing.push(this.adminAPI.close())
+    }
+    if (this.overlay !== null) {
+      closing.push(this.overlay.close())
+    }
+    return Promise.all(closing).then(() => this.storage.close())
+  }
+
+  /**
+   * Run all pending database migrations
+   * @return {Promise.<number>} - The schema version after migrating
+   */
+  migrateDB() {
+    return this.storage.migrate().then(version => {
+      this.schemaVersion = version
+      debug(`Database is at schema version ${this.schemaVersion}`)
+      this.emit('initialized-db')
+      return version
+    })
+  }
+
+  /**
+   * Apply the channels that were added, changed or removed at runtime to the
+   * ones from the configuration
+   * @return {Promise}
+   */
+  loadChannels() {
+    return this.storage.getChannels().then(rows => {
+      rows.forEach(row => {
+        if (this.config.channels.hasOwnProperty(row.name)) {
+          this._dropChannel(row.name)
+        }
+        if (row.settings !== null) {
+          debug(`Using the settings of ${row.name} that ${row.updatedBy} saved`)
+          this.config.channels[row.name] = row.settings
+          this._initChannel(row.name)
+        } else {
+          debug(`Leaving out ${row.name}, which ${row.updatedBy} removed`)
+        }
+      })
     })
+  }
+
+  /**
+   * Restore the latest drawing of every channel from the database
+   * @return {Promise}
+   */
+  loadDrawings() {
+    return Promise.all(Object.keys(this.drawings).map(channel => this._loadDrawing(channel)))
+  }
+
+  /**
+   * Restore the bans and the Steam chat blocklist of every channel from the database
+   * @return {Promise}
+   */
+  loadBans() {
+    return Promise.all(Object.keys(this.bans).map(channel => this._loadBans(channel)))
+  }
+
+  /**
+   * Connect to the chat platforms of the channels and to Steam (unless
+   * connections were passed to the constructor)
+   */
+  connect() {
+    let channels = Object.keys(this.config.channels)
+    this.chat = new ChatRouter({}, channel => this._platform(channel))
+    this.chat.setTemplates(channel => this.channelTemplates[channel] || this.templates)
+    if (this.chatConnection !== null || channels.some(channel => this._platform(channel) === 'twitch')) {
+      this._chatAdapter('twitch')
+    }
+    if (this.discordConnection !== null || channels.some(channel => this._platform(channel) === 'discord')) {
+      this._chatAdapter('discord')
+    }
 
-    this.chatConnection.addCommand('!draw', {
+    this.chat.addCommand('!draw', {
       requiredLevel: 'mod'
     , cb: (user, args, message, channel) => {
         switch (args[0]) {
-          case 'open':
-            this.openDrawing(channel, user.username)
+          case 'open': {
+            let options = parseOpenArgs(args.slice(1))
+            if (options === null) {
+              this.drawingUsage(channel, user.username)
+              break
+            }
+            this.openDrawing(channel, user.username, options)
+              .catch(this._failed(channel, user.username, 'failedOpen'))
             break
+          }
           case 'close':
             this.closeDrawing(channel, user.username, args[1])
+              .catch(this._failed(channel, user.username, 'failedClose'))
             break
           case 'reroll':
             this.rerollDrawing(channel, user.username, args[1])
+              .catch(this._failed(channel, user.username, 'failedReroll'))
+            break
+          case 'info':
+            this.drawingInfo(channel, user.username, parseInt(args[1], 10))
+              .catch(this._failed(channel, user.username, 'failedInfo'))
+            break
+          case 'tickets':
+            this.ticketInfo(channel, user.username, args[1])
+              .catch(this._failed(channel, user.username, 'failedTickets'))
+            break
+          case 'ban': {
+            let duration = parseDuration(args[2])
+            this.banUser(channel, user.username, args[1], {
+              duration: duration > 0 ? duration : undefined
+            , reason: args.slice(duration > 0 ? 3 : 2).join(' ') || undefined
+            }).catch(this._failed(channel, user.username, 'failedBan'))
+            break
+          }
+          case 'unban':
+            this.unbanUser(channel, user.username, args[1])
+              .catch(this._failed(channel, user.username, 'failedUnban'))
+            break
+          case 'bans':
+            this.chat.whisper(user.username, this._bansMsg(channel))
             break
           default:
-            this.drawingUsage(user.username)
+            this.drawingUsage(channel, user.username)
         }
       }
     })
 
-    this.chatConnection.addCommand('!play', {
+    this.chat.addCommand('!play', {
       cb: (user, args, message, channel) => {
         if (!this.drawings[channel].open) {
-          this.chatConnection.whisper(user.username, 'There is no open drawing!')
-          debug(`${user['display-name']} tried to enter a closed drawing in ${channel}`)
+          this.chat.whisper(user.username, this._msg(channel, 'noOpenDrawing'))
+          debug(`${user.displayName} tried to enter a closed drawing in ${channel}`)
           return
         }
+        let ban = this._activeBan(channel, user.username)
+        if (ban !== null) {
+          this.chat.whisper(user.username, ban.expiresAt === null ?
+            this._msg(channel, 'playBanned') :
+            this._msg(channel, 'playBannedUntil', {until: new Date(ban.expiresAt).toISOString()}))
+          debug(`${user.username} is banned from the drawings in ${channel}`)
+          return
+        }
+        let entered
+        let requireVerified = this.config.channels[channel].requireVerified === true
         if (args.length === 0) {
-          this.db.select('steamID', 'id')
-            .from('users')
-            .where('username', user.username)
-            .then(rows => {
-              if (rows.length === 0) {
-                this.chatConnection.whisper(user.username, 'Append a link to your steam profile to enter the drawing (e.g. !play steamcommunity.com/id/resonancesteam)')
-                return
-              }
-              if (this.drawings[channel].entries.indexOf(user.username) !== -1) {
-                this.chatConnection.whisper(user.username, 'You are already in the drawing!')
-                return
-              }
-              this.enterDrawing(channel, user)
-            })
-        } else {
-          request(args[0] + '?xml=1', (error, response, body) => {
-            if (error) {
-              debug(`Error while trying to fetch ${args[0]}: ${error}`)
-              // TODO
+          entered = this.storage.getUser(user.username).then(stored => {
+            if (stored === null) {
+              this.chat.whisper(user.username, this._msg(channel, 'needProfile'))
+              return
+            }
+            if (requireVerified && !stored.verifiedAt) {
+              this.chat.whisper(user.username, this._msg(channel, 'needVerifiedProfile'))
+              return
+            }
+            if (this.drawings[channel].entries.indexOf(user.username) !== -1) {
+              this.chat.whisper(user.username, this._msg(channel, 'alreadyEntered'))
               return
             }
-            if (response.statusCode !== 200) {
-              debug(`Status code wasn't 200 (was ${response.statusCode}) when fetching ${args[0]}`)
+            return this.enterDrawing(channel, user)
+          })
+        } else {
+          let parsed = parseSteamID(args[0])
+          if (parsed === null) {
+            debug(`${user.username} tried to enter with ${args[0]}, which isn't a Steam profile`)
+            this.chat.whisper(user.username, this._msg(channel, 'invalidProfile', {link: args[0]}))
+            return
+          }
+          // Profiles entered by ID are looked up too, so only existing public profiles are saved
+          let resolved = this.profileLookup.lookup(parsed, {requirePublic: true}).then(profile => profile.steamID)
+          entered = resolved.then(steamID => this.storage.getUser(user.username).then(stored => {
+            // The profile stays verified as long as the user enters with it
+            let verifiedAt = stored !== null && stored.steamID === steamID && stored.verifiedAt || null
+            if (verifiedAt === null && requireVerified) {
+              return this._verifyProfile(channel, user.username, steamID, args[0])
+                .then(time => time === null ? null : {steamID: steamID, verifiedAt: time})
+            }
+            return {steamID: steamID, verifiedAt: verifiedAt}
+          })).then(profile => {
+            if (profile === null) {
+              return
             }
-            parseXML(body, (err, res) => {
-              if (err) {
-                debug(`Error while trying to parse the response from ${args[0]}: ${err}`)
-                // TODO
+            debug(`Updating ${user.username} with ID ${profile.steamID}`)
+            return this.storage.saveUser(user.username, profile.steamID, profile.verifiedAt).then(() => {
+              if (this.drawings[channel].entries.indexOf(user.username) !== -1) {
                 return
               }
-              debug(`Updating ${user.username} with ID ${res.profile.steamID64[0]}`)
-              this.db.from('users')
-                .where('username', user.username)
-                .update({steamID: res.profile.steamID64[0]})
-                .then(affected => {
-                  if (affected === 0) {
-                    this.db.into('users')
-                      .insert({username: user.username, steamID: res.profile.steamID64[0]})
-                      .then(() => {
-                        this.enterDrawing(channel, user)
-                      })
-                  } else {
-                    if (this.drawings[channel].entries.indexOf(user.username) !== -1) {
-                      return
-                    }
-                    this.enterDrawing(channel, user)
-                  }
-                })
+              return this.enterDrawing(channel, user)
             })
           })
         }
+        entered.catch(err => {
+          if (err instanceof ProfileLookup.ProfileLookupError) {
+            debug(`Couldn't look up ${args[0]} for ${user.username}: ${err.message}`)
+            this.chat.whisper(user.username, this._lookupErrorMsg(channel, err, args[0]))
+            return
+          }
+          this._failed(channel, user.username, 'failedEnter')(err)
+        })
+      }
+    })
+
+    this.chat.addCommand('!quit', {
+      cb: (user, args, message, channel) => {
+        // The entries of a closed drawing are part of its published snapshot
+        if (!this.drawings[channel].open) {
+          return
+        }
+        let drawing = this.drawings[channel]
+        this._removeTickets(drawing, user.username)
+        drawing.ready
+          .then(() => this.storage.removeEntry(drawing.id, user.username))
+          .then(() => {
+            this.emit('entry-removed',
+              {channel: channel, drawingID: drawing.id, username: user.username, time: (new Date).getTime()})
+          })
+          .catch(this._failed(channel, user.username, 'failedQuit'))
       }
     })
 
-    this.chatConnection.addCommand('!quit', {
+    this.chat.addCommand('!winners', {
       cb: (user, args, message, channel) => {
-        let index = -2
-        while ((index = this.drawings[channel].entries.indexOf(user['display-name'])) != -1) {
-          this.drawings.splice(index, 1)
+        this.chat.say(channel, this._winnersMsg(channel))
+      }
+    })
+
+    this.chat.addCommand('!teams', {
+      requiredLevel: 'mod'
+    , cb: (user, args, message, channel) => {
+        let format = this._teamsFormat(channel, args[0])
+        if (format === null) {
+          this.chat.whisper(user.username, this._msg(channel, 'teamsUsage'))
+          return
         }
-        this.db.from('entries')
-          .where('username', user.username)
-          .del()
-          .then() // Empty Promise so the query gets run
+        this.buildTeams(channel, format, {shuffle: args[0] === 'shuffle'})
+          .then(teams => {
+            if (teams === null) {
+              return this._teamsTooManyMsg(channel, format).then(msg => this.chat.whisper(user.username, msg))
+            }
+          })
+          .catch(this._failed(channel, user.username, 'failedTeams'))
+      }
+    })
+
+    this.chat.addCommand('!rating', {
+      allowsWhisper: true
+    , cb: (user, args, message, channel) => {
+        let username = typeof user === 'object' ? user.username : user
+        this.ratingInfo(channel, username)
+          .catch(this._failed(channel, username, 'failedRating'))
+      }
+    })
+
+    this.chat.addCommand('!setrating', {
+      requiredLevel: 'mod'
+    , cb: (user, args, message, channel) => {
+        this.setRating(channel, user.username, args[0], args[1], args[2])
+          .catch(this._failed(channel, user.username, 'failedSetRating'))
       }
     })
 
-    this.chatConnection.addCommand('!winners', {
+    this.chat.addCommand('!vote', {
       cb: (user, args, message, channel) => {
-        this.chatConnection.say(channel, this._winnersMsg(channel))
+        let reply = msg => this.chat.whisper(user.username, msg)
+        if (args[0] === 'start' || args[0] === 'end') {
+          if (!this.chat.hasLevel(user, 'mod')) {
+            reply(this._msg(channel, 'notAllowed', {command: `!vote ${args[0]}`}))
+            return
+          }
+          this._pollCommand(channel, user.username, args, reply)
+            .catch(this._failed(channel, user.username, 'failedPoll'))
+          return
+        }
+        if (args.length === 0) {
+          reply(this._msg(channel, 'pollUsage'))
+          return
+        }
+        this.vote(channel, user.username, args.join(' '))
+          .then(answer => reply(this._msg(channel, answer.template, answer.params)))
+          .catch(this._failed(channel, user.username, 'failedVote'))
+      }
+    })
+
+    this.chat.addCommand('!settings', {
+      requiredLevel: 'mod'
+    , cb: (user, args, message, channel) => {
+        if (!this.postSettings(channel, args.join(' '))) {
+          this.chat.whisper(user.username, this._settingsListMsg(channel))
+        }
       }
     })
 
-    this.chatConnection.addCommand('!losers', {
+    this.chat.addCommand('!losers', {
       cb: (user, args, message, channel) => {
-        this.chatConnection.say(channel, `The losers are: ${user.username}!`)
+        this.chat.say(channel, this._msg(channel, 'losers', {user: user.username}))
+      }
+    })
+
+    this.chat.addCommand('!channel', {
+      allowsWhisper: true
+    , cb: (user, args, message, channel) => {
+        let username = typeof user === 'object' ? user.username : user
+        if (!this._isOwner(username)) {
+          this.chat.whisper(username, this._msg(channel, 'notAllowed', {command: '!channel'}))
+          return
+        }
+        this._channelCommand(channel, username, args)
       }
     })
 
-    this.steamConnection = new SteamConnection(config.steam)
-    this.steamChannels = {}
+    if (this.steamConnection === null) {
+      this.steamConnection = new SteamConnection(this.config.steam)
+    }
+    // The connection already started connecting when it was created
+    this._connectionState('steam', null, this.steamConnection.connected ? 'logon' : 'connecting', null)
+    this.steamConnection.on('connecting', () => this._connectionState('steam', null, 'connecting', null))
+    this.steamConnection.on('connected', () => this._connectionState('steam', null, 'logon', null))
+    this.steamConnection.on('logOnResponse', eresult => {
+      this._connectionState('steam', null, eresult === steam.EResult.OK ? 'connected' : 'disconnected',
+        eresult === steam.EResult.OK ? null : `Logging in failed with result ${eresult}`)
+    })
+    this.steamConnection.on('clientError', () => {
+      this._connectionState('steam', null, 'disconnected', 'Connection closed by the server')
+    })
+
+    if (this.config.inviteWinners !== false) {
+      this.chatInvites = new ChatInvites(this.steamConnection,
+        {requestTimeout: (this.config.friendRequestTimeout || 600) * 1000})
+    }
 
     this.steamConnection.friends.on('relationships', this.joinSteamChats.bind(this))
     this.steamConnection.friends.on('chatEnter', this.steamChatEntered.bind(this))
     this.steamConnection.friends.on('chatStateChange', this.steamStateChanged.bind(this))
 
-    this.drawings = {}
-    for (var channel in config.channels) {
-      if (config.channels.hasOwnProperty(channel)) {
-        this.drawings[channel] = {
-          open: false
-        , winners: []
-        , entries: []
-        , msgInterval: () => {}
-        , lastTime: -1
-        }
-        this.on('initialized-db', () => {
-          this.db.select('id', 'open', 'lastTime').from('drawings')
-            .where('channel', channel)
-            .then((rows) => {
-              if (rows.length === 0) {
-                debug(`Creating entry for ${channel} in database...`)
-                this.db.insert({
-                  open: false
-                , channel: channel
-                , lastTime: -1
-                }).into('drawings').then(id => {
-                  debug(`Created entry for ${channel} in database with ID ${id[0]}`)
-                  this.drawings[channel].id = id[0]
-                })
-              } else {
-                this.drawings[channel].id = rows[0].id
-                this.drawings[channel].open = rows[0].open
-                this.drawings[channel].lastTime = rows[0].lastTime
-                debug(`Fetching entries + winners for drawing in ${channel} from database...`)
-                this.db.select('username').from('entries')
-                  .where('draw_id', rows[0].id)
-                  .then(rows => {
-                    this.drawings[channel].entries = rows.map(row => row.username)
-                  })
-                this.db.select('username', 'steamID')
-                  .from('winners')
-                  .join('users', 'winners.user', 'users.username')
-                  .whereRaw('time = (select max(time) from winners)')
-                  .andWhere('channel', channel)
-                  .then(rows => {
-                    this.drawings[channel].winners = rows.map(row => row.username)
-                    let channelConfig = this.config.channels[channel]
-                    this.channels[channelConfig.chatID].allowedMembers = [channelConfig.mainUser]
-                      .concat(rows.map(row => row.steamID))
-                  })
-              }
-            })
-        })
-      }
+    this.steamCommands = new SteamCommands(this.steamConnection)
+    this.steamCommands.setTemplates(chatID => chatID in this.channels ?
+      this.channelTemplates[this.channels[chatID].key] : this.templates)
+    for (var chatID in this.channels) {
+      this.steamCommands.setModerators(chatID, this._baseMembers(this.channels[chatID].key))
     }
-  }
 
-  /**
-   * Initialize the database
-   * @param {Object} cfg - A knex database configuration
-   */
-  initDB(cfg) {
-    this.db = knex(cfg)
-    let tableCount = 0
-    let incTableCount = () => {
-      tableCount++
-      if (tableCount === 4) {
-        debug('Done initializing database')
-        this.emit('initialized-db')
-      } else {
-        debug(`Initialized table ${tableCount}/4`)
+    this.steamCommands.addCommand('!reroll', {
+      requiredLevel: 'mod'
+    , cb: (userID, args, message, chatID) => {
+        if (chatID in this.channels) {
+          this.steamReroll(chatID, userID, args[0])
+            .catch(this._steamFailed(chatID, 'failedReroll'))
+        }
       }
-    }
-    debug('checking users')
-    this.db.schema.hasTable('users')
-      .then(exists => {
-        debug('checked users')
-        if (exists) {
-          incTableCount()
-          return
+    })
+
+    this.steamCommands.addCommand('!kick', {
+      requiredLevel: 'mod'
+    , cb: (userID, args, message, chatID) => {
+        if (chatID in this.channels) {
+          this.steamKick(chatID, args[0])
+            .catch(this._steamFailed(chatID, 'failedKick', args[0]))
         }
+      }
+    })
 
-        this.db.schema.createTable('users', t => {
-          t.increments('id').primary()
-          t.string('username', 50).index()
-          t.string('steamID', 20)
-        }).then(incTableCount)
-      })
-    this.db.schema.hasTable('drawings')
-      .then(exists => {
-        if (exists) {
-          incTableCount()
-          return
+    this.steamCommands.addCommand('!allow', {
+      requiredLevel: 'mod'
+    , cb: (userID, args, message, chatID) => {
+        if (chatID in this.channels) {
+          this.steamAllow(chatID, args[0])
+            .catch(this._steamFailed(chatID, 'failedAllow', args[0]))
         }
+      }
+    })
 
-        this.db.schema.createTable('drawings', t => {
-          t.increments('id').primary()
-          t.string('channel', 50).index()
-          t.boolean('open').defaultTo(false)
-          t.dateTime('lastTime')
-        }).then(incTableCount)
-      })
-    this.db.schema.hasTable('entries')
-      .then(exists => {
-        if (exists) {
-          incTableCount()
+    this.steamCommands.addCommand('!winners', {
+      cb: (userID, args, message, chatID) => {
+        if (chatID in this.channels) {
+          let winners = this.drawings[this.channels[chatID].key].winners
+          this.steamCommands.say(chatID, winners.length === 0 ?
+            this._steamMsg(chatID, 'noWinners') :
+            this._steamMsg(chatID, 'winnersList', {winners: winners.join(', ')}))
+        }
+      }
+    })
+
+    this.steamCommands.addCommand('!teams', {
+      requiredLevel: 'mod'
+    , cb: (userID, args, message, chatID) => {
+        if (!(chatID in this.channels)) {
+          return
+        }
+        let channel = this.channels[chatID].key
+        let format = this._teamsFormat(channel, args[0])
+        if (format === null) {
+          this.steamCommands.say(chatID, this._steamMsg(chatID, 'teamsUsage'))
           return
         }
+        this.buildTeams(channel, format, {shuffle: args[0] === 'shuffle'})
+          .then(teams => {
+            if (teams === null) {
+              return this._teamsTooManyMsg(channel, format).then(msg => this.steamCommands.say(chatID, msg))
+            }
+          })
+          .catch(this._steamFailed(chatID, 'failedTeams'))
+      }
+    })
 
-        this.db.schema.createTable('entries', t => {
-          t.increments('id').primary()
-          t.integer('draw_id').references('id').inTable('drawings')
-          t.string('username', 50).references('username').inTable('users')
-        }).then(incTableCount())
-      })
-    this.db.schema.hasTable('winners')
-      .then(exists => {
-        if (exists) {
-          incTableCount()
+    this.steamCommands.addCommand('!vote', {
+      cb: (userID, args, message, chatID) => {
+        if (!(chatID in this.channels)) {
           return
         }
+        let channel = this.channels[chatID].key
+        let reply = msg => this.steamCommands.say(chatID, msg)
+        if (args[0] === 'start' || args[0] === 'end') {
+          if (this.steamCommands.levelOf(chatID, userID) !== 'mod') {
+            reply(this._steamMsg(chatID, 'notAllowed', {command: `!vote ${args[0]}`}))
+            return
+          }
+          this._pollCommand(channel, userID, args, reply)
+            .catch(this._steamFailed(chatID, 'failedPoll'))
+          return
+        }
+        if (args.length === 0) {
+          reply(this._steamMsg(chatID, 'pollUsage'))
+          return
+        }
+        this._winnerBySteamID(channel, userID)
+          .then(winner => this.vote(channel, winner, args.join(' ')))
+          .then(answer => reply(this._steamMsg(chatID, answer.template, answer.params)))
+          .catch(this._steamFailed(chatID, 'failedVote'))
+      }
+    })
 
-        this.db.schema.createTable('winners', t => {
-          t.increments('id').primary()
-          t.dateTime('time')
-          t.string('channel', 50).references('channel').inTable('drawings')
-          t.string('user', 50).references('username').inTable('users')
-        }).then(incTableCount())
-      })
+    this.steamCommands.addCommand('!settings', {
+      requiredLevel: 'mod'
+    , cb: (userID, args, message, chatID) => {
+        if (chatID in this.channels && !this.postSettings(this.channels[chatID].key, args.join(' '))) {
+          this.steamCommands.say(chatID, this._settingsListMsg(this.channels[chatID].key))
+        }
+      }
+    })
+
+    this.steamCommands.addCommand('!end', {
+      requiredLevel: 'mod'
+    , cb: (userID, args, message, chatID) => {
+        if (chatID in this.channels) {
+          this.endGame(chatID)
+        }
+      }
+    })
   }
 
   /**
-   * Open a drawing in a channel
-   * @param {string} channel - Channel to open the drawing in
-   * @param {string} username - Username of the user who issued the command
+   * Add a channel while the bot is running. It is saved, so it is still there
+   * after a restart, and the bot joins its chat and Steam chat right away.
+   * @param {string} channel - Name of the channel (e.g. '#jazzpi')
+   * @param {LobbySim~Channel} settings - The settings of the channel
+   * @param {string} username - Username of who added it
+   * @return {Promise.<LobbySim~Channel>} - The settings. Rejects with a ChannelError if the channel exists or the settings are invalid.
    */
-  openDrawing(channel, username) {
-    if (this.drawings[channel].open) {
-      this.chatConnection.whisper(username, 'There already is an open drawing!')
-      return
-    }
-    debug(`Opening a drawing in ${channel}`)
-    this.drawings[channel].open = true
-    this.drawings[channel].winners = []
-    this.drawings[channel].entries = []
-    this.openDrawingMsg(channel)
-    this.drawings[channel].msgInterval = setInterval(this.openDrawingMsg.bind(this, channel), 30000)
-    this.db('drawings').where('id', this.drawings[channel].id)
-      .update({open: true})
-      .then() // Empty handler so the query gets run
-    this.db('entries').where('draw_id', this.drawings[channel].id).del().then()
+  addChannel(channel, settings, username) {
+    return Promise.resolve().then(() => {
+      if (this.config.channels.hasOwnProperty(channel)) {
+        throw new ChannelError('exists', `${channel} already is a channel`)
+      }
+      settings = this._checkChannel(channel, settings)
+      return this._saveChannel(channel, settings, username)
+    }).then(() => {
+      this.config.channels[channel] = settings
+      this._initChannel(channel)
+      return this._loadDrawing(channel).then(() => this._loadBans(channel))
+    }).then(() => {
+      debug(`${username} added ${channel}`)
+      this._joinChat(channel)
+      this._joinSteamChat(channel)
+      return settings
+    })
   }
 
   /**
-   * Close a drawing
-   * @param {string} channel - Channel to close the drawing in
-   * @param {string} username - Username of the user who issued the command
-   * @param {number} nWinners - How many winners to pick
+   * Change the settings of a channel while the bot is running. The bot moves
+   * to another chat or Steam chat if those settings changed, and a drawing
+   * that is open in the channel stays open.
+   * @param {string} channel - The channel
+   * @param {Object} changes - The settings to change. Settings that are null are removed.
+   * @param {string} username - Username of who changed it
+   * @return {Promise.<LobbySim~Channel>} - The new settings. Rejects with a ChannelError if there is no such channel or the settings are invalid.
    */
-  closeDrawing(channel, username, nWinners) {
-    if (!this.drawings[channel].open) {
-      this.chatConnection.whisper(username, 'There is no open drawing!')
-      return
-    }
-    if (isNaN(nWinners)) {
-      this.drawingUsage(username)
-      return
-    }
-    debug(`Closing drawing in ${channel}`)
-    this.drawings[channel].open = false
-    let lastTime = (new Date).getTime()
-    this.drawings[channel].lastTime = lastTime
-    this.db('drawings').where('id', this.drawings[channel].id)
-      .update({open: false, lastTime: lastTime})
-      .then() // Empty handler so the query gets run
-    clearInterval(this.drawings[channel].msgInterval)
-
-    // Pick winners
-    let entries = this.drawings[channel].entries
-    debug(`Picking winners from ${entries}`)
-    if (entries.length !== 0) {
-      for (let i = 0; i < nWinners; i++) {
-        if (this._pickWinner(channel) === null) {
-          break
-        }
+  updateChannel(channel, changes, username) {
+    let old, settings
+    return Promise.resolve().then(() => {
+      if (!this.config.channels.hasOwnProperty(channel)) {
+        throw new ChannelError('unknown', `There is no channel ${channel}`)
       }
-    }
-    this.chatConnection.say(channel, this._winnersMsg(channel))
+      old = this.config.channels[channel]
+      settings = assign({}, old)
+      Object.keys(changes).forEach(setting => {
+        if (changes[setting] === null) {
+          delete settings[setting]
+        } else {
+          settings[setting] = changes[setting]
+        }
+      })
+      settings = this._checkChannel(channel, settings)
+      return this._saveChannel(channel, settings, username)
+    }).then(() => {
+      let movedChat = this._platform(channel) !== (settings.platform || 'twitch') ||
+        old.discordChannel !== settings.discordChannel
+      let movedSteamChat = old.chatID !== settings.chatID
+      let chat = this.channels[old.chatID]
+      // Winners and users allowed by moderators stay allowed
+      let baseMembers = this._baseMembers(channel)
+      let allowed = chat.allowedMembers.filter(steamID => baseMembers.indexOf(steamID) === -1)
+      if (movedChat) {
+        this._leaveChat(channel)
+      }
+      if (movedSteamChat) {
+        this._leaveSteamChat(old.chatID)
+        delete this.channels[old.chatID]
+        chat.state = 'joining'
+        this.channels[settings.chatID] = chat
+      }
+      this.config.channels[channel] = settings
+      chat.allowedMembers = this._baseMembers(channel).concat(allowed)
+      this.channelTemplates[channel] = new Templates(settings.locale || this.config.locale,
+        assign({}, this.config.messages, settings.messages))
+      if (movedChat) {
+        this._joinChat(channel)
+      }
+      this._joinSteamChat(channel, !movedSteamChat)
+      debug(`${username} changed the settings of ${channel}`)
+      return settings
+    })
+  }
+
+  /**
+   * Remove a channel while the bot is running. The bot leaves its chat and
+   * Steam chat, and it stays removed after a restart.
+   * @param {string} channel - The channel
+   * @param {string} username - Username of who removed it
+   * @return {Promise} - Rejects with a ChannelError if there is no such channel or its drawing or poll is still running
+   */
+  removeChannel(channel, username) {
+    return Promise.resolve().then(() => {
+      if (!this.config.channels.hasOwnProperty(channel)) {
+        throw new ChannelError('unknown', `There is no channel ${channel}`)
+      }
+      let drawing = this.drawings[channel]
+      if (drawing.open || drawing.poll !== null) {
+        throw new ChannelError('busy', `The ${drawing.open ? 'drawing' : 'poll'} in ${channel} is still running`)
+      }
+      return this._saveChannel(channel, null, username)
+    }).then(() => {
+      Object.keys(this.drawings[channel].checkIns).forEach(winner => this._cancelCheckIn(channel, winner))
+      this._leaveChat(channel)
+      this._leaveSteamChat(this.config.channels[channel].chatID)
+      this._dropChannel(channel)
+      debug(`${username} removed ${channel}`)
+    })
+  }
+
+  /**
+   * Restore the latest drawing of a channel from the database
+   * @param {string} channel - Channel of the drawing
+   * @return {Promise}
+   * @private
+   */
+  _loadDrawing(channel) {
+    let drawing = this.drawings[channel]
+    return this.storage.getLatestDrawing(channel).then(record => {
+      if (record === null) {
+        debug(`There are no drawings for ${channel} in the database yet`)
+        return
+      }
+      drawing.id = record.id
+      drawing.open = record.open
+      drawing.lastTime = record.closedAt === null ? -1 : record.closedAt
+      drawing.seed = record.seed
+      drawing.commitment = record.commitment
+      drawing.moderator = record.moderator
+      drawing.closesAt = record.closesAt === undefined ? null : record.closesAt
+      drawing.winnerCount = record.winnerCount === undefined ? null : record.winnerCount
+      drawing.minRating = record.minRating === undefined ? null : record.minRating
+      drawing.maxRating = record.maxRating === undefined ? null : record.maxRating
+      drawing.ratingMode = record.ratingMode === undefined ? null : record.ratingMode
+      debug(`Fetching entries + winners for drawing ${drawing.id} in ${channel} from database...`)
+      return Promise.all([
+        this.storage.getEntries(drawing.id)
+      , this.storage.getWinners(drawing.id)
+      ]).then(results => {
+        let winners = results[1].filter(row => !row.rerolled)
+        drawing.snapshot = this._expandTickets(results[0])
+        drawing.picks = results[1].map(row => row.username)
+        drawing.winners = winners.map(row => row.username)
+        drawing.entries = drawing.snapshot.filter(username => drawing.picks.indexOf(username) === -1)
+        let channelConfig = this.config.channels[channel]
+        this.channels[channelConfig.chatID].allowedMembers = this._baseMembers(channel)
+          .concat(winners.map(row => row.steamID))
+      }).then(() => this._loadPoll(channel))
+    })
+  }
+
+  /**
+   * Restore the running poll of a channel's drawing from the database
+   * @param {string} channel - Channel of the drawing
+   * @return {Promise}
+   * @private
+   */
+  _loadPoll(channel) {
+    let drawing = this.drawings[channel]
+    return this.storage.getPolls(drawing.id).then(rows => {
+      let running = rows.filter(row => row.endedAt === null)[0]
+      if (running === undefined) {
+        return
+      }
+      return this.storage.getVotes(running.id).then(votes => {
+        debug(`Restoring poll ${running.id} about ${running.topic} in ${channel}`)
+        drawing.poll = {
+          id: running.id
+        , topic: running.topic
+        , options: running.options
+        , votes: {}
+        , endsAt: running.endsAt
+        , timer: null
+        , ready: Promise.resolve()
+        }
+        votes.forEach(vote => {
+          drawing.poll.votes[vote.username] = vote.choice
+        })
+      })
+    })
+  }
 
-    // Add winners to allowed members in steam chat
+  /**
+   * Open a drawing in a channel
+   * @param {string} channel - Channel to open the drawing in
+   * @param {string} username - Username of the user who issued the command
+   * @param {LobbySim~OpenOptions} [options]
+   * @return {Promise}
+   */
+  openDrawing(channel, username, options) {
+    let drawing = this.drawings[channel]
     let channelConfig = this.config.channels[channel]
-    this.kickForbiddenUsers(channelConfig.chatID)
+    options = options || {}
+    if (drawing.open) {
+      this.chat.whisper(username, this._msg(channel, 'alreadyOpen'))
+      return Promise.resolve()
+    }
+    debug(`Opening a drawing in ${channel}`)
+    // A poll about the last game is over once the next drawing starts
+    if (drawing.poll !== null) {
+      this.endPoll(channel).catch(err => {
+        console.error(`Couldn't end the poll in ${channel}: ${err.stack || err}`)
+      })
+    }
+    for (var winner in drawing.checkIns) {
+      this._cancelCheckIn(channel, winner)
+    }
+    // The winners of the last drawing don't need to stay friends with the bot
+    if (this.chatInvites !== null) {
+      drawing.invited.forEach(steamID => this.chatInvites.release(steamID))
+    }
+    drawing.invited = []
+    drawing.teams = null
+    drawing.open = true
+    drawing.winners = []
+    drawing.entries = []
+    drawing.snapshot = []
+    drawing.picks = []
+    drawing.seed = fairDraw.createSeed()
+    drawing.commitment = fairDraw.commit(drawing.seed)
+    drawing.moderator = username
+    let openedAt = (new Date).getTime()
+    drawing.closesAt = options.duration === undefined ? null : openedAt + options.duration
+    drawing.winnerCount = options.duration === undefined ? null : options.nWinners
+    drawing.minRating = options.minRating !== undefined ? options.minRating :
+      channelConfig.minRating === undefined ? null : channelConfig.minRating
+    drawing.maxRating = options.maxRating !== undefined ? options.maxRating :
+      channelConfig.maxRating === undefined ? null : channelConfig.maxRating
+    drawing.ratingMode = drawing.minRating === null && drawing.maxRating === null ? null :
+      options.ratingMode || channelConfig.ratingMode || 'team'
+    // Entries have to wait for the drawing's ID
+    drawing.ready = this.storage.createDrawing({
+      channel: channel
+    , open: true
+    , openedAt: openedAt
+    , moderator: username
+    , seed: drawing.seed
+    , commitment: drawing.commitment
+    , closesAt: drawing.closesAt
+    , winnerCount: drawing.winnerCount
+    , minRating: drawing.minRating
+    , maxRating: drawing.maxRating
+    , ratingMode: drawing.ratingMode
+    }).then(id => {
+      debug(`Created drawing for ${channel} in database with ID ${id}`)
+      drawing.id = id
+    })
+    return drawing.ready.then(() => {
+      this.emit('drawing-opened', {
+        channel: channel
+      , drawingID: drawing.id
+      , moderator: username
+      , openedAt: openedAt
+      , closesAt: drawing.closesAt
+      , winnerCount: drawing.winnerCount
+      , minRating: drawing.minRating
+      , maxRating: drawing.maxRating
+      , ratingMode: drawing.ratingMode
+      , commitment: drawing.commitment
+      , time: (new Date).getTime()
+      })
+      if (drawing.closesAt === null) {
+        this.openDrawingMsg(channel)
+        drawing.msgInterval = setInterval(this.openDrawingMsg.bind(this, channel), 30000)
+      } else {
+        this.chat.say(channel, this._msg(channel, 'openTimedDrawing',
+          {timeLeft: this._duration(channel, options.duration), winnerCount: options.nWinners}))
+        this._scheduleClose(channel)
+      }
+      if (drawing.ratingMode !== null) {
+        this.chat.say(channel, this._ratingRequirementMsg(channel))
+      }
+      this.chat.say(channel, this._msg(channel, 'commitment', {commitment: drawing.commitment}))
+    }, err => {
+      drawing.open = false
+      throw err
+    })
+  }
+
+  /**
+   * Close a drawing
+   * @param {string} channel - Channel to close the drawing in
+   * @param {string} username - Username of the user who issued the command
+   * @param {number} [nWinners] - How many winners to pick. Optional for timed drawings.
+   * @return {Promise}
+   */
+  closeDrawing(channel, username, nWinners) {
+    let drawing = this.drawings[channel]
+    if (!drawing.open) {
+      this.chat.whisper(username, this._msg(channel, 'noOpenDrawing'))
+      return Promise.resolve()
+    }
+    if (nWinners === undefined && drawing.winnerCount !== null) {
+      nWinners = drawing.winnerCount
+    }
+    if (isNaN(nWinners)) {
+      this.drawingUsage(channel, username)
+      return Promise.resolve()
+    }
+    debug(`Closing drawing in ${channel}`)
+    drawing.open = false
+    let lastTime = (new Date).getTime()
+    drawing.lastTime = lastTime
+    clearInterval(drawing.msgInterval)
+    clearTimeout(drawing.timer)
+
+    debug(`Picking winners from ${drawing.entries}`)
+    return drawing.ready
+      .then(() => this.storage.updateDrawing(drawing.id, {open: false, closedAt: lastTime}))
+      .then(() => this._pickWinners(channel, nWinners))
+      .then(() => {
+        this.chat.say(channel, this._winnersMsg(channel))
+        this.chat.say(channel, this._msg(channel, 'seed',
+          {seed: drawing.seed, commitment: drawing.commitment}))
+        this._writeSnapshot(channel)
+        this.emit('drawing-closed', {
+          channel: channel
+        , drawingID: drawing.id
+        , moderator: username
+        , closedAt: lastTime
+        , entrants: drawing.snapshot.filter((entrant, i) => drawing.snapshot.indexOf(entrant) === i)
+        , tickets: drawing.snapshot.length
+        , winners: drawing.winners.slice()
+        , seed: drawing.seed
+        , commitment: drawing.commitment
+        , time: (new Date).getTime()
+        })
+
+        // Add winners to allowed members in steam chat
+        let channelConfig = this.config.channels[channel]
+        this.kickForbiddenUsers(channelConfig.chatID)
+
+        if (channelConfig.teamFormat !== undefined && drawing.winners.length > 0) {
+          return this.buildTeams(channel, channelConfig.teamFormat).then(teams => {
+            if (teams === null) {
+              console.error(`The winners in ${channel} don't fit into teams of ${channelConfig.teamFormat}`)
+            }
+          })
+        }
+      })
   }
 
   /** Enter a user into a drawing
    * @param {Object} user - User object
    * @param {string} channel - Channel of the drawing
+   * @return {Promise}
    */
   enterDrawing(channel, user) {
-    debug(`Adding tickets for ${user.username}`)
-    let tickets = user.subscriber ? this.config.subMultiplier : 1
-    for (let i = 0; i < tickets; i++) {
-      debug(`Adding a ticket for ${user.username}`)
-      this.drawings[channel].entries.push(user.username)
-      this.db.into('entries')
-        .insert({username: user.username, draw_id: this.drawings[channel].id})
-        .then() // Empty Promise so the query gets run
+    let drawing = this.drawings[channel]
+    let ratingMode = drawing.ratingMode
+    return this._checkRating(channel, user.username).then(allowed => {
+      if (!allowed) {
+        return null
+      }
+      return this.ticketsFor(channel, user.username, user.subscriber)
+    }).then(result => {
+      // The drawing might have changed while the rating and history were looked up
+      if (result === null || !drawing.open || drawing.ratingMode !== ratingMode ||
+          drawing.entries.indexOf(user.username) !== -1 || this._activeBan(channel, user.username) !== null) {
+        return
+      }
+      if (result.tickets === 0) {
+        debug(`${user.username} is on cooldown in ${channel} after winning drawing ${result.cooldown}`)
+        this.chat.whisper(user.username, this._msg(channel, 'onCooldown', {id: result.cooldown}))
+        return
+      }
+      let tickets = result.tickets
+      debug(`Adding ${tickets} tickets for ${user.username} (${result.base} base, ${result.bonus} bonus, ` +
+        `cooldown ${result.cooldown})`)
+      for (let i = 0; i < tickets; i++) {
+        drawing.entries.push(user.username)
+        drawing.snapshot.push(user.username)
+      }
+      return drawing.ready
+        .then(() => this.storage.addEntry(drawing.id, user.username, tickets))
+        .then(() => {
+          this.emit('entry-added', {
+            channel: channel
+          , drawingID: drawing.id
+          , username: user.username
+          , tickets: tickets
+          , time: (new Date).getTime()
+          })
+        }, err => {
+          this._removeTickets(drawing, user.username)
+          throw err
+        })
+    })
+  }
+
+  /**
+   * Check if a user meets the rating requirements of a channel's drawing and
+   * whisper them why not if they don't
+   * @param {string} channel - Channel of the drawing
+   * @param {string} username - Username of the user
+   * @return {Promise.<boolean>} - Whether the user may enter
+   * @private
+   */
+  _checkRating(channel, username) {
+    let drawing = this.drawings[channel]
+    if (drawing.ratingMode === null) {
+      return Promise.resolve(true)
     }
+    let mode = drawing.ratingMode
+      , min = drawing.minRating
+      , max = drawing.maxRating
+    return this.ratingFor(username, mode).then(rating => {
+      let template = rating === null ? 'ratingRequired' :
+        min !== null && rating < min ? 'ratingTooLow' :
+        max !== null && rating > max ? 'ratingTooHigh' : null
+      if (template === null) {
+        return true
+      }
+      debug(`${username} doesn't meet the rating requirements in ${channel} (${mode} rating ${rating})`)
+      this.chat.whisper(username, this._msg(channel, template, {
+        mode: mode
+      , rating: rating
+      , min: min
+      , max: max
+      }))
+      return false
+    })
+  }
+
+  /**
+   * Look up a rating of a user, fetching it from the rating provider if none is stored
+   * @param {string} username - Username of the user
+   * @param {string} mode - '1v1' or 'team'
+   * @return {Promise.<?number>} - The rating, or null if the user hasn't got one
+   */
+  ratingFor(username, mode) {
+    let column = mode === '1v1' ? 'rating1v1' : 'ratingTeam'
+    return this.storage.getRatingProfile(username).then(profile => {
+      if (profile !== null && profile[column] !== null || this.ratingProvider === null) {
+        return profile === null ? null : profile[column]
+      }
+      return this.storage.getUser(username).then(stored => {
+        if (stored === null) {
+          return null
+        }
+        return this.ratingProvider.lookup(stored.steamID).then(ratings => {
+          if (ratings === null) {
+            debug(`The rating provider doesn't know ${username} (${stored.steamID})`)
+            return null
+          }
+          debug(`Fetched ratings for ${username}: ${JSON.stringify(ratings)}`)
+          return this.storage.saveRatingProfile({
+            username: username
+          , rating1v1: ratings.rating1v1
+          , ratingTeam: ratings.ratingTeam
+          , source: 'provider'
+          , updatedAt: (new Date).getTime()
+          }).then(() => ratings[column])
+        })
+      }).catch(err => {
+        // Entering shouldn't fail just because the provider is down
+        console.error(`Couldn't fetch the ratings of ${username}: ${err.message}`)
+        return null
+      })
+    })
+  }
+
+  /**
+   * Whisper a user their stored ratings
+   * @param {string} [channel] - Channel the command was issued in (not set for whispers)
+   * @param {string} username - Username of the user
+   * @return {Promise}
+   */
+  ratingInfo(channel, username) {
+    return this.storage.getRatingProfile(username).then(profile => {
+      if (profile === null || profile.rating1v1 === null && profile.ratingTeam === null) {
+        this.chat.whisper(username, this._msg(channel, 'noRating'))
+        return
+      }
+      let rating = value => value === null ? this._msg(channel, 'none') : value
+      this.chat.whisper(username, this._msg(channel, 'ratingInfo', {
+        rating1v1: rating(profile.rating1v1)
+      , ratingTeam: rating(profile.ratingTeam)
+      }))
+    })
+  }
+
+  /**
+   * Set a rating of a user
+   * @param {string} channel - Channel the command was issued in
+   * @param {string} username - Username of the moderator who issued the command
+   * @param {string} target - Username of the user whose rating to set
+   * @param {string} mode - '1v1' or 'team'
+   * @param {string} value - The rating, or 'none' to remove it
+   * @return {Promise}
+   */
+  setRating(channel, username, target, mode, value) {
+    let rating = value === 'none' ? null : /^\d+$/.test(value) ? parseInt(value, 10) : NaN
+    if (target === undefined || (mode !== '1v1' && mode !== 'team') || isNaN(rating)) {
+      this.chat.whisper(username, this._msg(channel, 'setRatingUsage'))
+      return Promise.resolve()
+    }
+    target = target.toLowerCase()
+    debug(`${username} set the ${mode} rating of ${target} to ${rating}`)
+    let profile = {username: target, source: 'manual', updatedAt: (new Date).getTime()}
+    profile[mode === '1v1' ? 'rating1v1' : 'ratingTeam'] = rating
+    return this.storage.saveRatingProfile(profile).then(() => {
+      this.chat.whisper(username, this._msg(channel, rating === null ? 'ratingRemoved' : 'ratingSet',
+        {user: target, mode: mode, rating: rating}))
+    })
+  }
+
+  /**
+   * Describe the rating requirements of a channel's drawing
+   * @param {string} channel - Channel of the drawing
+   * @return {string}
+   * @private
+   */
+  _ratingRequirementMsg(channel) {
+    let drawing = this.drawings[channel]
+    let template = drawing.maxRating === null ? 'ratingRequirementMin' :
+      drawing.minRating === null ? 'ratingRequirementMax' : 'ratingRequirementRange'
+    return this._msg(channel, template, {mode: drawing.ratingMode, min: drawing.minRating, max: drawing.maxRating})
+  }
+
+  /**
+   * Work out how many tickets a user gets in a channel's next drawing
+   * @param {string} channel - Channel of the drawing
+   * @param {string} username - Username of the user
+   * @param {boolean} subscriber - Whether the user is a subscriber
+   * @return {Promise.<Fairness~Tickets>}
+   */
+  ticketsFor(channel, username, subscriber) {
+    let rules = this._fairness(channel)
+    return this._history(channel, username, rules).then(history => {
+      return fairness.tickets(rules, subscriber ? this.config.subMultiplier : 1, history, (new Date).getTime())
+    })
+  }
+
+  /**
+   * Whisper to a moderator how many tickets a user gets
+   * @param {string} channel - Channel the command was issued in
+   * @param {string} username - Username of the user who issued the command
+   * @param {string} target - Username of the user to look up
+   * @return {Promise}
+   */
+  ticketInfo(channel, username, target) {
+    if (target === undefined) {
+      this.drawingUsage(channel, username)
+      return Promise.resolve()
+    }
+    target = target.toLowerCase()
+    let drawing = this.drawings[channel]
+    let entered = drawing.snapshot.filter(entry => entry === target).length
+    if (drawing.open && entered > 0) {
+      this.chat.whisper(username, this._msg(channel, 'ticketsEntered', {user: target, tickets: entered}))
+      return Promise.resolve()
+    }
+    let rules = this._fairness(channel)
+    return this._history(channel, target, rules).then(history => {
+      let now = (new Date).getTime()
+      let result = fairness.tickets(rules, 1, history, now)
+      let sub = fairness.tickets(rules, this.config.subMultiplier, history, now)
+      this.chat.whisper(username, this._msg(channel, result.cooldown === null ? 'ticketsInfo' : 'ticketsInfoCooldown', {
+        user: target
+      , tickets: result.tickets
+      , subTickets: sub.tickets
+      , bonus: result.bonus
+      , streak: result.streak
+      , id: result.cooldown
+      }))
+    })
+  }
+
+  /**
+   * The fairness rules of a channel, with their defaults
+   * @param {string} channel - The channel
+   * @return {Fairness~Rules}
+   * @private
+   */
+  _fairness(channel) {
+    let channelConfig = this.config.channels[channel]
+    return fairness.normalize(channelConfig.fairness || this.config.fairness)
+  }
+
+  /**
+   * Get the previous drawings of a channel that a set of rules needs
+   * @param {string} channel - The channel
+   * @param {string} username - Username of the user
+   * @param {Fairness~Rules} rules - The rules (with their defaults)
+   * @return {Promise.<Array.<Fairness~HistoryEntry>>}
+   * @private
+   */
+  _history(channel, username, rules) {
+    let since = rules.cooldown && rules.cooldown.hours > 0 ?
+      (new Date).getTime() - rules.cooldown.hours * 60 * 60 * 1000 : undefined
+    let limit = fairness.historyLength(rules)
+    if (limit === 0 && since === undefined) {
+      return Promise.resolve([])
+    }
+    return this.storage.getHistory(channel, username, limit, since)
   }
 
   /** Rerolls a winner in a drawing
    * @param {string} username - Username that sent the command
    * @param {string} channel - Channel of the drawing
    * @param {string} winner - The winner to reroll
+   * @return {Promise.<?string>} - The new winner, or null if there were no entrants left
    */
   rerollDrawing(channel, username, winner) {
     if (typeof winner === 'undefined') {
-      this.drawingUsage(username)
+      this.drawingUsage(channel, username)
+      return Promise.resolve()
+    }
+    return this._removeWinner(channel, winner, username).then(removed => {
+      if (!removed) {
+        this.chat.whisper(username, this._msg(channel, 'notAWinner', {winner: winner}))
+        return
+      }
+      debug(`Rerolling user ${winner} in ${channel}`)
+      return this._pickWinner(channel).then(newWinner => {
+        if (newWinner === null) {
+          this.chat.say(channel, this._msg(channel, 'noEntrantsLeft'))
+          return null
+        }
+        this.chat.say(channel, this._msg(channel, 'replaced', {winner: winner, newWinner: newWinner}))
+        this._writeSnapshot(channel)
+        return newWinner
+      })
+    })
+  }
+
+  /**
+   * Look up a drawing, including its entrants, winners and rerolls
+   * @param {number} id - ID of the drawing
+   * @return {Promise.<?LobbySim~DrawingRecord>} - The drawing, or null if it doesn't exist
+   */
+  getDrawing(id) {
+    return this.storage.getDrawing(id).then(record => {
+      if (record === null) {
+        return null
+      }
+      // The seed is only revealed once the drawing is closed
+      if (record.open) {
+        record.seed = null
+      }
+      return Promise.all([
+        this.storage.getEntries(id)
+      , this.storage.getWinners(id)
+      , this.storage.getPolls(id)
+      ]).then(results => {
+        record.entrants = results[0]
+        record.entries = this._expandTickets(results[0])
+        record.picks = results[1].map(row => row.username)
+        record.winners = results[1].filter(row => !row.rerolled).map(row => row.username)
+        record.rerolls = results[1].filter(row => row.rerolled)
+        record.polls = results[2]
+        return record
+      })
+    })
+  }
+  /**
+   * A drawing as stored in the database
+   * @typedef {Object} LobbySim~DrawingRecord
+   * @property {number} id - ID of the drawing
+   * @property {string} channel - Channel of the drawing
+   * @property {boolean} open - Whether the drawing is still open
+   * @property {number} openedAt - When the drawing was opened (ms since the epoch)
+   * @property {?number} closedAt - When the drawing was closed (ms since the epoch)
+   * @property {string} moderator - Username of the moderator who opened the drawing
+   * @property {string} commitment - The published commitment
+   * @property {?string} seed - The seed (only once the drawing is closed)
+   * @property {?number} closesAt - When a timed drawing closes automatically (ms since the epoch)
+   * @property {?number} winnerCount - How many winners a timed drawing picks when it closes
+   * @property {Array.<Object>} entrants - Every entrant with their `username` and `tickets`
+   * @property {Array.<string>} entries - The ordered ticket list
+   * @property {Array.<string>} picks - Every pick in order, including rerolled winners
+   * @property {Array.<string>} winners - The current winners
+   * @property {Array.<Object>} rerolls - The rerolled winners with `rerolledAt` and `rerolledBy`
+   * @property {Array.<Storage~Poll>} polls - The polls among the winners
+   */
+
+  /**
+   * Whisper a summary of a past drawing to a moderator
+   * @param {string} channel - Channel the command was issued in (for the language of the summary)
+   * @param {string} username - Username of the user who issued the command
+   * @param {number} id - ID of the drawing
+   * @return {Promise}
+   */
+  drawingInfo(channel, username, id) {
+    if (isNaN(id)) {
+      this.drawingUsage(channel, username)
+      return Promise.resolve()
+    }
+    return this.getDrawing(id).then(record => {
+      if (record === null) {
+        this.chat.whisper(username, this._msg(channel, 'noSuchDrawing', {id: id}))
+        return
+      }
+      let msg = (name, params) => this._msg(channel, name, params)
+      let time = value => value === null ? msg('unknownTime') : new Date(value).toISOString()
+      this.chat.whisper(username, msg('drawingInfo', {
+        id: record.id
+      , channel: record.channel
+      , moderator: record.moderator || msg('unknownModerator')
+      , openedAt: time(record.openedAt)
+      , state: record.open ? msg('drawingInfoOpen') : msg('drawingInfoClosed', {closedAt: time(record.closedAt)})
+      , entrants: record.entrants.length
+      , tickets: record.entries.length
+      , winners: record.winners.join(', ') || msg('none')
+      , rerolls: record.rerolls.map(row => msg('drawingInfoReroll', {winner: row.username, moderator: row.rerolledBy}))
+          .join(', ') || msg('none')
+      , polls: record.polls.map(poll => msg('drawingInfoPoll', {topic: poll.topic, result: poll.result || msg('none')}))
+          .join(', ') || msg('none')
+      }))
+    })
+  }
+
+  /**
+   * Ban a user from the drawings of a channel. They are removed from the open
+   * drawing, and if their Steam account is known, it is put on the blocklist
+   * of the channel's Steam chat.
+   * @param {string} channel - The channel
+   * @param {string} username - Username of the moderator who bans them
+   * @param {string} target - Username of the user to ban
+   * @param {Object} [options]
+   * @param {number} [options.duration] - How long the ban lasts (in ms). Bans without a duration are permanent.
+   * @param {string} [options.reason] - Why the user is banned
+   * @return {Promise.<?Storage~Ban>} - The ban, or null if no user was given
+   */
+  banUser(channel, username, target, options) {
+    if (target === undefined) {
+      this.drawingUsage(channel, username)
+      return Promise.resolve(null)
+    }
+    options = options || {}
+    target = target.replace(/^@/, '').toLowerCase()
+    let drawing = this.drawings[channel]
+    let bannedAt = (new Date).getTime()
+    let ban = {
+      channel: channel
+    , username: target
+    , reason: options.reason || null
+    , bannedBy: username
+    , bannedAt: bannedAt
+    , expiresAt: options.duration === undefined ? null : bannedAt + options.duration
+    }
+    // A new ban replaces the old one, e.g. to make it longer
+    return this.storage.liftBans(channel, target, username, bannedAt)
+      .then(() => this.storage.addBan(ban))
+      .then(id => {
+        ban.id = id
+        ban.liftedBy = null
+        ban.liftedAt = null
+        this.bans[channel][target] = ban
+        debug(`${username} banned ${target} from the drawings in ${channel}`)
+        if (drawing.open && drawing.entries.indexOf(target) !== -1) {
+          this._removeTickets(drawing, target)
+          return drawing.ready
+            .then(() => this.storage.removeEntry(drawing.id, target))
+            .then(() => {
+              this.emit('entry-removed',
+                {channel: channel, drawingID: drawing.id, username: target, time: (new Date).getTime()})
+            })
+        }
+      })
+      .then(() => this.storage.getUser(target))
+      .then(stored => {
+        if (stored !== null) {
+          this._block(this.config.channels[channel].chatID, stored.steamID)
+        }
+        this.chat.whisper(username, this._msg(channel, 'userBanned', {user: target, until: this._banUntil(channel, ban)}))
+        return ban
+      })
+  }
+
+  /**
+   * Lift the ban of a user from the drawings of a channel. Their Steam account
+   * is taken off the blocklist of the channel's Steam chat, too.
+   * @param {string} channel - The channel
+   * @param {string} username - Username of the moderator who lifts the ban
+   * @param {string} target - Username of the banned user
+   * @return {Promise.<boolean>} - Whether the user was banned
+   */
+  unbanUser(channel, username, target) {
+    if (target === undefined) {
+      this.drawingUsage(channel, username)
+      return Promise.resolve(false)
+    }
+    target = target.replace(/^@/, '').toLowerCase()
+    let banned = this._activeBan(channel, target) !== null
+    return this.storage.liftBans(channel, target, username, (new Date).getTime()).then(() => {
+      delete this.bans[channel][target]
+      if (!banned) {
+        this.chat.whisper(username, this._msg(channel, 'notBanned', {user: target}))
+        return false
+      }
+      debug(`${username} lifted the ban of ${target} in ${channel}`)
+      return this.storage.getUser(target).then(stored => {
+        if (stored !== null) {
+          this._unblock(this.config.channels[channel].chatID, stored.steamID)
+        }
+        this.chat.whisper(username, this._msg(channel, 'userUnbanned', {user: target}))
+        return true
+      })
+    })
+  }
+
+  /**
+   * Usage error with !draw
+   * @param {string} channel - Channel the command was issued in
+   * @param {string} username - Username of the user who issued the command
+   */
+  drawingUsage(channel, username) {
+    this.chat.whisper(username, this._msg(channel, 'drawingUsage'))
+  }
+
+  /**
+   * The message to whisper when a profile couldn't be looked up
+   * @param {string} channel - Channel the user tried to enter the drawing in
+   * @param {ProfileLookup~ProfileLookupError} err - The error
+   * @param {string} link - What the user entered
+   * @return {string}
+   * @private
+   */
+  _lookupErrorMsg(channel, err, link) {
+    switch (err.code) {
+      case 'notfound':
+        return this._msg(channel, 'profileNotFound', {link: link})
+      case 'private':
+        return this._msg(channel, 'profilePrivate')
+      case 'ratelimited':
+        return this._msg(channel, 'steamRateLimited')
+      default:
+        return this._msg(channel, 'steamUnavailable')
+    }
+  }
+
+  /**
+   * Check that a user put their verification code into the Steam profile they
+   * enter with, or whisper them a new code if they haven't got one for it yet
+   * @param {string} channel - Channel the user tries to enter the drawing in
+   * @param {string} username - Username of the user
+   * @param {string} steamID - SteamID64 of the profile
+   * @param {string} link - What the user entered
+   * @return {Promise.<?number>} - When the profile was verified, or null if it isn't verified yet
+   * @private
+   */
+  _verifyProfile(channel, username, steamID, link) {
+    let now = (new Date).getTime()
+    for (var name in this.verifications) {
+      if (this.verifications[name].expiresAt <= now) {
+        delete this.verifications[name]
+      }
+    }
+    let pending = this.verifications[username]
+    if (pending === undefined || pending.steamID !== steamID) {
+      let timeout = (this.config.verificationTimeout || 1800) * 1000
+      let code = `LOBBYSIM-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+      this.verifications[username] = {steamID: steamID, code: code, expiresAt: now + timeout}
+      debug(`Asking ${username} to put ${code} into the Steam profile ${steamID}`)
+      this.chat.whisper(username, this._msg(channel, 'verifyCode',
+        {code: code, link: link, timeLeft: this._duration(channel, timeout)}))
+      return Promise.resolve(null)
+    }
+    // A cached profile wouldn't show the code yet
+    return this.profileLookup.lookup({steamID: steamID}, {fresh: true, requirePublic: true}).then(profile => {
+      if (profile.summary.indexOf(pending.code) === -1 && profile.name.indexOf(pending.code) === -1) {
+        debug(`${username} hasn't put ${pending.code} into the Steam profile ${steamID} yet`)
+        this.chat.whisper(username, this._msg(channel, 'verifyCodeMissing', {code: pending.code, link: link}))
+        return null
+      }
+      debug(`${username} verified the Steam profile ${steamID}`)
+      delete this.verifications[username]
+      this.chat.whisper(username, this._msg(channel, 'profileVerified', {code: pending.code}))
+      return now
+    })
+  }
+
+  /**
+   * Fill in a message template for a channel
+   *
+   * Besides the given parameters, {channel}, {joinLink} (the link to the
+   * channel's Steam group chat) and {entrants} (how many users entered the
+   * current drawing) can always be used.
+   * @param {string} channel - Channel the message is for
+   * @param {string} name - Name of the template
+   * @param {Object.<string, *>} [params] - Values for the placeholders
+   * @return {string}
+   */
+  _msg(channel, name, params) {
+    let channelConfig = this.config.channels[channel]
+    let drawing = this.drawings[channel]
+    if (channelConfig === undefined) {
+      return this.templates.format(name, params)
+    }
+    return this.channelTemplates[channel].format(name, assign({
+      channel: channel
+    , joinLink: channelConfig.joinLink || `steam://friends/joinchat/${channelConfig.chatID}`
+    , entrants: drawing.snapshot.filter((username, i) => drawing.snapshot.indexOf(username) === i).length
+    }, params))
+  }
+
+  /**
+   * Wait for the next countdown announcement of a timed drawing, or close it
+   * if its time is up
+   * @param {string} channel - Channel of the drawing
+   * @private
+   */
+  _scheduleClose(channel) {
+    let drawing = this.drawings[channel]
+    clearTimeout(drawing.timer)
+    let left = drawing.closesAt - (new Date).getTime()
+    if (left <= 0) {
+      debug(`Time is up for the drawing in ${channel}`)
+      this.closeDrawing(channel, drawing.moderator).catch(err => {
+        console.error(`Couldn't close the drawing in ${channel} automatically: ${err.stack || err}`)
+      })
       return
     }
-    if (!this._removeWinner(channel, winner)) {
-      this.chatConnection.whisper(username, `${winner} didn't win the drawing!`)
+    let next = this.config.countdown
+      .map(seconds => seconds * 1000)
+      .filter(ms => ms < left)
+      .sort((a, b) => b - a)[0]
+    if (next === undefined) {
+      next = 0
+    }
+    if (left - next > MAX_TIMEOUT) {
+      drawing.timer = setTimeout(() => this._scheduleClose(channel), MAX_TIMEOUT)
       return
     }
-    debug(`Rerolling user ${winner} in ${channel}`)
-    let newWinner = this._pickWinner(channel)
-    if (newWinner === null) {
-      this.chatConnection.say(channel, 'There are no entrants left')
+    drawing.timer = setTimeout(() => {
+      if (next > 0) {
+        this.chat.say(channel, this._msg(channel, 'countdown', {timeLeft: this._duration(channel, next)}))
+      }
+      this._scheduleClose(channel)
+    }, left - next)
+  }
+
+  /**
+   * Format a duration for a channel, in whole minutes from one minute on
+   * @param {string} channel - Channel the message is for
+   * @param {number} ms - The duration in ms
+   * @return {string}
+   * @private
+   */
+  _duration(channel, ms) {
+    let seconds = Math.round(ms / 1000)
+    if (seconds >= 60) {
+      let minutes = Math.round(seconds / 60)
+      return this._msg(channel, minutes === 1 ? 'minute' : 'minutes', {count: minutes})
+    }
+    return this._msg(channel, seconds === 1 ? 'second' : 'seconds', {count: seconds})
+  }
+
+  /**
+   * Tell a channel there is an open drawing
+   * @param {string} channel - Channel to display the message in
+   */
+  openDrawingMsg(channel) {
+    this.chat.say(channel, this._msg(channel, 'openDrawing'))
+  }
+
+  /**
+   * Split the winners of a channel's drawing and the channel's main user into
+   * teams and post them to the channel's chat and the Steam chat
+   * @param {string} channel - Channel of the drawing
+   * @param {string} format - The team format (e.g. '4v4')
+   * @param {Object} [options]
+   * @param {boolean} [options.shuffle=false] - Re-roll the teams instead of using the most balanced split
+   * @return {Promise.<?Array.<TeamBuilder~Team>>} - The teams, or null if the players don't fit into the format
+   */
+  buildTeams(channel, format, options) {
+    let drawing = this.drawings[channel]
+    let sizes = teamBuilder.parseFormat(format)
+    return this._teamPlayers(channel).then(players => {
+      if (players.length > sizes.reduce((sum, size) => sum + size, 0)) {
+        return null
+      }
+      let mode = sizes.every(size => size === 1) ? '1v1' : 'team'
+      return this.storage.getRatings(players, mode).then(ratings => {
+        let teams = teamBuilder.build(players.map(player => ({
+          name: player
+        , rating: ratings.hasOwnProperty(player) ? ratings[player] : null
+        })), sizes, options)
+        debug(`Teams for ${format} in ${channel}: ${JSON.stringify(teams)}`)
+        drawing.teams = {format: format, teams: teams}
+        let msg = this._msg(channel, 'teams', {
+          format: format
+        , teams: teams.map((team, i) => this._msg(channel, team.rating === null ? 'team' : 'teamRated', {
+            number: i + 1
+          , rating: team.rating
+          , players: team.players.join(', ')
+          })).join(' | ')
+        })
+        this._announce(channel, msg)
+        return teams
+      })
+    })
+  }
+
+  /**
+   * Work out the team format for a !teams command
+   * @param {string} channel - Channel the command was issued for
+   * @param {string} [arg] - The argument to the command: a format, 'shuffle' or nothing
+   * @return {?string} - The format, or null if there is none
+   * @private
+   */
+  _teamsFormat(channel, arg) {
+    let drawing = this.drawings[channel]
+    if (arg === undefined || arg === 'shuffle') {
+      if (drawing.teams !== null) {
+        return drawing.teams.format
+      }
+      return this.config.channels[channel].teamFormat || null
+    }
+    return teamBuilder.parseFormat(arg) === null ? null : arg.toLowerCase()
+  }
+
+  /**
+   * The players to split into teams
+   * @param {string} channel - Channel of the drawing
+   * @return {Promise.<Array.<string>>} - Twitch usernames of the main user and the winners
+   * @private
+   */
+  _teamPlayers(channel) {
+    let mainUser = this.config.channels[channel].mainUser
+    return this.storage.getUserBySteamID(mainUser).then(user => {
+      // Without a Twitch user for the main user's profile, they play unrated under their SteamID
+      let name = user === null ? mainUser : user.username
+      return [name].concat(this.drawings[channel].winners)
+        .filter((player, i, all) => all.indexOf(player) === i)
+    })
+  }
+
+  /**
+   * The message for when the players don't fit into a team format
+   * @param {string} channel - Channel of the drawing
+   * @param {string} format - The team format
+   * @return {Promise.<string>}
+   * @private
+   */
+  _teamsTooManyMsg(channel, format) {
+    return this._teamPlayers(channel).then(players => {
+      return this._msg(channel, 'teamsTooMany', {players: players.length, format: format})
+    })
+  }
+
+  /**
+   * Start or end a poll for a !vote start or !vote end command
+   * @param {string} channel - Channel of the drawing
+   * @param {string} startedBy - Username or SteamID64 of the moderator who issued the command
+   * @param {Array.<string>} args - The arguments to !vote: 'start', an optional duration, the topic and the options, or 'end'
+   * @param {Function} reply - Called with a message for the moderator if the command didn't work
+   * @return {Promise}
+   * @private
+   */
+  _pollCommand(channel, startedBy, args, reply) {
+    if (args[0] === 'end') {
+      return this.endPoll(channel).then(ended => {
+        if (!ended) {
+          reply(this._msg(channel, 'noPoll'))
+        }
+      })
+    }
+    let rest = args.slice(1)
+    let duration = parseDuration(rest[0])
+    if (duration > 0) {
+      rest = rest.slice(1)
+    } else {
+      duration = (this.config.channels[channel].pollDuration || this.config.pollDuration || 120) * 1000
+    }
+    if (rest.length < 3) {
+      reply(this._msg(channel, 'pollUsage'))
+      return Promise.resolve()
+    }
+    return this.startPoll(channel, startedBy, rest[0], rest.slice(1), duration).then(problem => {
+      if (problem !== null) {
+        reply(this._msg(channel, problem))
+      }
+    })
+  }
+
+  /**
+   * Start a poll among the winners of a channel's last drawing
+   * @param {string} channel - Channel of the drawing
+   * @param {string} startedBy - Username or SteamID64 of the moderator who started the poll
+   * @param {string} topic - What the poll is about (e.g. 'map')
+   * @param {Array.<string>} options - The options to vote for
+   * @param {number} duration - How long the poll runs (in ms)
+   * @return {Promise.<?string>} - Name of the template that says why the poll couldn't be started, or null if it was
+   */
+  startPoll(channel, startedBy, topic, options, duration) {
+    let drawing = this.drawings[channel]
+    if (drawing.poll !== null) {
+      return Promise.resolve('pollRunning')
+    }
+    if (drawing.open || drawing.winners.length === 0) {
+      return Promise.resolve('pollNoWinners')
+    }
+    let startedAt = (new Date).getTime()
+    let poll = {
+      id: null
+    , topic: topic
+    , options: options
+    , votes: {}
+    , endsAt: startedAt + duration
+    , timer: null
+    }
+    drawing.poll = poll
+    debug(`${startedBy} started a poll about ${topic} in ${channel}: ${options.join(', ')}`)
+    // Votes have to wait for the poll's ID
+    poll.ready = this.storage.createPoll({
+      drawID: drawing.id
+    , topic: topic
+    , options: options
+    , startedBy: startedBy
+    , startedAt: startedAt
+    , endsAt: poll.endsAt
+    }).then(id => {
+      poll.id = id
+    })
+    return poll.ready.then(() => {
+      this._announce(channel, this._msg(channel, 'pollStarted', {
+        topic: topic
+      , options: options.map((option, i) => `${i + 1}) ${option}`).join(', ')
+      , timeLeft: this._duration(channel, duration)
+      }))
+      this._schedulePollEnd(channel)
+      return null
+    }, err => {
+      if (drawing.poll === poll) {
+        drawing.poll = null
+      }
+      throw err
+    })
+  }
+
+  /**
+   * Vote in the poll of a channel
+   * @param {string} channel - Channel of the poll
+   * @param {?string} username - Username of the voter, or null if they aren't known
+   * @param {string} input - The number or name of the option
+   * @return {Promise.<Object>} - The `template` and `params` of the answer to the voter
+   */
+  vote(channel, username, input) {
+    let drawing = this.drawings[channel]
+    let poll = drawing.poll
+    if (poll === null) {
+      return Promise.resolve({template: 'noPoll', params: {}})
+    }
+    if (username === null || drawing.winners.indexOf(username) === -1) {
+      return Promise.resolve({template: 'pollNotAWinner', params: {}})
+    }
+    let choice = polls.parseChoice(poll.options, input)
+    if (choice === -1) {
+      return Promise.resolve({template: 'pollInvalidChoice', params: {
+        choice: input
+      , options: poll.options.map((option, i) => `${i + 1}) ${option}`).join(', ')
+      }})
+    }
+    debug(`${username} voted for ${poll.options[choice]} in ${channel}`)
+    poll.votes[username] = choice
+    // Votes are saved one after the other so a changed vote can't be inserted twice
+    let saved = poll.ready.then(() => this.storage.addVote(poll.id, username, choice))
+    poll.ready = saved.catch(() => {})
+    return saved
+      .then(() => {
+        if (drawing.poll === poll && drawing.winners.every(winner => poll.votes.hasOwnProperty(winner))) {
+          debug(`Every winner in ${channel} voted`)
+          this.endPoll(channel).catch(err => {
+            console.error(`Couldn't end the poll in ${channel}: ${err.stack || err}`)
+          })
+        }
+        return {template: 'voted', params: {user: username, choice: poll.options[choice]}}
+      })
+  }
+
+  /**
+   * End the poll of a channel, announce the result and save it with the drawing
+   * @param {string} channel - Channel of the poll
+   * @return {Promise.<boolean>} - Whether there was a poll to end
+   */
+  endPoll(channel) {
+    let drawing = this.drawings[channel]
+    let poll = drawing.poll
+    if (poll === null) {
+      return Promise.resolve(false)
+    }
+    drawing.poll = null
+    clearTimeout(poll.timer)
+    // Votes of rerolled winners don't count
+    let choices = Object.keys(poll.votes)
+      .filter(username => drawing.winners.indexOf(username) !== -1)
+      .map(username => poll.votes[username])
+    let result = polls.tally(poll.options, choices)
+    debug(`Poll about ${poll.topic} in ${channel} ended: ${JSON.stringify(result)}`)
+    return poll.ready
+      .then(() => this.storage.endPoll(poll.id, result.result, (new Date).getTime()))
+      .then(() => {
+        let template = result.result === null ? 'pollNoVotes' : result.tied.length > 0 ? 'pollTie' : 'pollResult'
+        this._announce(channel, this._msg(channel, template, {
+          topic: poll.topic
+        , result: result.result
+        , tied: result.tied.join(', ')
+        , votes: poll.options.map((option, i) => this._msg(channel, 'pollCount', {option: option, count: result.counts[i]}))
+            .join(', ')
+        }))
+        return true
+      })
+  }
+
+  /**
+   * End the poll of a channel when its time is up
+   * @param {string} channel - Channel of the poll
+   * @private
+   */
+  _schedulePollEnd(channel) {
+    let poll = this.drawings[channel].poll
+    clearTimeout(poll.timer)
+    let left = poll.endsAt - (new Date).getTime()
+    if (left > MAX_TIMEOUT) {
+      poll.timer = setTimeout(() => this._schedulePollEnd(channel), MAX_TIMEOUT)
       return
     }
-    this.chatConnection.say(channel, `${winner} has been replaced by ${newWinner}!`)
+    poll.timer = setTimeout(() => {
+      this.endPoll(channel).catch(err => {
+        console.error(`Couldn't end the poll in ${channel}: ${err.stack || err}`)
+      })
+    }, Math.max(left, 0))
+  }
+
+  /**
+   * Find the winner of a channel's drawing that a Steam user entered with
+   * @param {string} channel - Channel of the drawing
+   * @param {string} steamID - SteamID64 of the user
+   * @return {Promise.<?string>} - Username of the winner, or null if the user isn't one
+   * @private
+   */
+  _winnerBySteamID(channel, steamID) {
+    let drawing = this.drawings[channel]
+    if (drawing.id === null) {
+      return Promise.resolve(null)
+    }
+    return this.storage.getWinners(drawing.id).then(rows => {
+      let row = rows.find(row => !row.rerolled && row.steamID === steamID)
+      return row === undefined ? null : row.username
+    })
+  }
+
+  /**
+   * Post a lobby settings preset of a channel to its chat and the Steam chat
+   * @param {string} channel - Channel to post in
+   * @param {string} name - Name of the preset
+   * @return {boolean} - Whether the channel has a preset with that name
+   */
+  postSettings(channel, name) {
+    let presets = this.config.channels[channel].settings || {}
+    let found = Object.keys(presets).find(preset => preset.toLowerCase() === name.toLowerCase())
+    if (found === undefined) {
+      return false
+    }
+    this._announce(channel, this._msg(channel, 'settings', {name: found, settings: presets[found]}))
+    return true
+  }
+
+  /**
+   * List the lobby settings presets of a channel
+   * @param {string} channel - The channel
+   * @return {string}
+   * @private
+   */
+  _settingsListMsg(channel) {
+    let names = Object.keys(this.config.channels[channel].settings || {})
+    return names.length === 0 ?
+      this._msg(channel, 'noSettings') :
+      this._msg(channel, 'settingsList', {presets: names.join(', ')})
+  }
+
+  /**
+   * Say something in a channel's chat and its Steam chat
+   * @param {string} channel - The channel
+   * @param {string} msg - The message
+   * @private
+   */
+  _announce(channel, msg) {
+    this.chat.say(channel, msg)
+    if (this.steamCommands !== null) {
+      this.steamCommands.say(this.config.channels[channel].chatID, msg)
+    }
+  }
+
+  /**
+   * Reroll a winner from the Steam chat
+   * @param {string} chatID - ID of the chat the command was issued in
+   * @param {string} userID - SteamID64 of the moderator who issued the command
+   * @param {string} winner - Username of the winner to reroll
+   * @return {Promise}
+   */
+  steamReroll(chatID, userID, winner) {
+    let channel = this.channels[chatID].key
+    if (winner === undefined) {
+      this.steamCommands.say(chatID, this._steamMsg(chatID, 'steamRerollUsage'))
+      return Promise.resolve()
+    }
+    winner = winner.toLowerCase()
+    if (this.drawings[channel].winners.indexOf(winner) === -1) {
+      this.steamCommands.say(chatID, this._steamMsg(chatID, 'notAWinner', {winner: winner}))
+      return Promise.resolve()
+    }
+    return this.rerollDrawing(channel, userID, winner).then(newWinner => {
+      this.steamCommands.say(chatID, newWinner === null ?
+        this._steamMsg(chatID, 'noEntrantsLeft') :
+        this._steamMsg(chatID, 'replaced', {winner: winner, newWinner: newWinner}))
+    })
+  }
+
+  /**
+   * Kick a user from a Steam chat and stop allowing them in it
+   * @param {string} chatID - ID of the chat
+   * @param {string} target - SteamID or profile link of the user
+   * @return {Promise}
+   */
+  steamKick(chatID, target) {
+    return this._resolveSteamID(chatID, target, 'steamKickUsage').then(steamID => {
+      if (steamID === null) {
+        return
+      }
+      if (!this.removeMember(chatID, steamID)) {
+        this.steamCommands.say(chatID, this._steamMsg(chatID, 'steamCantKick', {user: target}))
+        return
+      }
+      this.steamCommands.say(chatID, this._steamMsg(chatID, 'steamKicked', {user: target}))
+    })
+  }
+
+  /**
+   * Allow a user in a Steam chat
+   * @param {string} chatID - ID of the chat
+   * @param {string} target - SteamID or profile link of the user
+   * @return {Promise}
+   */
+  steamAllow(chatID, target) {
+    return this._resolveSteamID(chatID, target, 'steamAllowUsage').then(steamID => {
+      if (steamID === null) {
+        return
+      }
+      this.allowMember(chatID, steamID)
+      this.steamCommands.say(chatID, this._steamMsg(chatID, 'steamAllowed', {user: target}))
+    })
+  }
+
+  /**
+   * Allow a user in a Steam chat and take them off its blocklist
+   * @param {string} chatID - ID of the chat
+   * @param {string} steamID - SteamID64 of the user
+   */
+  allowMember(chatID, steamID) {
+    let channel = this.channels[chatID]
+    if (channel.allowedMembers.indexOf(steamID) === -1) {
+      debug(`Allowing ${steamID} in chat ${chatID}`)
+      channel.allowedMembers.push(steamID)
+    }
+    this._unblock(chatID, steamID)
+  }
+
+  /**
+   * Stop allowing a user in a Steam chat and kick them if they are in it
+   * @param {string} chatID - ID of the chat
+   * @param {string} steamID - SteamID64 of the user
+   * @return {boolean} - False if the user is the main user or a Steam moderator, who are always allowed
+   */
+  removeMember(chatID, steamID) {
+    let channel = this.channels[chatID]
+    if (this._baseMembers(channel.key).indexOf(steamID) !== -1) {
+      return false
+    }
+    debug(`No longer allowing ${steamID} in chat ${chatID}`)
+    channel.allowedMembers = channel.allowedMembers.filter(member => member !== steamID)
+    let members = this.steamConnection.friends.chatRooms[chatID]
+    if (members !== undefined && members.hasOwnProperty(steamID)) {
+      this._kick(chatID, steamID, 'removed')
+    }
+    return true
+  }
+
+  /**
+   * End the game in a Steam chat: only the main user and the Steam moderators
+   * stay allowed, everyone else is kicked
+   * @param {string} chatID - ID of the chat
+   */
+  endGame(chatID) {
+    let channel = this.channels[chatID]
+    let drawing = this.drawings[channel.key]
+    debug(`Ending the game in the Steam chat for ${channel.key}`)
+    for (var winner in drawing.checkIns) {
+      this._cancelCheckIn(channel.key, winner)
+    }
+    if (this.chatInvites !== null) {
+      drawing.invited.forEach(steamID => this.chatInvites.release(steamID))
+    }
+    drawing.invited = []
+    channel.allowedMembers = this._baseMembers(channel.key)
+    this.steamCommands.say(chatID, this._steamMsg(chatID, 'steamEnd'))
+    this.kickForbiddenUsers(chatID)
+  }
+
+  /**
+   * Turn what a moderator entered into a SteamID64, telling them if that
+   * didn't work
+   * @param {string} chatID - ID of the chat the command was issued in
+   * @param {string} target - What the moderator entered
+   * @param {string} usage - Name of the template to say if there is no target
+   * @return {Promise.<?string>} - The SteamID64, or null if it couldn't be determined
+   * @private
+   */
+  _resolveSteamID(chatID, target, usage) {
+    let parsed = parseSteamID(target)
+    if (parsed === null) {
+      this.steamCommands.say(chatID, target === undefined ?
+        this._steamMsg(chatID, usage) :
+        this._steamMsg(chatID, 'invalidProfile', {link: target}))
+      return Promise.resolve(null)
+    }
+    if (parsed.steamID !== undefined) {
+      return Promise.resolve(parsed.steamID)
+    }
+    return this.profileLookup.lookup(parsed).then(profile => profile.steamID)
+  }
+
+  /**
+   * The users that are always allowed in the Steam chat of a channel
+   * @param {string} channel - The channel
+   * @return {Array.<string>} - SteamID64s of the main user and the Steam moderators
+   * @private
+   */
+  _baseMembers(channel) {
+    return [this.config.channels[channel].mainUser].concat(this._steamModerators(channel))
+  }
+
+  /**
+   * The Steam moderators of a channel
+   * @param {string} channel - The channel
+   * @return {Array.<string>}
+   * @private
+   */
+  _steamModerators(channel) {
+    return this.config.channels[channel].steamModerators || this.config.steamModerators || []
+  }
+
+  /**
+   * After how many kicks users who keep entering the Steam chat of a channel are banned from it
+   * @param {string} channel - The channel
+   * @return {number}
+   * @private
+   */
+  _banAfterKicks(channel) {
+    return this.config.channels[channel].banAfterKicks || this.config.banAfterKicks || 3
   }
 
   /**
-   * Usage error with !draw
-   * @param {string} username - Username of the user who issued the command
+   * After how many seconds without a kick the kicks of a user in the Steam chat of a channel are forgotten
+   * @param {string} channel - The channel
+   * @return {number}
+   * @private
    */
-  drawingUsage(username) {
-    this.chatConnection.whisper(username,
-      '!draw usage: !draw open to open a drawing | ' +
-      '!draw close <number of winners> to close a drawing | ' +
-      '!draw reroll <user> to reroll a winner')
+  _kickWindow(channel) {
+    return this.config.channels[channel].kickWindow || this.config.kickWindow || 86400
   }
 
   /**
-   * Tell a channel there is an open drawing
-   * @param {string} channel - Channel to display the message in
+   * Fill in a message template for the channel of a Steam chat
+   * @param {string} chatID - ID of the chat
+   * @param {string} name - Name of the template
+   * @param {Object.<string, *>} [params] - Values for the placeholders
+   * @return {string}
+   * @private
    */
-  openDrawingMsg(channel) {
-    this.chatConnection.say(channel,
-      'There is now an open drawing! Type !play <link to steam profile> to ' +
-      'enter!')
+  _steamMsg(chatID, name, params) {
+    return this._msg(this.channels[chatID].key, name, params)
+  }
+
+  /**
+   * Create a handler for a failed Steam chat command that logs the error and
+   * tells the chat about it
+   * @param {string} chatID - ID of the chat the command was issued in
+   * @param {string} template - Name of the message template to say (e.g. 'failedReroll')
+   * @param {string} [link] - The profile the command was about, if any
+   * @return {Function}
+   * @private
+   */
+  _steamFailed(chatID, template, link) {
+    return err => {
+      if (err instanceof ProfileLookup.ProfileLookupError) {
+        debug(`Couldn't look up a profile in chat ${chatID}: ${err.message}`)
+        this.steamCommands.say(chatID, this._lookupErrorMsg(this.channels[chatID].key, err, link))
+        return
+      }
+      console.error(`Steam command failed (${template}) in chat ${chatID}: ${err.stack || err}`)
+      this.steamCommands.say(chatID, this._steamMsg(chatID, template))
+    }
   }
 
   /**
@@ -476,11 +2380,16 @@ class LobbySim extends EventEmitter {
    * @param {number} byID - ID of the user who initiated the change
    */
   steamStateChanged(change, userID, chatID, byID) {
+    // The bot might just have left the chat of a removed channel
+    if (!(chatID in this.channels)) {
+      return
+    }
     let chatName = this.channels[chatID].key
     switch(change) {
       case steam.EChatMemberStateChange.Entered:
         debug(`User with ID ${userID} entered the room for ${chatName}`)
-        this._kickIfForbidden(chatID, userID)
+        this._kickIfForbidden(chatID, userID, true)
+        this._checkedIn(chatName, userID)
         break
       case steam.EChatMemberStateChange.Left:
         debug(`User with ID ${userID} left the room for ${chatName}`)
@@ -505,75 +2414,781 @@ class LobbySim extends EventEmitter {
       }
   }
 
-  _kickIfForbidden(chatID, userID) {
-    if (!this.isAllowed(chatID, userID)) {
+  /**
+   * Kick a user from a Steam chat if they aren't allowed in it. Users on the
+   * chat's blocklist are banned instead, and users who entered the chat too
+   * often within the kick window are put on it.
+   * @param {string} chatID - ID of the chat
+   * @param {string} userID - SteamID64 of the user
+   * @param {boolean} [entered=false] - Whether the user just entered the chat
+   * @private
+   */
+  _kickIfForbidden(chatID, userID, entered) {
+    if (this.isAllowed(chatID, userID)) {
+      return
+    }
+    let chat = this.channels[chatID]
+    let block = chat.blocklist[userID] || {kicks: 0, banned: false, lastKickAt: null}
+    if (entered && !block.banned) {
+      let now = (new Date).getTime()
+      if (block.lastKickAt === null || now - block.lastKickAt > this._kickWindow(chat.key) * 1000) {
+        block.kicks = 0
+      }
+      block.kicks++
+      block.lastKickAt = now
+      if (block.kicks >= this._banAfterKicks(chat.key)) {
+        block.banned = true
+      }
+      chat.blocklist[userID] = block
+      this._saveSteamBlock(chatID, userID)
+    }
+    if (block.banned) {
+      debug(`User with ID ${userID} is on the blocklist of room with ID ${chatID} - banning.`)
+      this._kick(chatID, userID, 'banned')
+    } else {
       debug(`User with ID ${userID} isn't allowed in room with ID ${chatID} - kicking.`)
-      this.steamConnection.friends.kick(chatID, userID)
+      this._kick(chatID, userID, 'forbidden')
+    }
+  }
+
+  /**
+   * Put a user on the blocklist of a Steam chat and ban them from it if they
+   * are in it and not allowed
+   * @param {string} chatID - ID of the chat
+   * @param {string} steamID - SteamID64 of the user
+   * @private
+   */
+  _block(chatID, steamID) {
+    let chat = this.channels[chatID]
+    let block = chat.blocklist[steamID] || {kicks: 0, banned: false, lastKickAt: null}
+    block.banned = true
+    chat.blocklist[steamID] = block
+    this._saveSteamBlock(chatID, steamID)
+    let members = this.steamConnection.friends.chatRooms[chatID]
+    if (members !== undefined && members.hasOwnProperty(steamID)) {
+      this._kickIfForbidden(chatID, steamID)
+    }
+  }
+
+  /**
+   * Take a user off the blocklist of a Steam chat and lift their ban from it
+   * @param {string} chatID - ID of the chat
+   * @param {string} steamID - SteamID64 of the user
+   * @private
+   */
+  _unblock(chatID, steamID) {
+    let chat = this.channels[chatID]
+    let block = chat.blocklist[steamID]
+    if (block === undefined) {
+      return
+    }
+    delete chat.blocklist[steamID]
+    if (block.banned) {
+      debug(`Unbanning ${steamID} in chat ${chatID}`)
+      this.steamConnection.friends.unban(chatID, steamID)
+    }
+    this._saveSteamBlock(chatID, steamID)
+  }
+
+  /**
+   * Save the blocklist entry of a user in a Steam chat
+   * @param {string} chatID - ID of the chat
+   * @param {string} steamID - SteamID64 of the user
+   * @private
+   */
+  _saveSteamBlock(chatID, steamID) {
+    let chat = this.channels[chatID]
+    let block = chat.blocklist[steamID] || {kicks: 0, banned: false, lastKickAt: null}
+    this.storage.saveSteamBlock({
+      channel: chat.key
+    , steamID: String(steamID)
+    , kicks: block.kicks
+    , banned: block.banned
+    , lastKickAt: block.lastKickAt
+    , updatedAt: (new Date).getTime()
+    }).catch(err => {
+      console.error(`Couldn't save the blocklist entry of ${steamID} in ${chat.key}: ${err.stack || err}`)
+    })
+  }
+
+  /**
+   * Kick a user from a Steam chat
+   * @param {string} chatID - ID of the chat
+   * @param {string} steamID - SteamID64 of the user
+   * @param {string} reason - Why they are kicked (see LobbySim#user-kicked). They are banned from the chat if it is 'banned'.
+   * @private
+   */
+  _kick(chatID, steamID, reason) {
+    if (reason === 'banned') {
+      this.steamConnection.friends.ban(chatID, steamID)
+    } else {
+      this.steamConnection.friends.kick(chatID, steamID)
+    }
+    this.emit('user-kicked', {
+      channel: this.channels[chatID].key
+    , chatID: String(chatID)
+    , steamID: String(steamID)
+    , reason: reason
+    , time: (new Date).getTime()
+    })
+  }
+
+  /**
+   * The chat platform a channel is on
+   * @param {string} channel - The channel
+   * @return {string} - 'twitch' or 'discord'
+   * @private
+   */
+  _platform(channel) {
+    return this.config.channels[channel].platform || 'twitch'
+  }
+
+  /**
+   * Get the adapter of a chat platform, connecting to it if there is none yet
+   * @param {string} platform - 'twitch' or 'discord'
+   * @return {?ChatAdapter} - The adapter, or null if the platform isn't configured
+   * @private
+   */
+  _chatAdapter(platform) {
+    let adapter = this.chat.adapter(platform)
+    if (adapter !== null) {
+      return adapter
+    }
+    let channels = Object.keys(this.config.channels).filter(channel => this._platform(channel) === platform)
+    if (platform === 'twitch') {
+      if (this.chatConnection === null) {
+        if (!this.config.irc) {
+          console.error(`Can't connect to Twitch for ${channels.join(', ')} without the irc settings`)
+          return null
+        }
+        this.config.irc.channels = channels
+        this.chatConnection = new ChatConnection(this.config.irc)
+      }
+      adapter = this.chatConnection
+    } else {
+      if (this.discordConnection === null) {
+        if (!this.config.discord) {
+          console.error(`Can't connect to Discord for ${channels.join(', ')} without the discord settings`)
+          return null
+        }
+        let discordIDs = {}
+        channels.forEach(channel => {
+          discordIDs[channel] = this.config.channels[channel].discordChannel
+        })
+        this.discordConnection = new DiscordConnection(assign({}, this.config.discord, {channels: discordIDs}))
+      }
+      adapter = this.discordConnection
+    }
+    adapter.on('disconnected', (name, reason, reconnect) => {
+      this._connectionState(platform, name, 'disconnected', reason)
+      if (reason === 'Unable to connect.') {
+        reconnect()
+      }
+    })
+    ;['connecting', 'logon', 'connected', 'reconnect'].forEach(state => {
+      adapter.on(state, name => this._connectionState(platform, name, state, null))
+    })
+    this.chat.addAdapter(platform, adapter)
+    return adapter
+  }
+
+  /**
+   * Set up the state of a channel in config.channels
+   * @param {string} channel - The channel
+   * @private
+   */
+  _initChannel(channel) {
+    let channelConfig = this.config.channels[channel]
+    this.channels[channelConfig.chatID] = {
+      allowedMembers: this._baseMembers(channel)
+    , blocklist: {}
+    , state: 'joining'
+    , key: channel
+    }
+    this.bans[channel] = {}
+    this.channelTemplates[channel] = new Templates(channelConfig.locale || this.config.locale,
+      assign({}, this.config.messages, channelConfig.messages))
+    this.drawings[channel] = {
+      id: null
+    , open: false
+    , winners: []
+    , entries: []
+    , msgInterval: () => {}
+    , lastTime: -1
+    , seed: null
+    , commitment: null
+    , snapshot: []
+    , picks: []
+    , moderator: null
+    , closesAt: null
+    , winnerCount: null
+    , minRating: null
+    , maxRating: null
+    , ratingMode: null
+    , timer: null
+    , checkIns: {}
+    , invited: []
+    , teams: null
+    , poll: null
+    , ready: Promise.resolve()
+    }
+  }
+
+  /**
+   * Forget a channel and its state
+   * @param {string} channel - The channel
+   * @private
+   */
+  _dropChannel(channel) {
+    delete this.channels[this.config.channels[channel].chatID]
+    delete this.channelTemplates[channel]
+    delete this.drawings[channel]
+    delete this.bans[channel]
+    delete this.config.channels[channel]
+  }
+
+  /**
+   * Check the settings of a channel that is added or changed at runtime
+   * @param {string} channel - The channel
+   * @param {LobbySim~Channel} settings - The settings
+   * @return {LobbySim~Channel} - The checked settings. Throws a ChannelError if they are invalid.
+   * @private
+   */
+  _checkChannel(channel, settings) {
+    let checked
+    try {
+      checked = validateChannel(channel, settings)
+    } catch (err) {
+      if (err instanceof ConfigError) {
+        throw new ChannelError('invalid', err.problems.join('; '))
+      }
+      throw err
+    }
+    for (var other in this.config.channels) {
+      if (other !== channel && this.config.channels.hasOwnProperty(other) &&
+          String(this.config.channels[other].chatID) === checked.chatID) {
+        throw new ChannelError('invalid', `${other} already uses the Steam chat ${checked.chatID}`)
+      }
+    }
+    let platform = checked.platform || 'twitch'
+    let connected = this.chat !== null && this.chat.adapter(platform) !== null
+    if (!connected && !(platform === 'twitch' ? this.config.irc : this.config.discord)) {
+      throw new ChannelError('invalid', `The bot isn't configured for ${platform === 'twitch' ? 'Twitch' : 'Discord'}`)
+    }
+    return checked
+  }
+
+  /**
+   * Save the settings of a channel that was changed at runtime
+   * @param {string} channel - The channel
+   * @param {?LobbySim~Channel} settings - The settings, or null if it was removed
+   * @param {string} username - Username of who changed it
+   * @return {Promise}
+   * @private
+   */
+  _saveChannel(channel, settings, username) {
+    return this.storage.saveChannel({
+      name: channel
+    , settings: settings
+    , updatedBy: username
+    , updatedAt: (new Date).getTime()
+    })
+  }
+
+  /**
+   * Join the chat of a channel on its platform, if the bot is connected
+   * @param {string} channel - The channel
+   * @private
+   */
+  _joinChat(channel) {
+    if (this.chat === null) {
+      return
+    }
+    let platform = this._platform(channel)
+    let connected = this.chat.adapter(platform) !== null
+    let adapter = this._chatAdapter(platform)
+    // A new adapter joins its channels when it connects
+    if (adapter !== null && connected) {
+      adapter.joinChannel(channel, this.config.channels[channel].discordChannel)
+    }
+  }
+
+  /**
+   * Leave the chat of a channel on its platform
+   * @param {string} channel - The channel
+   * @private
+   */
+  _leaveChat(channel) {
+    let adapter = this.chat === null ? null : this.chat.adapter(this._platform(channel))
+    if (adapter !== null) {
+      adapter.leaveChannel(channel)
+    }
+  }
+
+  /**
+   * Set the moderators of a channel's Steam chat and join it, if the bot is connected to Steam
+   * @param {string} channel - The channel
+   * @param {boolean} [joined=false] - Whether the bot already is in the Steam chat
+   * @private
+   */
+  _joinSteamChat(channel, joined) {
+    if (this.steamCommands === null) {
+      return
+    }
+    let chatID = this.config.channels[channel].chatID
+    this.steamCommands.setModerators(chatID, this._baseMembers(channel))
+    if (joined) {
+      this.kickForbiddenUsers(chatID)
+    } else if (this.steamConnection.loggedOn) {
+      this.steamConnection.friends.joinChat(chatID)
+    }
+  }
+
+  /**
+   * Leave a Steam chat
+   * @param {string} chatID - ID of the chat
+   * @private
+   */
+  _leaveSteamChat(chatID) {
+    if (this.steamCommands === null) {
+      return
+    }
+    this.steamCommands.setModerators(chatID, [])
+    if (this.steamConnection.loggedOn) {
+      this.steamConnection.friends.leaveChat(chatID)
+    }
+  }
+
+  /**
+   * Checks if a user may add, change and remove channels
+   * @param {string} username - Username
+   * @return {boolean}
+   * @private
+   */
+  _isOwner(username) {
+    return (this.config.owners || []).some(owner => owner.toLowerCase() === username.toLowerCase())
+  }
+
+  /**
+   * Handle !channel join, set and leave
+   * @param {string} [channel] - Channel the command was issued in (undefined for whispers)
+   * @param {string} username - Username of the owner who issued it
+   * @param {Array.<string>} args - The arguments of the command
+   * @private
+   */
+  _channelCommand(channel, username, args) {
+    let reply = (template, params) => this.chat.whisper(username, this._msg(channel, template, params))
+    let target = args[1] === undefined ? null : `#${args[1].replace(/^#/, '').toLowerCase()}`
+    let settings = {}
+    for (let arg of args.slice(2)) {
+      let match = /^(\w+)=(.*)$/.exec(arg)
+      if (match === null) {
+        target = null
+        break
+      }
+      settings[match[1]] = match[2] === '' ? null : parseChannelSetting(match[1], match[2])
+    }
+    let done
+    if (target !== null && args[0] === 'join') {
+      done = this.addChannel(target, settings, username).then(() => 'channelAdded')
+    } else if (target !== null && args[0] === 'set' && args.length > 2) {
+      done = this.updateChannel(target, settings, username).then(() => 'channelUpdated')
+    } else if (target !== null && args[0] === 'leave' && args.length === 2) {
+      done = this.removeChannel(target, username).then(() => 'channelRemoved')
+    } else {
+      reply('channelUsage')
+      return
+    }
+    done.then(template => reply(template, {channel: target})).catch(err => {
+      if (err instanceof ChannelError) {
+        let template = {exists: 'channelExists', unknown: 'channelUnknown', busy: 'channelBusy'}[err.code] || 'channelInvalid'
+        reply(template, {channel: target, problems: err.message})
+        return
+      }
+      console.error(`Changing ${target} failed for ${username}: ${err.stack || err}`)
+      reply('failedChannel')
+    })
+  }
+
+  /**
+   * Tell listeners that the state of a connection changed
+   * @param {string} service - 'twitch', 'discord' or 'steam'
+   * @param {?string} client - Which client of the service changed
+   * @param {string} state - The new state
+   * @param {?string} reason - Why it disconnected
+   * @private
+   */
+  _connectionState(service, client, state, reason) {
+    this.emit('connection-state',
+      {service: service, client: client, state: state, reason: reason, time: (new Date).getTime()})
+  }
+
+  /**
+   * Restore the bans and the Steam chat blocklist of a channel from the database
+   * @param {string} channel - The channel
+   * @return {Promise}
+   * @private
+   */
+  _loadBans(channel) {
+    return Promise.all([
+      this.storage.getBans(channel, (new Date).getTime())
+    , this.storage.getSteamBlocks(channel)
+    ]).then(results => {
+      let chat = this.channels[this.config.channels[channel].chatID]
+      results[0].forEach(ban => {
+        this.bans[channel][ban.username] = ban
+      })
+      results[1].filter(block => block.kicks > 0 || block.banned).forEach(block => {
+        chat.blocklist[block.steamID] = {kicks: block.kicks, banned: block.banned, lastKickAt: block.lastKickAt}
+      })
+      debug(`Restored ${results[0].length} bans and ${Object.keys(chat.blocklist).length} blocked Steam users in ${channel}`)
+    })
+  }
+
+  /**
+   * Get the ban of a user in a channel, if it is still in effect
+   * @param {string} channel - The channel
+   * @param {string} username - Username of the user
+   * @return {?Storage~Ban}
+   * @private
+   */
+  _activeBan(channel, username) {
+    let ban = this.bans[channel][username]
+    if (ban === undefined) {
+      return null
+    }
+    if (ban.expiresAt !== null && ban.expiresAt <= (new Date).getTime()) {
+      delete this.bans[channel][username]
+      return null
+    }
+    return ban
+  }
+
+  /**
+   * Describe how long a ban lasts
+   * @param {string} channel - Channel the message is for
+   * @param {Storage~Ban} ban - The ban
+   * @return {string}
+   * @private
+   */
+  _banUntil(channel, ban) {
+    return ban.expiresAt === null ?
+      this._msg(channel, 'banPermanent') :
+      this._msg(channel, 'banUntil', {time: new Date(ban.expiresAt).toISOString()})
+  }
+
+  /**
+   * The message listing the bans of a channel
+   * @param {string} channel - The channel
+   * @return {string}
+   * @private
+   */
+  _bansMsg(channel) {
+    let bans = Object.keys(this.bans[channel])
+      .map(username => this._activeBan(channel, username))
+      .filter(ban => ban !== null)
+    if (bans.length === 0) {
+      return this._msg(channel, 'noBans')
     }
+    return this._msg(channel, 'bans', {bans: bans.map(ban => this._msg(channel,
+      ban.reason === null ? 'banEntry' : 'banEntryReason',
+      {user: ban.username, until: this._banUntil(channel, ban), reason: ban.reason})).join(', ')})
   }
 
   _winnersMsg(channel) {
     let winners = this.drawings[channel].winners
-    let msg
     if (winners.length === 0) {
-      msg = 'The drawing has been closed with no entrants!'
-    } else {
-      msg = 'The drawing has been closed. The winners are: '
-      for (let i = 0; i < winners.length - 1; i++) {
-        msg += winners[i] + ', '
-      }
-      msg += winners[winners.length - 1]
-      msg += '! Please join the chat at steam://friends/joinchat/103582791439961479'
+      return this._msg(channel, 'closedNoEntrants')
     }
-    return msg
+    return this._msg(channel, 'closedWinners', {winners: winners.join(', ')})
   }
 
   _pickWinner(channel) {
-    let entries = this.drawings[channel].entries
-    let time = this.drawings[channel].lastTime
+    let drawing = this.drawings[channel]
+    let entries = drawing.entries
     debug(`Picking a random winner from ${entries}`)
     if (entries.length === 0) {
-      return null
+      return Promise.resolve(null)
+    }
+    let position = drawing.picks.length
+    // Also removes extra tickets winner had (e.g. for subs with double chances)
+    let winner = fairDraw.pick(drawing.seed, position, entries)
+    drawing.picks.push(winner)
+    drawing.winners.push(winner)
+    return drawing.ready
+      .then(() => this.storage.addWinner(drawing.id, winner, position, (new Date).getTime()))
+      .then(() => this.storage.getUser(winner))
+      .then(stored => {
+        this.emit('winner-picked', {
+          channel: channel
+        , drawingID: drawing.id
+        , username: winner
+        , position: position
+        , steamID: stored === null ? null : stored.steamID
+        , time: (new Date).getTime()
+        })
+        if (stored !== null) {
+          let chatID = this.config.channels[channel].chatID
+          this.channels[chatID].allowedMembers.push(stored.steamID)
+          this._unblock(chatID, stored.steamID)
+          this._awaitCheckIn(channel, winner, stored.steamID)
+          this._inviteWinner(channel, winner, stored.steamID)
+        }
+        return winner
+      })
+  }
+
+  /**
+   * Invite a winner to the Steam chat of a channel and tell them if that
+   * didn't work
+   * @param {string} channel - Channel of the drawing
+   * @param {string} winner - Username of the winner
+   * @param {string} steamID - SteamID64 of the winner
+   * @private
+   */
+  _inviteWinner(channel, winner, steamID) {
+    let chatID = this.config.channels[channel].chatID
+    let members = this.steamConnection.friends.chatRooms[chatID]
+    if (this.chatInvites === null || (members !== undefined && members.hasOwnProperty(steamID))) {
+      return
+    }
+    let drawing = this.drawings[channel]
+    drawing.invited.push(steamID)
+    let invited = this.chatInvites.invite(steamID, chatID)
+    if (this.chatInvites.pending.hasOwnProperty(steamID)) {
+      this.chat.whisper(winner, this._msg(channel, 'inviteRequestSent'))
+    }
+    invited.then(() => {
+      debug(`Invited ${winner} to the Steam chat for ${channel}`)
+    }, err => {
+      debug(`Couldn't invite ${winner} to the Steam chat for ${channel}: ${err.message}`)
+      // The winner might have been rerolled in the meantime
+      if (drawing.winners.indexOf(winner) === -1) {
+        return
+      }
+      let template = {full: 'inviteFull', denied: 'inviteDenied', timeout: 'inviteTimeout'}[err.code] || 'inviteFailed'
+      this.chat.whisper(winner, this._msg(channel, template))
+    })
+  }
+
+  /**
+   * Give a winner the channel's check-in window to join the Steam chat
+   * @param {string} channel - Channel of the drawing
+   * @param {string} winner - Username of the winner
+   * @param {string} steamID - SteamID64 of the winner
+   * @private
+   */
+  _awaitCheckIn(channel, winner, steamID) {
+    let channelConfig = this.config.channels[channel]
+    if (channelConfig.checkInWindow === undefined || channelConfig.checkInWindow <= 0) {
+      return
+    }
+    let members = this.steamConnection.friends.chatRooms[channelConfig.chatID]
+    if (members !== undefined && members.hasOwnProperty(steamID)) {
+      debug(`${winner} already is in the Steam chat for ${channel}`)
+      return
     }
-    let winner = entries[Math.floor(Math.random() * entries.length)]
-    // Remove extra tickets winner had (e.g. for subs with double chances)
-    this.db('entries').where('username', winner).del().then()
-    for (let j = entries.length - 1; j >= 0; j--) {
-      if (entries[j] === winner) {
-        entries.splice(j, 1)
+    let drawing = this.drawings[channel]
+    this._cancelCheckIn(channel, winner)
+    debug(`Waiting ${channelConfig.checkInWindow}s for ${winner} to join the Steam chat for ${channel}`)
+    drawing.checkIns[winner] = {
+      steamID: steamID
+    , timer: setTimeout(this._noShow.bind(this, channel, winner), channelConfig.checkInWindow * 1000)
+    }
+  }
+
+  /**
+   * Stop waiting for a winner to join the Steam chat
+   * @param {string} channel - Channel of the drawing
+   * @param {string} winner - Username of the winner
+   * @private
+   */
+  _cancelCheckIn(channel, winner) {
+    let drawing = this.drawings[channel]
+    if (drawing.checkIns.hasOwnProperty(winner)) {
+      clearTimeout(drawing.checkIns[winner].timer)
+      delete drawing.checkIns[winner]
+    }
+  }
+
+  /**
+   * Handle a user joining the Steam chat of a channel
+   * @param {string} channel - Channel of the chat
+   * @param {string} userID - SteamID64 of the user
+   * @private
+   */
+  _checkedIn(channel, userID) {
+    let checkIns = this.drawings[channel].checkIns
+    for (var winner in checkIns) {
+      if (checkIns.hasOwnProperty(winner) && checkIns[winner].steamID === userID) {
+        debug(`${winner} checked in to the Steam chat for ${channel}`)
+        this._cancelCheckIn(channel, winner)
+      }
+    }
+  }
+
+  /**
+   * Reroll a winner who didn't join the Steam chat within the check-in window
+   * @param {string} channel - Channel of the drawing
+   * @param {string} winner - Username of the winner
+   * @private
+   */
+  _noShow(channel, winner) {
+    let window = this._duration(channel, this.config.channels[channel].checkInWindow * 1000)
+    delete this.drawings[channel].checkIns[winner]
+    debug(`${winner} didn't join the Steam chat for ${channel} in time`)
+    this.chat.whisper(winner, this._msg(channel, 'noShowWhisper', {window: window}))
+    this._removeWinner(channel, winner, 'no-show').then(removed => {
+      if (!removed) {
+        return
       }
+      return this._pickWinner(channel).then(newWinner => {
+        if (newWinner === null) {
+          this.chat.say(channel, this._msg(channel, 'noShowNoEntrantsLeft', {winner: winner, window: window}))
+          return
+        }
+        this.chat.say(channel, this._msg(channel, 'noShowReplaced',
+          {winner: winner, newWinner: newWinner, window: window}))
+        this._writeSnapshot(channel)
+      })
+    }).catch(err => {
+      console.error(`Couldn't reroll ${winner} in ${channel} after they didn't check in: ${err.stack || err}`)
+    })
+  }
+
+  /**
+   * Pick several winners one after another
+   * @param {string} channel - Channel of the drawing
+   * @param {number} nWinners - How many winners to pick
+   * @return {Promise}
+   * @private
+   */
+  _pickWinners(channel, nWinners) {
+    if (nWinners <= 0) {
+      return Promise.resolve()
     }
-    this.drawings[channel].winners.push(winner)
-    this.db('winners')
-      .insert({user: winner, channel: channel, time: time})
-      .then() // Empty Promise so the query gets run
-    this.db('users').select('steamID').where('username', winner).then(rows => {
-      this.channels[this.config.channels[channel].chatID].allowedMembers.push(rows[0].steamID)
+    return this._pickWinner(channel).then(winner => {
+      if (winner !== null) {
+        return this._pickWinners(channel, nWinners - 1)
+      }
     })
-    return winner
   }
 
-  _removeWinner(channel, winner) {
-    let winners = this.drawings[channel].winners
-    let index = winners.indexOf(winner)
+  /**
+   * Publish the snapshot of a closed drawing so it can be verified
+   * @param {string} channel - Channel of the drawing
+   * @private
+   */
+  _writeSnapshot(channel) {
+    let drawing = this.drawings[channel]
+    let file = path.join(this.config.snapshotLocation,
+      `${channel.replace('#', '')}-${drawing.id}.json`)
+    let snapshot = {
+      id: drawing.id
+    , channel: channel
+    , time: drawing.lastTime
+    , commitment: drawing.commitment
+    , seed: drawing.seed
+    , entries: drawing.snapshot
+    , picks: drawing.picks
+    , winners: drawing.winners
+    }
+    fs.mkdir(this.config.snapshotLocation, () => {
+      fs.writeFile(file, JSON.stringify(snapshot, null, 2), err => {
+        if (err) {
+          console.error(`Couldn't write the snapshot of the drawing in ${channel}: ${err}`)
+          return
+        }
+        debug(`Wrote snapshot of the drawing in ${channel} to ${file}`)
+      })
+    })
+  }
+
+  /**
+   * Expand entrants with ticket counts into the ordered ticket list
+   * @param {Array.<Object>} entrants - Rows with `username` and `tickets`
+   * @return {Array.<string>}
+   * @private
+   */
+  _expandTickets(entrants) {
+    let tickets = []
+    entrants.forEach(row => {
+      for (let i = 0; i < row.tickets; i++) {
+        tickets.push(row.username)
+      }
+    })
+    return tickets
+  }
+
+  /**
+   * Remove all tickets of a user from a drawing
+   * @param {Object} drawing - The drawing
+   * @param {string} username - Username of the entrant
+   * @private
+   */
+  _removeTickets(drawing, username) {
+    drawing.entries = drawing.entries.filter(entry => entry !== username)
+    drawing.snapshot = drawing.snapshot.filter(entry => entry !== username)
+  }
+
+  /**
+   * Create a handler for a failed operation that logs the error and tells the
+   * user about it
+   * @param {string} channel - Channel the user tried the operation in
+   * @param {string} username - Username of the user who tried the operation
+   * @param {string} template - Name of the message template to whisper (e.g. 'failedOpen')
+   * @return {Function}
+   * @private
+   */
+  _failed(channel, username, template) {
+    return err => {
+      console.error(`Operation failed (${template}) for ${username} in ${channel}: ${err.stack || err}`)
+      this.chat.whisper(username, this._msg(channel, template))
+    }
+  }
+
+  /**
+   * Remove a winner from a drawing and mark them as rerolled
+   * @param {string} channel - Channel of the drawing
+   * @param {string} winner - The winner to remove
+   * @param {string} username - Username of the moderator who rerolled the winner ('no-show' for automatic rerolls)
+   * @return {Promise.<boolean>} - Whether the user was a winner
+   * @private
+   */
+  _removeWinner(channel, winner, username) {
+    let drawing = this.drawings[channel]
+    let index = drawing.winners.indexOf(winner)
     if (index === -1) {
-      return false
+      return Promise.resolve(false)
     }
     debug(`Removing ${winner} from the winners for ${channel}`)
-    winners.splice(index, 1)
-    this.db('winners')
-      .where({user: winner, time: this.drawings[channel].lastTime})
-      .del()
-      .then()
-    this.db('users')
-      .select('steamID')
-      .where({username: winner})
-      .then(rows => {
+    drawing.winners.splice(index, 1)
+    this._cancelCheckIn(channel, winner)
+    return drawing.ready
+      .then(() => this.storage.rerollWinner(drawing.id, winner, (new Date).getTime(), username))
+      .then(() => this.storage.getUser(winner))
+      .then(stored => {
+        this.emit('winner-rerolled', {
+          channel: channel
+        , drawingID: drawing.id
+        , username: winner
+        , rerolledBy: String(username)
+        , time: (new Date).getTime()
+        })
         let channel_ = this.channels[this.config.channels[channel].chatID]
-        channel_.allowedMembers.splice(channel_.allowedMembers.indexOf(rows[0].steamID))
+        let index = stored === null ? -1 : channel_.allowedMembers.indexOf(stored.steamID)
+        if (index !== -1) {
+          channel_.allowedMembers.splice(index, 1)
+        }
+        if (stored !== null && this.chatInvites !== null) {
+          this.chatInvites.release(stored.steamID)
+        }
+        return true
       })
-    return true
   }
 }
 
+LobbySim.parseOpenArgs = parseOpenArgs
+LobbySim.ChannelError = ChannelError
+
 module.exports = LobbySim
@@ -0,0 +1,43 @@
+'use strict'
+
+/*
+ * The schema from before migrations were introduced. Databases that were
+ * created by older versions already have these tables and skip them.
+ */
+
+exports.up = function(knex, Promise) {
+  let createIfMissing = (name, cb) => {
+    return knex.schema.hasTable(name).then(exists => {
+      if (!exists) {
+        return knex.schema.createTable(name, cb)
+      }
+    })
+  }
+
+  return createIfMissing('users', t => {
+    t.increments('id').primary()
+    t.string('username', 50).index()
+    t.string('steamID', 20)
+  }).then(() => createIfMissing('drawings', t => {
+    t.increments('id').primary()
+    t.string('channel', 50).index()
+    t.boolean('open').defaultTo(false)
+    t.dateTime('lastTime')
+  })).then(() => createIfMissing('entries', t => {
+    t.increments('id').primary()
+    t.integer('draw_id').references('id').inTable('drawings')
+    t.string('username', 50).references('username').inTable('users')
+  })).then(() => createIfMissing('winners', t => {
+    t.increments('id').primary()
+    t.dateTime('time')
+    t.string('channel', 50).references('channel').inTable('drawings')
+    t.string('user', 50).references('username').inTable('users')
+  }))
+}
+
+exports.down = function(knex, Promise) {
+  return knex.schema.dropTable('winners')
+    .then(() => knex.schema.dropTable('entries'))
+    .then(() => knex.schema.dropTable('drawings'))
+    .then(() => knex.schema.dropTable('users'))
+}
@@ -0,0 +1,147 @@
+'use strict'
+
+/*
+ * Store every drawing as its own record instead of reusing one row per
+ * channel. Winners of legacy databases were only linked to their drawing by
+ * the time it was closed, so every distinct closing time becomes a drawing.
+ */
+
+// Indexes keep their names when their table is renamed, so the new tables
+// can't use the default ones
+function createTables(knex) {
+  return knex.schema.createTable('drawings', t => {
+    t.increments('id').primary()
+    t.string('channel', 50).index('drawing_channel')
+    t.boolean('open').defaultTo(false)
+    t.bigInteger('openedAt')
+    t.bigInteger('closedAt')
+    t.string('moderator', 50)
+    t.string('seed', 64)
+    t.string('commitment', 64)
+  }).then(() => knex.schema.createTable('entries', t => {
+    t.increments('id').primary()
+    t.integer('draw_id').references('id').inTable('drawings').index('entry_drawing')
+    t.string('username', 50).references('username').inTable('users')
+    t.integer('tickets')
+  })).then(() => knex.schema.createTable('winners', t => {
+    t.increments('id').primary()
+    t.integer('draw_id').references('id').inTable('drawings').index('winner_drawing')
+    t.string('username', 50).references('username').inTable('users')
+    t.integer('position')
+    t.bigInteger('pickedAt')
+    t.boolean('rerolled').defaultTo(false)
+    t.bigInteger('rerolledAt')
+    t.string('rerolledBy', 50)
+  }))
+}
+
+function toTime(value) {
+  if (value === null || value === undefined || value === -1) {
+    return null
+  }
+  return typeof value === 'number' ? value : new Date(value).getTime()
+}
+
+/**
+ * Collapse one row per ticket into one row per entrant, in order of entry
+ */
+function countTickets(rows) {
+  let entrants = []
+  let byName = {}
+  rows.forEach(row => {
+    if (!byName.hasOwnProperty(row.username)) {
+      byName[row.username] = {username: row.username, tickets: 0}
+      entrants.push(byName[row.username])
+    }
+    byName[row.username].tickets++
+  })
+  return entrants
+}
+
+function insertDrawing(knex, drawing, entrants, winners) {
+  return knex.insert(drawing).into('drawings').then(id => {
+    let rows = entrants.map(entrant => ({
+      draw_id: id[0]
+    , username: entrant.username
+    , tickets: entrant.tickets
+    }))
+    return (rows.length === 0 ? Promise.resolve() : knex.insert(rows).into('entries'))
+      .then(() => {
+        let rows = winners.map((winner, position) => ({
+          draw_id: id[0]
+        , username: winner.user
+        , position: position
+        , pickedAt: toTime(winner.time)
+        }))
+        if (rows.length !== 0) {
+          return knex.insert(rows).into('winners')
+        }
+      })
+  })
+}
+
+function copyChannel(knex, legacy, entries, winners) {
+  let rounds = []
+  let byTime = {}
+  winners.filter(row => row.channel === legacy.channel).forEach(row => {
+    let time = toTime(row.time)
+    if (!byTime.hasOwnProperty(time)) {
+      byTime[time] = []
+      rounds.push(time)
+    }
+    byTime[time].push(row)
+  })
+  let entrants = countTickets(entries.filter(row => row.draw_id === legacy.id))
+  let lastTime = toTime(legacy.lastTime)
+
+  let chain = Promise.resolve()
+  rounds.forEach(time => {
+    chain = chain.then(() => insertDrawing(knex, {
+      channel: legacy.channel
+    , open: false
+    , closedAt: time
+    // The tickets left over belong to the last closed drawing
+    }, !legacy.open && time === lastTime ? entrants : [], byTime[time]))
+  })
+  if (legacy.open) {
+    chain = chain.then(() => insertDrawing(knex, {
+      channel: legacy.channel
+    , open: true
+    , seed: legacy.seed || null
+    , commitment: legacy.commitment || null
+    }, entrants, []))
+  }
+  return chain
+}
+
+exports.up = function(knex, Promise) {
+  return knex.schema.hasColumn('drawings', 'openedAt').then(upgraded => {
+    if (upgraded) {
+      // Created by a version that already kept the history, but had no migrations
+      return
+    }
+    return knex.schema.renameTable('drawings', 'legacy_drawings')
+      .then(() => knex.schema.renameTable('entries', 'legacy_entries'))
+      .then(() => knex.schema.renameTable('winners', 'legacy_winners'))
+      .then(() => createTables(knex))
+      .then(() => Promise.all([
+        knex.select().from('legacy_drawings').orderBy('id')
+      , knex.select().from('legacy_entries').orderBy('id')
+      , knex.select().from('legacy_winners').orderBy('id')
+      ]))
+      .spread((drawings, entries, winners) => {
+        let chain = Promise.resolve()
+        drawings.forEach(legacy => {
+          chain = chain.then(() => copyChannel(knex, legacy, entries, winners))
+        })
+        return chain
+      })
+      .then(() => knex.schema.dropTable('legacy_winners'))
+      .then(() => knex.schema.dropTable('legacy_entries'))
+      .then(() => knex.schema.dropTable('legacy_drawings'))
+  })
+}
+
+exports.down = function(knex, Promise) {
+  return Promise.reject(new Error('The drawing history can\'t be collapsed into one drawing per channel'))
+}
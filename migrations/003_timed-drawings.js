@@ -0,0 +1,20 @@
+'use strict'
+
+/*
+ * Remember when a timed drawing closes and how many winners it picks, so the
+ * timer can be restarted after the bot was restarted.
+ */
+
+exports.up = function(knex, Promise) {
+  return knex.schema.table('drawings', t => {
+    t.bigInteger('closesAt')
+    t.integer('winnerCount')
+  })
+}
+
+exports.down = function(knex, Promise) {
+  return knex.schema.table('drawings', t => {
+    t.dropColumn('closesAt')
+    t.dropColumn('winnerCount')
+  })
+}
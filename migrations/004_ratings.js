@@ -0,0 +1,18 @@
+'use strict'
+
+/*
+ * Ratings of users, used to balance teams
+ */
+
+exports.up = function(knex, Promise) {
+  return knex.schema.createTable('ratings', t => {
+    t.increments('id').primary()
+    t.string('username', 50).unique('rating_username')
+    t.integer('rating')
+    t.bigInteger('updatedAt')
+  })
+}
+
+exports.down = function(knex, Promise) {
+  return knex.schema.dropTable('ratings')
+}
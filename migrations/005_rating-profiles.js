@@ -0,0 +1,40 @@
+'use strict'
+
+/*
+ * Keep separate 1v1 and team game ratings per user, and let drawings require
+ * a minimum or maximum rating.
+ */
+
+exports.up = function(knex, Promise) {
+  return knex.schema.renameTable('ratings', 'legacy_ratings')
+    .then(() => knex.schema.createTable('ratings', t => {
+      t.increments('id').primary()
+      t.string('username', 50).unique('rating_profile_username')
+      t.integer('rating1v1')
+      t.integer('ratingTeam')
+      t.string('source', 20)
+      t.bigInteger('updatedAt')
+    }))
+    .then(() => knex.select().from('legacy_ratings').orderBy('id'))
+    .then(rows => {
+      if (rows.length !== 0) {
+        // Ratings so far were only used to balance teams
+        return knex.insert(rows.map(row => ({
+          username: row.username
+        , ratingTeam: row.rating
+        , source: 'manual'
+        , updatedAt: row.updatedAt
+        }))).into('ratings')
+      }
+    })
+    .then(() => knex.schema.dropTable('legacy_ratings'))
+    .then(() => knex.schema.table('drawings', t => {
+      t.integer('minRating')
+      t.integer('maxRating')
+      t.string('ratingMode', 10)
+    }))
+}
+
+exports.down = function(knex, Promise) {
+  return Promise.reject(new Error('1v1 ratings can\'t be kept in the old ratings table'))
+}
@@ -0,0 +1,30 @@
+'use strict'
+
+/*
+ * Polls among the winners of a drawing, e.g. about the map to play
+ */
+
+exports.up = function(knex, Promise) {
+  return knex.schema.createTable('polls', t => {
+    t.increments('id').primary()
+    t.integer('draw_id').references('id').inTable('drawings').index('poll_drawing')
+    t.string('topic', 50)
+    t.text('options')
+    t.string('startedBy', 50)
+    t.bigInteger('startedAt')
+    t.bigInteger('endsAt')
+    t.bigInteger('endedAt')
+    t.string('result', 100)
+  }).then(() => knex.schema.createTable('votes', t => {
+    t.increments('id').primary()
+    t.integer('poll_id').references('id').inTable('polls')
+    t.string('username', 50)
+    t.integer('choice')
+    t.unique(['poll_id', 'username'], 'vote_poll_username')
+  }))
+}
+
+exports.down = function(knex, Promise) {
+  return knex.schema.dropTable('votes')
+    .then(() => knex.schema.dropTable('polls'))
+}
@@ -0,0 +1,20 @@
+'use strict'
+
+/*
+ * Channels that were added, changed or removed while the bot was running.
+ * They replace the channels of the same name in the configuration file.
+ */
+
+exports.up = function(knex, Promise) {
+  return knex.schema.createTable('channels', t => {
+    t.increments('id').primary()
+    t.string('name', 50).unique('channel_name')
+    t.text('settings')
+    t.string('updatedBy', 50)
+    t.bigInteger('updatedAt')
+  })
+}
+
+exports.down = function(knex, Promise) {
+  return knex.schema.dropTable('channels')
+}
@@ -0,0 +1,34 @@
+'use strict'
+
+/*
+ * Users who are banned from the drawings of a channel, and the Steam users
+ * who were kicked from or banned in a channel's Steam chat
+ */
+
+exports.up = function(knex, Promise) {
+  return knex.schema.createTable('bans', t => {
+    t.increments('id').primary()
+    t.string('channel', 50)
+    t.string('username', 50)
+    t.string('reason', 200)
+    t.string('bannedBy', 50)
+    t.bigInteger('bannedAt')
+    t.bigInteger('expiresAt')
+    t.string('liftedBy', 50)
+    t.bigInteger('liftedAt')
+    t.index(['channel', 'username'], 'ban_channel_username')
+  }).then(() => knex.schema.createTable('steam_blocks', t => {
+    t.increments('id').primary()
+    t.string('channel', 50)
+    t.string('steamID', 20)
+    t.integer('kicks')
+    t.boolean('banned')
+    t.bigInteger('updatedAt')
+    t.unique(['channel', 'steamID'], 'steam_block_channel_steam_id')
+  }))
+}
+
+exports.down = function(knex, Promise) {
+  return knex.schema.dropTable('steam_blocks')
+    .then(() => knex.schema.dropTable('bans'))
+}
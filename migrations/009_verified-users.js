@@ -0,0 +1,17 @@
+'use strict'
+
+/*
+ * Remember when users proved that their Steam profile is theirs
+ */
+
+exports.up = function(knex, Promise) {
+  return knex.schema.table('users', t => {
+    t.bigInteger('verifiedAt')
+  })
+}
+
+exports.down = function(knex, Promise) {
+  return knex.schema.table('users', t => {
+    t.dropColumn('verifiedAt')
+  })
+}
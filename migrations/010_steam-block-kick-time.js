@@ -0,0 +1,17 @@
+'use strict'
+
+/*
+ * Remember when users were last kicked from a Steam chat, so old kicks can be forgiven
+ */
+
+exports.up = function(knex, Promise) {
+  return knex.schema.table('steam_blocks', t => {
+    t.bigInteger('lastKickAt')
+  })
+}
+
+exports.down = function(knex, Promise) {
+  return knex.schema.table('steam_blocks', t => {
+    t.dropColumn('lastKickAt')
+  })
+}
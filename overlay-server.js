@@ -0,0 +1,236 @@
+'use strict'
+var http = require('http')
+  , url = require('url')
+  , fs = require('fs')
+  , path = require('path')
+  , WebSocket = require('ws')
+  , debug = require('debug')('lobbysim:overlay-server')
+  , assign = require('object-assign')
+
+/**
+ * The look of the overlay. Every property is a CSS value.
+ * @typedef {Object} OverlayServer~Theme
+ * @property {string} [background='transparent'] - Background of the page
+ * @property {string} [panel='rgba(0, 0, 0, 0.6)'] - Background of the box with the drawing
+ * @property {string} [text='#ffffff'] - Text color
+ * @property {string} [accent='#f5a623'] - Color of the countdown, the border and the winner reveal
+ * @property {string} [font='"Trebuchet MS", sans-serif'] - Font family
+ * @property {string} [fontSize='32px'] - Base font size
+ */
+
+/**
+ * Options to the OverlayServer
+ * @typedef {Object} OverlayServer~Options
+ * @property {number} [port=8081] - The port to listen on
+ * @property {string} [host='127.0.0.1'] - The address to listen on
+ * @property {OverlayServer~Theme} [theme] - The look of every channel's overlay
+ * @property {string} [css] - Path of a stylesheet to add to every overlay
+ */
+
+/**
+ * A change of a drawing that is pushed to the overlays
+ * @typedef {Object} OverlayServer~Change
+ * @property {string} type - 'state' (sent on connecting), 'opened', 'entered', 'left', 'closed', 'winner' or 'removed'
+ * @property {string} [user] - The user who entered, left, won or was removed
+ */
+
+// The labels the overlay page shows, taken from the channel's templates
+var LABELS = ['overlayOpen', 'overlayClosed', 'overlayEntrants', 'overlayWinners']
+
+// The events of the bot that change what the overlays show, and the type of the change
+var CHANGES = {
+  'drawing-opened': 'opened'
+, 'drawing-closed': 'closed'
+, 'entry-added': 'entered'
+, 'entry-removed': 'left'
+, 'winner-picked': 'winner'
+, 'winner-rerolled': 'removed'
+}
+
+/**
+ * The channel a path names
+ * @param {string} part - The channel part of the path, without the #
+ * @return {?string} - The channel, or null if the part isn't encoded correctly
+ */
+function channelName(part) {
+  try {
+    return `#${decodeURIComponent(part).toLowerCase()}`
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Serves a browser-source overlay for every channel at /overlay/<channel>
+ * (without the #) and pushes the state of the channel's drawing to it over
+ * a WebSocket at /ws/<channel>.
+ */
+class OverlayServer {
+  /**
+   * Create an overlay server
+   * @param {LobbySim} lobbySim - The bot whose drawings to show
+   * @param {OverlayServer~Options} [options] - The options for the server
+   */
+  constructor(lobbySim, options) {
+    this.lobbySim = lobbySim
+    this.options = assign({port: 8081, host: '127.0.0.1'}, options)
+    this.page = fs.readFileSync(path.join(__dirname, 'overlay', 'index.html'), 'utf8')
+    this.css = this.options.css ? fs.readFileSync(this.options.css, 'utf8') : ''
+    this.sockets = {}
+    this.server = http.createServer(this._handleRequest.bind(this))
+    this.wss = new WebSocket.Server({server: this.server})
+    this.wss.on('connection', this._handleConnection.bind(this))
+    this.listeners = {}
+    Object.keys(CHANGES).forEach(event => {
+      this.listeners[event] = payload => this.update(payload.channel, {type: CHANGES[event], user: payload.username})
+      lobbySim.on(event, this.listeners[event])
+    })
+  }
+
+  /**
+   * Start listening
+   * @return {Promise.<string>} - The base URL of the server
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.removeListener('error', reject)
+        let address = this.server.address()
+        debug(`Listening on ${address.address}:${address.port}`)
+        resolve(`http://${address.address}:${address.port}`)
+      })
+    })
+  }
+
+  /**
+   * Stop listening and disconnect every overlay
+   * @return {Promise}
+   */
+  close() {
+    Object.keys(CHANGES).forEach(event => this.lobbySim.removeListener(event, this.listeners[event]))
+    this.wss.close()
+    return new Promise(resolve => this.server.close(() => resolve()))
+  }
+
+  /**
+   * Push a change of a channel's drawing to its overlays
+   * @param {string} channel - The channel
+   * @param {OverlayServer~Change} change - What changed
+   */
+  update(channel, change) {
+    let sockets = this.sockets[channel] || []
+    if (sockets.length === 0) {
+      return
+    }
+    let message = JSON.stringify({change: change, state: this.state(channel)})
+    sockets.forEach(socket => this._send(socket, message))
+  }
+
+  /**
+   * The state of a channel's drawing as the overlay shows it
+   * @param {string} channel - The channel
+   * @return {Object}
+   */
+  state(channel) {
+    let drawing = this.lobbySim.drawings[channel]
+    return {
+      channel: channel
+    , open: drawing.open
+    , entrants: drawing.snapshot.filter((username, i) => drawing.snapshot.indexOf(username) === i).length
+    , closesAt: drawing.open ? drawing.closesAt : null
+    , winnerCount: drawing.winnerCount
+    , winners: drawing.winners.slice()
+    , serverTime: (new Date).getTime()
+    }
+  }
+
+  /**
+   * Render the overlay page of a channel
+   * @param {string} channel - The channel
+   * @return {string}
+   * @private
+   */
+  _page(channel) {
+    let theme = assign({
+      background: 'transparent'
+    , panel: 'rgba(0, 0, 0, 0.6)'
+    , text: '#ffffff'
+    , accent: '#f5a623'
+    , font: '"Trebuchet MS", sans-serif'
+    , fontSize: '32px'
+    }, this.options.theme, this.lobbySim.config.channels[channel].overlayTheme)
+    let templates = this.lobbySim.channelTemplates[channel]
+    let labels = {}
+    LABELS.forEach(name => {
+      labels[name] = templates.format(name)
+    })
+    let css = Object.keys(theme)
+      .map(name => `  --${name.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}: ${String(theme[name]).replace(/[;{}<]/g, '')};`)
+      .join('\n')
+    // Keep </script> and friends in labels from ending the script
+    let config = JSON.stringify({channel: channel.replace(/^#/, ''), labels: labels}).replace(/</g, '\\u003c')
+    return this.page
+      .replace('/*{{theme}}*/', () => css)
+      .replace('/*{{css}}*/', () => this.css.replace(/<\//g, '<\\/'))
+      .replace('/*{{config}}*/null', () => config)
+  }
+
+  /**
+   * Handles a request to the server
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @private
+   */
+  _handleRequest(req, res) {
+    let match = /^\/overlay\/([^\/]+)\/?$/.exec(url.parse(req.url).pathname)
+    let channel = match === null ? null : channelName(match[1])
+    if (req.method !== 'GET' || channel === null || !this.lobbySim.config.channels.hasOwnProperty(channel)) {
+      res.writeHead(404, {'Content-Type': 'text/plain; charset=utf-8'})
+      res.end('Not found')
+      return
+    }
+    res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'})
+    res.end(this._page(channel))
+  }
+
+  /**
+   * Handles a new WebSocket connection from an overlay
+   * @param {WebSocket} socket - The connection
+   * @private
+   */
+  _handleConnection(socket) {
+    let match = /^\/ws\/([^\/?]+)/.exec(socket.upgradeReq.url)
+    let channel = match === null ? null : channelName(match[1])
+    if (channel === null || !this.lobbySim.config.channels.hasOwnProperty(channel)) {
+      debug(`Closing WebSocket for ${socket.upgradeReq.url}, which isn't a channel`)
+      socket.close()
+      return
+    }
+    debug(`Overlay connected for ${channel}`)
+    let sockets = this.sockets[channel] = this.sockets[channel] || []
+    sockets.push(socket)
+    socket.on('close', () => {
+      debug(`Overlay disconnected for ${channel}`)
+      sockets.splice(sockets.indexOf(socket), 1)
+    })
+    socket.on('error', err => {
+      debug(`WebSocket error for ${channel}: ${err}`)
+    })
+    this._send(socket, JSON.stringify({change: {type: 'state'}, state: this.state(channel)}))
+  }
+
+  /**
+   * Send a message to an overlay if it is still connected
+   * @param {WebSocket} socket - The connection
+   * @param {string} message - The message
+   * @private
+   */
+  _send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(message)
+    }
+  }
+}
+
+module.exports = OverlayServer
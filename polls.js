@@ -0,0 +1,61 @@
+'use strict'
+
+/**
+ * Polls among the winners of a drawing, e.g. about the map or the game
+ * settings. Every winner has one vote and can change it until the poll ends.
+ * @module polls
+ */
+
+/**
+ * The result of a poll
+ * @typedef {Object} Polls~Result
+ * @property {Array.<number>} counts - How many votes every option got
+ * @property {?string} result - The winning option, or null if nobody voted
+ * @property {Array.<string>} tied - The options that tied for the most votes (empty if there was no tie)
+ */
+
+/**
+ * Parse a vote
+ * @param {Array.<string>} options - The options of the poll
+ * @param {string} input - What the user entered: the number of an option (starting at 1) or its name
+ * @return {number} - Index of the option, or -1 if the input isn't one
+ */
+function parseChoice(options, input) {
+  input = String(input || '').trim()
+  if (/^\d+$/.test(input)) {
+    let index = parseInt(input, 10) - 1
+    return index < options.length ? index : -1
+  }
+  let lower = input.toLowerCase()
+  return options.findIndex(option => option.toLowerCase() === lower)
+}
+
+/**
+ * Count the votes of a poll. Ties are broken randomly.
+ * @param {Array.<string>} options - The options of the poll
+ * @param {Array.<number>} choices - Index of the option of every vote
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1)
+ * @return {Polls~Result}
+ */
+function tally(options, choices, random) {
+  random = random || Math.random
+  let counts = options.map(() => 0)
+  choices.forEach(choice => {
+    counts[choice]++
+  })
+  let most = Math.max.apply(null, counts)
+  if (most === 0) {
+    return {counts: counts, result: null, tied: []}
+  }
+  let leading = options.filter((option, i) => counts[i] === most)
+  return {
+    counts: counts
+  , result: leading[Math.floor(random() * leading.length)]
+  , tied: leading.length > 1 ? leading : []
+  }
+}
+
+module.exports = {
+  parseChoice: parseChoice
+, tally: tally
+}
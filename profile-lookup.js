@@ -0,0 +1,193 @@
+'use strict'
+var request = require('request')
+  , parseXML = require('xml2js').parseString
+  , debug = require('debug')('lobbysim:profile-lookup')
+  , assign = require('object-assign')
+
+/**
+ * A Steam community profile
+ * @typedef {Object} ProfileLookup~Profile
+ * @property {string} steamID - The SteamID64
+ * @property {string} name - The profile name
+ * @property {string} privacyState - 'public', 'friendsonly' or 'private'
+ * @property {string} summary - The profile summary
+ */
+
+/**
+ * Options to the ProfileLookup
+ * @typedef {Object} ProfileLookup~Options
+ * @property {string} [baseURL='https://steamcommunity.com'] - Where to fetch profiles from
+ * @property {number} [timeout=5000] - How long to wait for a response (in ms)
+ * @property {number} [retries=2] - How often to retry when Steam didn't respond
+ * @property {number} [retryDelay=1000] - How long to wait before retrying (in ms)
+ * @property {number} [cacheTTL=600000] - How long to remember a profile (in ms)
+ * @property {number} [cacheSize=500] - How many profiles to remember
+ */
+
+/**
+ * An error while looking up a profile
+ * @property {string} code - 'notfound', 'private', 'unavailable' or 'ratelimited'
+ */
+class ProfileLookupError extends Error {
+  /**
+   * Create a lookup error
+   * @param {string} code - What went wrong
+   * @param {string} message - A description of the error
+   */
+  constructor(code, message) {
+    super(message)
+    this.name = 'ProfileLookupError'
+    this.code = code
+  }
+}
+
+/** Looks up Steam community profiles */
+class ProfileLookup {
+  /**
+   * Create a profile lookup
+   * @param {ProfileLookup~Options} [options] - The options for the lookup
+   */
+  constructor(options) {
+    this.options = assign({
+      baseURL: 'https://steamcommunity.com'
+    , timeout: 5000
+    , retries: 2
+    , retryDelay: 1000
+    , cacheTTL: 10 * 60 * 1000
+    , cacheSize: 500
+    }, options)
+    this.options.baseURL = this.options.baseURL.replace(/\/$/, '')
+    this.cache = new Map()
+  }
+
+  /**
+   * Look up a profile
+   * @param {SteamID~Parsed} account - The parsed SteamID or custom URL name
+   * @param {Object} [options]
+   * @param {boolean} [options.requirePublic=false] - Fail with 'private' if the profile isn't public
+   * @param {boolean} [options.fresh=false] - Don't use a cached profile
+   * @return {Promise.<ProfileLookup~Profile>} - Rejects with a ProfileLookupError if the lookup failed
+   */
+  lookup(account, options) {
+    options = options || {}
+    let path = account.steamID !== undefined ?
+      `/profiles/${account.steamID}` : `/id/${encodeURIComponent(account.vanity)}`
+    let cached = this.cache.get(path)
+    let fetched
+    if (!options.fresh && cached !== undefined && cached.expires > Date.now()) {
+      debug(`Using cached profile for ${path}`)
+      fetched = Promise.resolve(cached.profile)
+    } else {
+      fetched = this._fetch(path, this.options.retries).then(profile => {
+        this._remember(path, profile)
+        return profile
+      })
+    }
+    return fetched.then(profile => {
+      if (options.requirePublic && profile.privacyState !== 'public') {
+        throw new ProfileLookupError('private', `The profile at ${path} is ${profile.privacyState}`)
+      }
+      return profile
+    })
+  }
+
+  /**
+   * Forget a cached profile
+   * @param {SteamID~Parsed} account - The parsed SteamID or custom URL name
+   */
+  forget(account) {
+    this.cache.delete(account.steamID !== undefined ?
+      `/profiles/${account.steamID}` : `/id/${encodeURIComponent(account.vanity)}`)
+  }
+
+  /**
+   * Fetch and parse a profile, retrying if Steam doesn't respond
+   * @param {string} path - Path of the profile
+   * @param {number} retries - How often to retry
+   * @return {Promise.<ProfileLookup~Profile>}
+   * @private
+   */
+  _fetch(path, retries) {
+    return this._fetchOnce(path).catch(err => {
+      if (err.code !== 'unavailable' || retries <= 0) {
+        throw err
+      }
+      debug(`Retrying ${path} (${retries} retries left): ${err.message}`)
+      return new Promise(resolve => setTimeout(resolve, this.options.retryDelay))
+        .then(() => this._fetch(path, retries - 1))
+    })
+  }
+
+  /**
+   * Fetch and parse a profile once
+   * @param {string} path - Path of the profile
+   * @return {Promise.<ProfileLookup~Profile>}
+   * @private
+   */
+  _fetchOnce(path) {
+    let url = `${this.options.baseURL}${path}?xml=1`
+    return new Promise((resolve, reject) => {
+      request({url: url, timeout: this.options.timeout}, (error, response, body) => {
+        if (error) {
+          reject(new ProfileLookupError('unavailable', `Error while trying to fetch ${url}: ${error}`))
+          return
+        }
+        if (response.statusCode === 429) {
+          reject(new ProfileLookupError('ratelimited', `Rate limited while fetching ${url}`))
+          return
+        }
+        if (response.statusCode !== 200) {
+          reject(new ProfileLookupError('unavailable',
+            `Status code wasn't 200 (was ${response.statusCode}) when fetching ${url}`))
+          return
+        }
+        parseXML(body, (err, res) => {
+          if (err || !res) {
+            reject(new ProfileLookupError('unavailable', `Error while trying to parse the response from ${url}: ${err}`))
+            return
+          }
+          if (res.response && res.response.error) {
+            reject(new ProfileLookupError('notfound', `${url} returned an error: ${res.response.error[0]}`))
+            return
+          }
+          if (!res.profile) {
+            reject(new ProfileLookupError('unavailable', `The response from ${url} isn't a profile`))
+            return
+          }
+          let field = name => res.profile[name] ? String(res.profile[name][0]) : ''
+          if (!res.profile.steamID64) {
+            let privacyState = field('privacyState')
+            let hidden = privacyState === 'private' || privacyState === 'friendsonly'
+            reject(new ProfileLookupError(hidden ? 'private' : 'notfound',
+              `The response from ${url} didn't contain a SteamID`))
+            return
+          }
+          resolve({
+            steamID: field('steamID64')
+          , name: field('steamID')
+          , privacyState: field('privacyState') || 'private'
+          , summary: field('summary')
+          })
+        })
+      })
+    })
+  }
+
+  /**
+   * Cache a profile, evicting the oldest one if the cache is full
+   * @param {string} path - Path of the profile
+   * @param {ProfileLookup~Profile} profile - The profile
+   * @private
+   */
+  _remember(path, profile) {
+    this.cache.delete(path)
+    if (this.cache.size >= this.options.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value)
+    }
+    this.cache.set(path, {profile: profile, expires: Date.now() + this.options.cacheTTL})
+  }
+}
+
+ProfileLookup.ProfileLookupError = ProfileLookupError
+
+module.exports = ProfileLookup
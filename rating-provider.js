@@ -0,0 +1,103 @@
+'use strict'
+var request = require('request')
+  , debug = require('debug')('lobbysim:rating-provider')
+  , assign = require('object-assign')
+
+/**
+ * Options to the RatingProvider
+ * @typedef {Object} RatingProvider~Options
+ * @property {string} url - Where to fetch ratings from. `{steamID}` is replaced with the player's SteamID64.
+ * @property {number} [timeout=5000] - How long to wait for a response (in ms)
+ * @property {Object} [fields] - Where the ratings are in the JSON response, as dotted paths (e.g. 'leaderboards.0.rating')
+ * @property {string} [fields.rating1v1='rating1v1'] - Path of the 1v1 rating
+ * @property {string} [fields.ratingTeam='ratingTeam'] - Path of the team game rating
+ */
+
+/**
+ * Ratings fetched from a provider
+ * @typedef {Object} RatingProvider~Ratings
+ * @property {?number} rating1v1 - The 1v1 rating
+ * @property {?number} ratingTeam - The team game rating
+ */
+
+/**
+ * An error while fetching ratings
+ * @property {string} code - 'unavailable'
+ */
+class RatingProviderError extends Error {
+  /**
+   * Create a provider error
+   * @param {string} code - What went wrong
+   * @param {string} message - A description of the error
+   */
+  constructor(code, message) {
+    super(message)
+    this.name = 'RatingProviderError'
+    this.code = code
+  }
+}
+
+/**
+ * Look up a dotted path in an object
+ * @param {Object} object - The object
+ * @param {string} path - The path, e.g. 'leaderboards.0.rating'
+ * @return {?number} - The value if it is a number, null otherwise
+ */
+function lookupPath(object, path) {
+  let value = path.split('.').reduce((value, key) =>
+    value !== null && typeof value === 'object' && value.hasOwnProperty(key) ? value[key] : null, object)
+  return typeof value === 'number' && isFinite(value) ? Math.round(value) : null
+}
+
+/** Fetches player ratings from an HTTP API that answers with JSON */
+class RatingProvider {
+  /**
+   * Create a rating provider
+   * @param {RatingProvider~Options} options - The options for the provider
+   */
+  constructor(options) {
+    this.options = assign({timeout: 5000}, options)
+    this.options.fields = assign({rating1v1: 'rating1v1', ratingTeam: 'ratingTeam'}, options.fields)
+  }
+
+  /**
+   * Fetch the ratings of a player
+   * @param {string} steamID - SteamID64 of the player
+   * @return {Promise.<?RatingProvider~Ratings>} - The ratings, or null if the provider doesn't know the player.
+   *   Rejects with a RatingProviderError if the provider couldn't be reached.
+   */
+  lookup(steamID) {
+    let url = this.options.url.replace(/\{steamID\}/g, encodeURIComponent(steamID))
+    debug(`Fetching ratings from ${url}`)
+    return new Promise((resolve, reject) => {
+      request({url: url, timeout: this.options.timeout, json: true}, (error, response, body) => {
+        if (error) {
+          reject(new RatingProviderError('unavailable', `Error while trying to fetch ${url}: ${error}`))
+          return
+        }
+        if (response.statusCode === 404) {
+          resolve(null)
+          return
+        }
+        if (response.statusCode !== 200) {
+          reject(new RatingProviderError('unavailable',
+            `Status code wasn't 200 (was ${response.statusCode}) when fetching ${url}`))
+          return
+        }
+        if (body === null || typeof body !== 'object') {
+          reject(new RatingProviderError('unavailable', `The response from ${url} isn't a JSON object`))
+          return
+        }
+        let ratings = {
+          rating1v1: lookupPath(body, this.options.fields.rating1v1)
+        , ratingTeam: lookupPath(body, this.options.fields.ratingTeam)
+        }
+        resolve(ratings.rating1v1 === null && ratings.ratingTeam === null ? null : ratings)
+      })
+    })
+  }
+}
+
+RatingProvider.RatingProviderError = RatingProviderError
+
+module.exports = RatingProvider
@@ -0,0 +1,124 @@
+'use strict'
+var steam = require('steam')
+  , debug = require('debug')('lobbysim:steam-commands')
+  , EventEmitter = require('events')
+  , Templates = require('./templates')
+
+/**
+ * Commands in Steam group chats. Commands are added the same way as in
+ * ChatConnection, but there are only two levels: 'user' and 'mod'. Moderators
+ * are set per chat.
+ */
+class SteamCommands extends EventEmitter {
+  /**
+   * Create a command dispatcher for a Steam connection
+   * @param {SteamConnection} steamConnection - The Steam connection
+   */
+  constructor(steamConnection) {
+    super()
+    this.steamConnection = steamConnection
+    this.friends = steamConnection.friends
+    this.commands = {}
+    this.moderators = {}
+    this._levels = {
+      "user": 0
+    , "mod": 1
+    }
+    let templates = new Templates()
+    this._templatesFor = () => templates
+    this.friends.on('chatMsg', this._handleChatMsg.bind(this))
+  }
+
+  /**
+   * Send a message to a chat
+   * @param {string} chatID - ID of the chat
+   * @param {string} message - Message
+   */
+  say(chatID, message) {
+    debug(`Saying in chat ${chatID}: "${message}"`)
+    this.friends.sendMessage(chatID, message, steam.EChatEntryType.ChatMsg)
+  }
+
+  /**
+   * Set who may use moderator commands in a chat
+   * @param {string} chatID - ID of the chat
+   * @param {Array.<string>} steamIDs - SteamID64s of the moderators
+   */
+  setModerators(chatID, steamIDs) {
+    this.moderators[chatID] = steamIDs.slice()
+  }
+
+  /**
+   * Set where the default notAllowed message comes from
+   * @param {Function} templatesFor - Called with the chat ID, returns the Templates to use
+   */
+  setTemplates(templatesFor) {
+    this._templatesFor = templatesFor
+  }
+
+  /**
+   * Adds a command
+   * @param {string} call - The call for the command (e.g. !reroll)
+   * @param {Object} command - The command object
+   * @param {SteamCommands~commandCallback} command.cb - The function to be called when the command is issued
+   * @param {string} - [command.requiredLevel='user'] - The level required to call the command. One of ['mod', 'user']
+   * @param {string} - [command.notAllowedMsg] - The message to display when the user isn't allowed to execute the command. Defaults to the notAllowed template
+   */
+  addCommand(call, command) {
+    command.call = call
+    command.requiredLevel = command.requiredLevel || 'user'
+    this.commands[call] = command
+    this.emit('add-command', call, command)
+  }
+  /**
+   * @callback SteamCommands~commandCallback
+   * @param {string} userID - SteamID64 of the user who issued the command
+   * @param {Array} args - Space-separated arguments to the command
+   * @param {string} message - The message with which the command was called
+   * @param {string} chatID - The chat the command was issued in
+   */
+
+  /**
+   * Get the level of a user in a chat
+   * @param {string} chatID - ID of the chat
+   * @param {string} userID - SteamID64 of the user
+   * @return {string} - 'mod' or 'user'
+   */
+  levelOf(chatID, userID) {
+    let moderators = this.moderators[chatID] || []
+    return moderators.indexOf(userID) !== -1 ? 'mod' : 'user'
+  }
+
+  /**
+   * Handles a chatMsg event from Steam
+   * @param {string} chatID - ID of the chat
+   * @param {string} message - Message received
+   * @param {number} type - Type of the chat entry
+   * @param {string} chatterID - SteamID64 of the sender
+   * @private
+   */
+  _handleChatMsg(chatID, message, type, chatterID) {
+    if (type !== steam.EChatEntryType.ChatMsg || chatterID === this.steamConnection.client.steamID) {
+      return
+    }
+    let _split = message.trim().split(/\s+/)
+    let command = this.commands[_split[0]]
+    if (command === undefined) {
+      return
+    }
+    let actual = this._levels[this.levelOf(chatID, chatterID)]
+      , required = this._levels[command.requiredLevel]
+    debug(`${chatterID} is ${actual >= required ? '' : 'not '}allowed to execute ${_split[0]} in chat ${chatID}`)
+    if (actual < required) {
+      if (command.notAllowedMsg !== undefined) {
+        this.say(chatID, command.notAllowedMsg)
+      } else {
+        this.say(chatID, this._templatesFor(chatID).format('notAllowed', {command: command.call}))
+      }
+      return
+    }
+    command.cb(chatterID, _split.slice(1), message, chatID)
+  }
+}
+
+module.exports = SteamCommands
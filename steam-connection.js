@@ -27,6 +27,7 @@ class SteamConnection extends EventEmitter {
       sentryLocation: '.sentryfile'
     }, options)
     this.connected = false
+    this.loggedOn = false
     this.sentryRead = false
     this.sentryFile = null
     this.sentryHash = null
@@ -34,6 +35,7 @@ class SteamConnection extends EventEmitter {
     this.client = new steam.SteamClient()
     this.user = new steam.SteamUser(this.client)
     this.friends = new steam.SteamFriends(this.client)
+    this.client.on('message', this._messageHandler.bind(this))
 
     this.connect()
     this.readSentry()
@@ -62,6 +64,14 @@ class SteamConnection extends EventEmitter {
     debug('Connecting...')
   }
 
+  /** Disconnect from Steam */
+  disconnect() {
+    debug('Disconnecting...')
+    this.connected = false
+    this.loggedOn = false
+    this.client.disconnect()
+  }
+
   /** Read the sentry file (if it exists) */
   readSentry() {
     debug('Reading sentry file...')
@@ -123,6 +133,7 @@ class SteamConnection extends EventEmitter {
     switch(resp.eresult) {
       case steam.EResult.OK:
         debug('Logged in!')
+        this.loggedOn = true
         this.friends.setPersonaState(steam.EPersonaState.Online)
         break
       case steam.EResult.AccountLogonDenied:
@@ -140,11 +151,26 @@ class SteamConnection extends EventEmitter {
     }
     this.client.on('error', (err) => {
       console.warn('Steam connection closed by the server!')
+      this.loggedOn = false
       this.emit('clientError')
     })
     this.emit('logOnResponse', resp.eresult)
   }
 
+  /**
+   * Handles a message from the client that SteamFriends doesn't handle
+   * @param {Object} header - The header of the message
+   * @param {Buffer} body - The body of the message
+   * @private
+   */
+  _messageHandler(header, body) {
+    if (header.msg === steam.EMsg.ClientAddFriendResponse) {
+      let resp = steam.Internal.CMsgClientAddFriendResponse.decode(body)
+      debug(`Friend request to ${resp.steam_id_added} answered with ${resp.eresult}`)
+      this.emit('addFriendResponse', resp.eresult, resp.steam_id_added.toString(), resp.persona_name_added)
+    }
+  }
+
   /**
    * Handles an updateMachineAuth even from the user
    * @param {Object} resp - The response
@@ -0,0 +1,147 @@
+'use strict'
+
+/**
+ * Parsing and normalization of the ways users refer to Steam accounts.
+ *
+ * SteamID64s of individual accounts are 76561197960265728 plus the account
+ * ID, which doesn't fit into a double, so they are always handled as strings.
+ * @module steam-id
+ */
+
+// 76561197960265728 split at 10 decimal digits
+var BASE_HIGH = 7656119
+  , BASE_LOW = 7960265728
+  , LOW_DIGITS = 1e10
+  , MAX_ACCOUNT_ID = 0xFFFFFFFF
+
+/**
+ * The result of parsing a user's input. Exactly one of the properties is set.
+ * @typedef {Object} SteamID~Parsed
+ * @property {string} [steamID] - The SteamID64, if it could be determined locally
+ * @property {string} [vanity] - The custom URL name, if it has to be resolved
+ */
+
+/**
+ * Convert an account ID to a SteamID64
+ * @param {number} accountID - The account ID
+ * @return {?string} - The SteamID64, or null if the account ID is out of range
+ */
+function fromAccountID(accountID) {
+  if (!(accountID >= 0 && accountID <= MAX_ACCOUNT_ID && accountID % 1 === 0)) {
+    return null
+  }
+  let low = BASE_LOW + accountID
+  let high = BASE_HIGH + Math.floor(low / LOW_DIGITS)
+  low = String(low % LOW_DIGITS)
+  while (low.length < 10) {
+    low = '0' + low
+  }
+  return String(high) + low
+}
+
+/**
+ * Convert a SteamID64 to an account ID
+ * @param {string} steamID - The SteamID64
+ * @return {?number} - The account ID, or null if it isn't the SteamID64 of an individual account
+ */
+function toAccountID(steamID) {
+  if (!/^\d{17}$/.test(steamID)) {
+    return null
+  }
+  let high = parseInt(steamID.slice(0, -10), 10)
+  let low = parseInt(steamID.slice(-10), 10)
+  let accountID = (high - BASE_HIGH) * LOW_DIGITS + low - BASE_LOW
+  return accountID >= 0 && accountID <= MAX_ACCOUNT_ID ? accountID : null
+}
+
+/**
+ * Format a SteamID64 in the legacy STEAM_0:Y:Z format
+ * @param {string} steamID - The SteamID64
+ * @return {?string}
+ */
+function toSteam2(steamID) {
+  let accountID = toAccountID(steamID)
+  if (accountID === null) {
+    return null
+  }
+  return `STEAM_0:${accountID % 2}:${Math.floor(accountID / 2)}`
+}
+
+/**
+ * Format a SteamID64 in the [U:1:W] format
+ * @param {string} steamID - The SteamID64
+ * @return {?string}
+ */
+function toSteam3(steamID) {
+  let accountID = toAccountID(steamID)
+  return accountID === null ? null : `[U:1:${accountID}]`
+}
+
+/**
+ * Parse a Steam profile link, SteamID or custom URL name
+ *
+ * Accepted are SteamID64s, STEAM_X:Y:Z, [U:1:W], links to
+ * steamcommunity.com/profiles/<id> and steamcommunity.com/id/<name> (with or
+ * without http(s):// and www.) and bare custom URL names.
+ * @param {string} input - What the user entered
+ * @return {?SteamID~Parsed} - The parsed input, or null if it isn't a Steam account
+ */
+function parse(input) {
+  if (typeof input !== 'string') {
+    return null
+  }
+  input = input.trim()
+  let match
+
+  if (/^\d{17}$/.test(input)) {
+    return toAccountID(input) === null ? null : {steamID: input}
+  }
+
+  match = /^STEAM_[0-5]:([01]):(\d+)$/i.exec(input)
+  if (match) {
+    let steamID = fromAccountID(parseInt(match[2], 10) * 2 + parseInt(match[1], 10))
+    return steamID === null ? null : {steamID: steamID}
+  }
+
+  match = /^\[?U:1:(\d+)\]?$/i.exec(input)
+  if (match) {
+    let steamID = fromAccountID(parseInt(match[1], 10))
+    return steamID === null ? null : {steamID: steamID}
+  }
+
+  match = /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/(profiles|id)\/([^\/?#]+)\/?(?:[?#].*)?$/i.exec(input)
+  if (match) {
+    let value
+    try {
+      value = decodeURIComponent(match[2])
+    } catch (err) {
+      // A broken percent escape (e.g. %ZZ) can't name an account
+      return null
+    }
+    if (match[1].toLowerCase() === 'profiles') {
+      let parsed = parse(value)
+      return parsed !== null && parsed.steamID !== undefined ? parsed : null
+    }
+    return isVanity(value) ? {vanity: value} : null
+  }
+
+  return isVanity(input) ? {vanity: input} : null
+}
+
+/**
+ * Checks if something can be a custom URL name
+ * @param {string} name - The name
+ * @return {boolean}
+ */
+function isVanity(name) {
+  return /^[A-Za-z0-9_-]{2,32}$/.test(name)
+}
+
+module.exports = {
+  parse: parse
+, fromAccountID: fromAccountID
+, toAccountID: toAccountID
+, toSteam2: toSteam2
+, toSteam3: toSteam3
+, isVanity: isVanity
+}
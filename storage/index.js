@@ -0,0 +1,138 @@
+'use strict'
+var KnexStorage = require('./knex-storage')
+  , MemoryStorage = require('./memory-storage')
+
+/**
+ * The storage interface LobbySim depends on. Every method returns a Promise
+ * that rejects if the operation failed. See KnexStorage for the documentation
+ * of the individual methods.
+ * @module storage
+ */
+
+/**
+ * A user
+ * @typedef {Object} Storage~User
+ * @property {string} username - Twitch username
+ * @property {string} steamID - SteamID64 of the user
+ * @property {?number} verifiedAt - When the user proved that the Steam profile is theirs, or null if they didn't
+ */
+
+/**
+ * A drawing
+ * @typedef {Object} Storage~Drawing
+ * @property {number} id - ID of the drawing
+ * @property {string} channel - Channel of the drawing
+ * @property {boolean} open - Whether the drawing is still open
+ * @property {?number} openedAt - When the drawing was opened (ms since the epoch)
+ * @property {?number} closedAt - When the drawing was closed (ms since the epoch)
+ * @property {?string} moderator - Username of the moderator who opened the drawing
+ * @property {?string} seed - The secret seed of the drawing
+ * @property {?string} commitment - The published commitment
+ * @property {?number} closesAt - When a timed drawing closes automatically (ms since the epoch)
+ * @property {?number} winnerCount - How many winners a timed drawing picks when it closes
+ * @property {?number} minRating - The rating entrants need at least
+ * @property {?number} maxRating - The rating entrants may have at most
+ * @property {?string} ratingMode - Which rating minRating and maxRating apply to ('1v1' or 'team')
+ */
+
+/**
+ * An entrant of a drawing
+ * @typedef {Object} Storage~Entry
+ * @property {string} username - Username of the entrant
+ * @property {number} tickets - How many tickets the entrant has
+ */
+
+/**
+ * The ratings of a user
+ * @typedef {Object} Storage~RatingProfile
+ * @property {string} username - Twitch username
+ * @property {?number} [rating1v1] - The 1v1 rating
+ * @property {?number} [ratingTeam] - The team game rating
+ * @property {string} source - Where the ratings came from ('manual', 'import' or 'provider')
+ * @property {number} updatedAt - When the ratings were last changed
+ */
+
+/**
+ * A poll among the winners of a drawing
+ * @typedef {Object} Storage~Poll
+ * @property {number} id - ID of the poll
+ * @property {number} drawID - ID of the drawing
+ * @property {string} topic - What the poll is about (e.g. 'map')
+ * @property {Array.<string>} options - The options to vote for
+ * @property {string} startedBy - Username or SteamID64 of the moderator who started the poll
+ * @property {number} startedAt - When the poll was started
+ * @property {number} endsAt - When the poll ends
+ * @property {?number} endedAt - When the poll ended, or null while it is running
+ * @property {?string} result - The winning option, or null while the poll is running or if nobody voted
+ */
+
+/**
+ * A vote in a poll
+ * @typedef {Object} Storage~Vote
+ * @property {string} username - Username of the winner who voted
+ * @property {number} choice - Index of the option they voted for
+ */
+
+/**
+ * A channel that was added, changed or removed at runtime
+ * @typedef {Object} Storage~Channel
+ * @property {string} name - Name of the channel (e.g. '#jazzpi')
+ * @property {?LobbySim~Channel} settings - The settings of the channel, or null if it was removed
+ * @property {string} updatedBy - Username of who changed it last
+ * @property {number} updatedAt - When it was changed last
+ */
+
+/**
+ * A user who is banned from the drawings of a channel
+ * @typedef {Object} Storage~Ban
+ * @property {number} id - ID of the ban
+ * @property {string} channel - Channel of the drawings
+ * @property {string} username - Username of the banned user
+ * @property {?string} reason - Why they were banned
+ * @property {string} bannedBy - Username of the moderator who banned them
+ * @property {number} bannedAt - When they were banned
+ * @property {?number} expiresAt - When the ban ends, or null if it is permanent
+ * @property {?string} liftedBy - Username of the moderator who lifted the ban
+ * @property {?number} liftedAt - When the ban was lifted
+ */
+
+/**
+ * A Steam user on the blocklist of a channel's Steam chat
+ * @typedef {Object} Storage~SteamBlock
+ * @property {string} channel - Channel of the chat
+ * @property {string} steamID - SteamID64 of the user
+ * @property {number} kicks - How often they were kicked for entering the chat without being allowed
+ * @property {?number} lastKickAt - When they were kicked last
+ * @property {boolean} banned - Whether they are banned from the chat
+ * @property {number} updatedAt - When the entry was changed last
+ */
+
+/**
+ * A pick of a drawing
+ * @typedef {Object} Storage~Winner
+ * @property {string} username - Username of the winner
+ * @property {?string} steamID - SteamID64 of the winner
+ * @property {number} position - How many picks were made before this one
+ * @property {number} pickedAt - When the winner was picked
+ * @property {boolean} rerolled - Whether the winner was rerolled
+ * @property {?number} rerolledAt - When the winner was rerolled
+ * @property {?string} rerolledBy - Username of the moderator who rerolled the winner
+ */
+
+/**
+ * Create the storage for a configuration
+ * @param {Object} config - A knex connection configuration, or `{client: 'memory'}`
+ * @return {KnexStorage|MemoryStorage}
+ */
+function createStorage(config) {
+  if (config.client === 'memory') {
+    return new MemoryStorage()
+  }
+  return new KnexStorage(config)
+}
+
+module.exports = {
+  createStorage: createStorage
+, KnexStorage: KnexStorage
+, MemoryStorage: MemoryStorage
+}
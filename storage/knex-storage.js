@@ -0,0 +1,535 @@
+'use strict'
+var knex = require('knex')
+  , path = require('path')
+  , debug = require('debug')('lobbysim:storage')
+
+/** Storage backed by a database through knex */
+class KnexStorage {
+  /**
+   * Create a knex storage
+   * @param {Object} config - A knex connection configuration
+   */
+  constructor(config) {
+    this.db = knex(config)
+    this.migrations = {directory: path.join(__dirname, '..', 'migrations')}
+  }
+
+  /**
+   * Run all pending migrations
+   * @return {Promise.<number>} - The schema version after migrating
+   */
+  migrate() {
+    debug('Migrating the database...')
+    return this.db.migrate.latest(this.migrations)
+      .spread((batch, log) => {
+        log.forEach(name => debug(`Ran migration ${name}`))
+        return this.db.migrate.currentVersion(this.migrations)
+      })
+      .then(version => version === 'none' ? 0 : parseInt(version, 10))
+  }
+
+  /**
+   * Close the connection to the database
+   * @return {Promise}
+   */
+  close() {
+    return this.db.destroy()
+  }
+
+  /**
+   * Look up a user
+   * @param {string} username - Twitch username
+   * @return {Promise.<?Storage~User>} - The user, or null if they don't exist
+   */
+  getUser(username) {
+    return this.db.select('username', 'steamID', 'verifiedAt')
+      .from('users')
+      .where('username', username)
+      .then(rows => rows.length === 0 ? null : rows[0])
+  }
+
+  /**
+   * Look up the user who linked a Steam profile
+   * @param {string} steamID - SteamID64 of the profile
+   * @return {Promise.<?Storage~User>} - The user, or null if nobody linked the profile
+   */
+  getUserBySteamID(steamID) {
+    return this.db.select('username', 'steamID', 'verifiedAt')
+      .from('users')
+      .where('steamID', steamID)
+      .orderBy('username')
+      .limit(1)
+      .then(rows => rows.length === 0 ? null : rows[0])
+  }
+
+  /**
+   * Create or update a user
+   * @param {string} username - Twitch username
+   * @param {string} steamID - SteamID64 of the user
+   * @param {?number} [verifiedAt=null] - When the user proved that the profile is theirs
+   * @return {Promise}
+   */
+  saveUser(username, steamID, verifiedAt) {
+    let changes = {steamID: steamID, verifiedAt: verifiedAt === undefined ? null : verifiedAt}
+    return this.db('users')
+      .where('username', username)
+      .update(changes)
+      .then(affected => {
+        if (affected === 0) {
+          changes.username = username
+          return this.db.into('users').insert(changes)
+        }
+      })
+  }
+
+  /**
+   * Create a drawing
+   * @param {Object} drawing - The columns of the drawing
+   * @return {Promise.<number>} - The ID of the drawing
+   */
+  createDrawing(drawing) {
+    return this.db.into('drawings')
+      .insert(drawing)
+      .then(id => id[0])
+  }
+
+  /**
+   * Update a drawing
+   * @param {number} id - ID of the drawing
+   * @param {Object} changes - The columns to change
+   * @return {Promise}
+   */
+  updateDrawing(id, changes) {
+    return this.db('drawings')
+      .where('id', id)
+      .update(changes)
+  }
+
+  /**
+   * Look up a drawing
+   * @param {number} id - ID of the drawing
+   * @return {Promise.<?Storage~Drawing>} - The drawing, or null if it doesn't exist
+   */
+  getDrawing(id) {
+    return this.db.select()
+      .from('drawings')
+      .where('id', id)
+      .then(rows => rows.length === 0 ? null : this._drawing(rows[0]))
+  }
+
+  /**
+   * Look up the most recent drawing of a channel
+   * @param {string} channel - Channel of the drawing
+   * @return {Promise.<?Storage~Drawing>} - The drawing, or null if there were no drawings yet
+   */
+  getLatestDrawing(channel) {
+    return this.db.select()
+      .from('drawings')
+      .where('channel', channel)
+      .orderBy('id', 'desc')
+      .limit(1)
+      .then(rows => rows.length === 0 ? null : this._drawing(rows[0]))
+  }
+
+  /**
+   * Add an entrant to a drawing
+   * @param {number} drawID - ID of the drawing
+   * @param {string} username - Username of the entrant
+   * @param {number} tickets - How many tickets the entrant gets
+   * @return {Promise}
+   */
+  addEntry(drawID, username, tickets) {
+    return this.db.into('entries')
+      .insert({draw_id: drawID, username: username, tickets: tickets})
+  }
+
+  /**
+   * Remove an entrant from a drawing
+   * @param {number} drawID - ID of the drawing
+   * @param {string} username - Username of the entrant
+   * @return {Promise}
+   */
+  removeEntry(drawID, username) {
+    return this.db('entries')
+      .where({draw_id: drawID, username: username})
+      .del()
+  }
+
+  /**
+   * Get the entrants of a drawing in the order they entered
+   * @param {number} drawID - ID of the drawing
+   * @return {Promise.<Array.<Storage~Entry>>}
+   */
+  getEntries(drawID) {
+    return this.db.select('username', 'tickets')
+      .from('entries')
+      .where('draw_id', drawID)
+      .orderBy('id')
+  }
+
+  /**
+   * Add a winner to a drawing
+   * @param {number} drawID - ID of the drawing
+   * @param {string} username - Username of the winner
+   * @param {number} position - How many picks were made before this one
+   * @param {number} pickedAt - When the winner was picked
+   * @return {Promise}
+   */
+  addWinner(drawID, username, position, pickedAt) {
+    return this.db.into('winners').insert({
+      draw_id: drawID
+    , username: username
+    , position: position
+    , pickedAt: pickedAt
+    })
+  }
+
+  /**
+   * Mark a winner of a drawing as rerolled
+   * @param {number} drawID - ID of the drawing
+   * @param {string} username - Username of the winner
+   * @param {number} rerolledAt - When the winner was rerolled
+   * @param {string} rerolledBy - Username of the moderator who rerolled the winner
+   * @return {Promise}
+   */
+  rerollWinner(drawID, username, rerolledAt, rerolledBy) {
+    return this.db('winners')
+      .where({draw_id: drawID, username: username, rerolled: false})
+      .update({rerolled: true, rerolledAt: rerolledAt, rerolledBy: rerolledBy})
+  }
+
+  /**
+   * Get every pick of a drawing in order, including rerolled winners
+   * @param {number} drawID - ID of the drawing
+   * @return {Promise.<Array.<Storage~Winner>>}
+   */
+  getWinners(drawID) {
+    return this.db.select('winners.username', 'steamID', 'position', 'pickedAt', 'rerolled', 'rerolledAt', 'rerolledBy')
+      .from('winners')
+      .leftJoin('users', 'winners.username', 'users.username')
+      .where('draw_id', drawID)
+      .orderBy('position')
+      .then(rows => rows.map(row => {
+        row.rerolled = Boolean(row.rerolled)
+        return row
+      }))
+  }
+
+  /**
+   * Get how a user did in the previous drawings of a channel
+   * @param {string} channel - Channel of the drawings
+   * @param {string} username - Username of the user
+   * @param {number} limit - How many of the latest closed drawings to include
+   * @param {number} [since] - Also include every drawing closed after this time (ms since the epoch)
+   * @return {Promise.<Array.<Fairness~HistoryEntry>>} - The drawings, newest first
+   */
+  getHistory(channel, username, limit, since) {
+    let latest = limit > 0 ?
+      this.db.select('id', 'closedAt')
+        .from('drawings')
+        .where({channel: channel, open: false})
+        .orderBy('id', 'desc')
+        .limit(limit) :
+      Promise.resolve([])
+    let recent = since !== undefined ?
+      this.db.select('id', 'closedAt')
+        .from('drawings')
+        .where({channel: channel, open: false})
+        .andWhere('closedAt', '>=', since) :
+      Promise.resolve([])
+    return Promise.all([latest, recent]).then(results => {
+      let byID = {}
+      results[0].concat(results[1]).forEach(row => {
+        byID[row.id] = row
+      })
+      let drawings = Object.keys(byID).map(id => byID[id]).sort((a, b) => b.id - a.id)
+      if (drawings.length === 0) {
+        return []
+      }
+      let ids = drawings.map(drawing => drawing.id)
+      return Promise.all([
+        this.db.select('draw_id').from('entries').whereIn('draw_id', ids).andWhere('username', username)
+      , this.db.select('draw_id').from('winners').whereIn('draw_id', ids).andWhere({username: username, rerolled: false})
+      ]).then(rows => {
+        let entered = rows[0].map(row => row.draw_id)
+        let won = rows[1].map(row => row.draw_id)
+        return drawings.map(drawing => ({
+          id: drawing.id
+        , closedAt: drawing.closedAt
+        , entered: entered.indexOf(drawing.id) !== -1 || won.indexOf(drawing.id) !== -1
+        , won: won.indexOf(drawing.id) !== -1
+        }))
+      })
+    })
+  }
+
+  /**
+   * Look up the ratings of users
+   * @param {Array.<string>} usernames - Twitch usernames
+   * @param {string} [mode='team'] - '1v1' or 'team'
+   * @return {Promise.<Object.<string, number>>} - The ratings by username. Users without a rating are left out.
+   */
+  getRatings(usernames, mode) {
+    let column = mode === '1v1' ? 'rating1v1' : 'ratingTeam'
+    if (usernames.length === 0) {
+      return Promise.resolve({})
+    }
+    return this.db.select('username', column)
+      .from('ratings')
+      .whereIn('username', usernames)
+      .whereNotNull(column)
+      .then(rows => {
+        let ratings = {}
+        rows.forEach(row => {
+          ratings[row.username] = row[column]
+        })
+        return ratings
+      })
+  }
+
+  /**
+   * Look up the rating profile of a user
+   * @param {string} username - Twitch username
+   * @return {Promise.<?Storage~RatingProfile>} - The profile, or null if the user has no ratings
+   */
+  getRatingProfile(username) {
+    return this.db.select('username', 'rating1v1', 'ratingTeam', 'source', 'updatedAt')
+      .from('ratings')
+      .where('username', username)
+      .then(rows => rows.length === 0 ? null : rows[0])
+  }
+
+  /**
+   * Create or update the rating profile of a user. Ratings that aren't given are kept.
+   * @param {Storage~RatingProfile} profile - The profile
+   * @return {Promise}
+   */
+  saveRatingProfile(profile) {
+    let changes = {source: profile.source, updatedAt: profile.updatedAt}
+    if (profile.rating1v1 !== undefined) {
+      changes.rating1v1 = profile.rating1v1
+    }
+    if (profile.ratingTeam !== undefined) {
+      changes.ratingTeam = profile.ratingTeam
+    }
+    return this.db('ratings')
+      .where('username', profile.username)
+      .update(changes)
+      .then(affected => {
+        if (affected === 0) {
+          changes.username = profile.username
+          return this.db.into('ratings').insert(changes)
+        }
+      })
+  }
+
+  /**
+   * Start a poll
+   * @param {Object} poll - The poll, without id, endedAt and result
+   * @return {Promise.<number>} - The ID of the poll
+   */
+  createPoll(poll) {
+    return this.db.into('polls').insert({
+      draw_id: poll.drawID
+    , topic: poll.topic
+    , options: JSON.stringify(poll.options)
+    , startedBy: poll.startedBy
+    , startedAt: poll.startedAt
+    , endsAt: poll.endsAt
+    }).then(ids => ids[0])
+  }
+
+  /**
+   * End a poll
+   * @param {number} pollID - ID of the poll
+   * @param {?string} result - The winning option
+   * @param {number} endedAt - When the poll ended
+   * @return {Promise}
+   */
+  endPoll(pollID, result, endedAt) {
+    return this.db('polls')
+      .where('id', pollID)
+      .update({result: result, endedAt: endedAt})
+  }
+
+  /**
+   * Get the polls of a drawing in the order they were started
+   * @param {number} drawID - ID of the drawing
+   * @return {Promise.<Array.<Storage~Poll>>}
+   */
+  getPolls(drawID) {
+    return this.db.select('id', 'draw_id', 'topic', 'options', 'startedBy', 'startedAt', 'endsAt', 'endedAt', 'result')
+      .from('polls')
+      .where('draw_id', drawID)
+      .orderBy('id')
+      .then(rows => rows.map(row => ({
+        id: row.id
+      , drawID: row.draw_id
+      , topic: row.topic
+      , options: JSON.parse(row.options)
+      , startedBy: row.startedBy
+      , startedAt: row.startedAt
+      , endsAt: row.endsAt
+      , endedAt: row.endedAt
+      , result: row.result
+      })))
+  }
+
+  /**
+   * Record a vote, replacing the voter's previous one
+   * @param {number} pollID - ID of the poll
+   * @param {string} username - Username of the voter
+   * @param {number} choice - Index of the option
+   * @return {Promise}
+   */
+  addVote(pollID, username, choice) {
+    return this.db('votes')
+      .where({poll_id: pollID, username: username})
+      .update({choice: choice})
+      .then(affected => {
+        if (affected === 0) {
+          return this.db.into('votes').insert({poll_id: pollID, username: username, choice: choice})
+        }
+      })
+  }
+
+  /**
+   * Get the votes of a poll
+   * @param {number} pollID - ID of the poll
+   * @return {Promise.<Array.<Storage~Vote>>}
+   */
+  getVotes(pollID) {
+    return this.db.select('username', 'choice')
+      .from('votes')
+      .where('poll_id', pollID)
+      .orderBy('id')
+  }
+
+  /**
+   * Get the channels that were changed at runtime
+   * @return {Promise.<Array.<Storage~Channel>>}
+   */
+  getChannels() {
+    return this.db.select('name', 'settings', 'updatedBy', 'updatedAt')
+      .from('channels')
+      .orderBy('id')
+      .then(rows => rows.map(row => {
+        row.settings = row.settings === null ? null : JSON.parse(row.settings)
+        return row
+      }))
+  }
+
+  /**
+   * Create or update a channel
+   * @param {Storage~Channel} channel - The channel
+   * @return {Promise}
+   */
+  saveChannel(channel) {
+    let changes = {
+      settings: channel.settings === null ? null : JSON.stringify(channel.settings)
+    , updatedBy: channel.updatedBy
+    , updatedAt: channel.updatedAt
+    }
+    return this.db('channels')
+      .where('name', channel.name)
+      .update(changes)
+      .then(affected => {
+        if (affected === 0) {
+          changes.name = channel.name
+          return this.db.into('channels').insert(changes)
+        }
+      })
+  }
+
+  /**
+   * Ban a user from the drawings of a channel
+   * @param {Object} ban - The columns of the ban (see Storage~Ban)
+   * @return {Promise.<number>} - The ID of the ban
+   */
+  addBan(ban) {
+    return this.db.into('bans')
+      .insert(ban)
+      .then(ids => ids[0])
+  }
+
+  /**
+   * Get the bans of a channel that are in effect
+   * @param {string} channel - The channel
+   * @param {number} time - The current time (ms since the epoch)
+   * @return {Promise.<Array.<Storage~Ban>>}
+   */
+  getBans(channel, time) {
+    return this.db.select('id', 'channel', 'username', 'reason', 'bannedBy', 'bannedAt', 'expiresAt', 'liftedBy',
+      'liftedAt')
+      .from('bans')
+      .where('channel', channel)
+      .whereNull('liftedAt')
+      .andWhere(function() {
+        this.whereNull('expiresAt').orWhere('expiresAt', '>', time)
+      })
+      .orderBy('id')
+  }
+
+  /**
+   * Lift the bans of a user in a channel
+   * @param {string} channel - The channel
+   * @param {string} username - Username of the banned user
+   * @param {string} liftedBy - Username of the moderator who lifted them
+   * @param {number} liftedAt - When they were lifted
+   * @return {Promise.<number>} - How many bans were lifted
+   */
+  liftBans(channel, username, liftedBy, liftedAt) {
+    return this.db('bans')
+      .where({channel: channel, username: username})
+      .whereNull('liftedAt')
+      .update({liftedBy: liftedBy, liftedAt: liftedAt})
+  }
+
+  /**
+   * Get the blocklist of a channel's Steam chat
+   * @param {string} channel - The channel
+   * @return {Promise.<Array.<Storage~SteamBlock>>}
+   */
+  getSteamBlocks(channel) {
+    return this.db.select('channel', 'steamID', 'kicks', 'banned', 'lastKickAt', 'updatedAt')
+      .from('steam_blocks')
+      .where('channel', channel)
+      .orderBy('id')
+      .then(rows => rows.map(row => {
+        row.banned = Boolean(row.banned)
+        return row
+      }))
+  }
+
+  /**
+   * Create or update an entry of a Steam chat's blocklist
+   * @param {Storage~SteamBlock} block - The entry
+   * @return {Promise}
+   */
+  saveSteamBlock(block) {
+    let changes = {kicks: block.kicks, banned: block.banned, lastKickAt: block.lastKickAt, updatedAt: block.updatedAt}
+    return this.db('steam_blocks')
+      .where({channel: block.channel, steamID: block.steamID})
+      .update(changes)
+      .then(affected => {
+        if (affected === 0) {
+          changes.channel = block.channel
+          changes.steamID = block.steamID
+          return this.db.into('steam_blocks').insert(changes)
+        }
+      })
+  }
+
+  /**
+   * Normalize a row of the drawings table
+   * @param {Object} row - The row
+   * @return {Storage~Drawing}
+   * @private
+   */
+  _drawing(row) {
+    row.open = Boolean(row.open)
+    return row
+  }
+}
+
+module.exports = KnexStorage
@@ -0,0 +1,287 @@
+'use strict'
+var assign = require('object-assign')
+
+/**
+ * Storage that keeps everything in memory. Nothing survives a restart, so
+ * this is meant for tests.
+ */
+class MemoryStorage {
+  /** Create an empty memory storage */
+  constructor() {
+    this.users = {}
+    this.drawings = []
+    this.entries = []
+    this.winners = []
+    this.ratings = {}
+    this.polls = []
+    this.votes = []
+    this.channels = []
+    this.bans = []
+    this.steamBlocks = []
+  }
+
+  /**
+   * There is nothing to migrate in memory
+   * @return {Promise.<number>}
+   */
+  migrate() {
+    return Promise.resolve(0)
+  }
+
+  /**
+   * There is nothing to close in memory
+   * @return {Promise}
+   */
+  close() {
+    return Promise.resolve()
+  }
+
+  getUser(username) {
+    let user = this.users[username]
+    return Promise.resolve(user === undefined ? null : assign({}, user))
+  }
+
+  getUserBySteamID(steamID) {
+    let username = Object.keys(this.users).sort().find(name => this.users[name].steamID === steamID)
+    return Promise.resolve(username === undefined ? null : assign({}, this.users[username]))
+  }
+
+  saveUser(username, steamID, verifiedAt) {
+    this.users[username] = {username: username, steamID: steamID, verifiedAt: verifiedAt === undefined ? null : verifiedAt}
+    return Promise.resolve()
+  }
+
+  createDrawing(drawing) {
+    let id = this.drawings.length + 1
+    this.drawings.push(assign({
+      open: false
+    , openedAt: null
+    , closedAt: null
+    , moderator: null
+    , seed: null
+    , commitment: null
+    , closesAt: null
+    , winnerCount: null
+    , minRating: null
+    , maxRating: null
+    , ratingMode: null
+    }, drawing, {id: id}))
+    return Promise.resolve(id)
+  }
+
+  updateDrawing(id, changes) {
+    let drawing = this.drawings[id - 1]
+    if (drawing !== undefined) {
+      assign(drawing, changes)
+    }
+    return Promise.resolve()
+  }
+
+  getDrawing(id) {
+    let drawing = this.drawings[id - 1]
+    return Promise.resolve(drawing === undefined ? null : assign({}, drawing))
+  }
+
+  getLatestDrawing(channel) {
+    for (let i = this.drawings.length - 1; i >= 0; i--) {
+      if (this.drawings[i].channel === channel) {
+        return Promise.resolve(assign({}, this.drawings[i]))
+      }
+    }
+    return Promise.resolve(null)
+  }
+
+  addEntry(drawID, username, tickets) {
+    this.entries.push({draw_id: drawID, username: username, tickets: tickets})
+    return Promise.resolve()
+  }
+
+  removeEntry(drawID, username) {
+    this.entries = this.entries.filter(entry => entry.draw_id !== drawID || entry.username !== username)
+    return Promise.resolve()
+  }
+
+  getEntries(drawID) {
+    return Promise.resolve(this.entries
+      .filter(entry => entry.draw_id === drawID)
+      .map(entry => ({username: entry.username, tickets: entry.tickets})))
+  }
+
+  addWinner(drawID, username, position, pickedAt) {
+    this.winners.push({
+      draw_id: drawID
+    , username: username
+    , position: position
+    , pickedAt: pickedAt
+    , rerolled: false
+    , rerolledAt: null
+    , rerolledBy: null
+    })
+    return Promise.resolve()
+  }
+
+  rerollWinner(drawID, username, rerolledAt, rerolledBy) {
+    this.winners.forEach(winner => {
+      if (winner.draw_id === drawID && winner.username === username && !winner.rerolled) {
+        assign(winner, {rerolled: true, rerolledAt: rerolledAt, rerolledBy: rerolledBy})
+      }
+    })
+    return Promise.resolve()
+  }
+
+  getWinners(drawID) {
+    return Promise.resolve(this.winners
+      .filter(winner => winner.draw_id === drawID)
+      .sort((a, b) => a.position - b.position)
+      .map(winner => {
+        let user = this.users[winner.username]
+        let row = assign({steamID: user === undefined ? null : user.steamID}, winner)
+        delete row.draw_id
+        return row
+      }))
+  }
+
+  getRatings(usernames, mode) {
+    let column = mode === '1v1' ? 'rating1v1' : 'ratingTeam'
+    let ratings = {}
+    usernames.forEach(username => {
+      let profile = this.ratings[username]
+      if (profile !== undefined && profile[column] !== null) {
+        ratings[username] = profile[column]
+      }
+    })
+    return Promise.resolve(ratings)
+  }
+
+  getRatingProfile(username) {
+    let profile = this.ratings[username]
+    return Promise.resolve(profile === undefined ? null : assign({}, profile))
+  }
+
+  saveRatingProfile(profile) {
+    let stored = this.ratings[profile.username] || {username: profile.username, rating1v1: null, ratingTeam: null}
+    this.ratings[profile.username] = stored
+    assign(stored, {source: profile.source, updatedAt: profile.updatedAt})
+    if (profile.rating1v1 !== undefined) {
+      stored.rating1v1 = profile.rating1v1
+    }
+    if (profile.ratingTeam !== undefined) {
+      stored.ratingTeam = profile.ratingTeam
+    }
+    return Promise.resolve()
+  }
+
+  createPoll(poll) {
+    let id = this.polls.length + 1
+    this.polls.push(assign({endedAt: null, result: null}, poll, {
+      id: id
+    , options: poll.options.slice()
+    }))
+    return Promise.resolve(id)
+  }
+
+  endPoll(pollID, result, endedAt) {
+    let poll = this.polls[pollID - 1]
+    if (poll !== undefined) {
+      assign(poll, {result: result, endedAt: endedAt})
+    }
+    return Promise.resolve()
+  }
+
+  getPolls(drawID) {
+    return Promise.resolve(this.polls
+      .filter(poll => poll.drawID === drawID)
+      .map(poll => assign({}, poll, {options: poll.options.slice()})))
+  }
+
+  addVote(pollID, username, choice) {
+    let vote = this.votes.find(vote => vote.poll_id === pollID && vote.username === username)
+    if (vote === undefined) {
+      this.votes.push({poll_id: pollID, username: username, choice: choice})
+    } else {
+      vote.choice = choice
+    }
+    return Promise.resolve()
+  }
+
+  getVotes(pollID) {
+    return Promise.resolve(this.votes
+      .filter(vote => vote.poll_id === pollID)
+      .map(vote => ({username: vote.username, choice: vote.choice})))
+  }
+
+  getChannels() {
+    return Promise.resolve(this.channels.map(channel => assign({}, channel, {
+      settings: channel.settings === null ? null : JSON.parse(JSON.stringify(channel.settings))
+    })))
+  }
+
+  saveChannel(channel) {
+    let stored = this.channels.filter(row => row.name === channel.name)[0]
+    if (stored === undefined) {
+      stored = {name: channel.name}
+      this.channels.push(stored)
+    }
+    assign(stored, {
+      settings: channel.settings === null ? null : JSON.parse(JSON.stringify(channel.settings))
+    , updatedBy: channel.updatedBy
+    , updatedAt: channel.updatedAt
+    })
+    return Promise.resolve()
+  }
+
+  addBan(ban) {
+    let id = this.bans.length + 1
+    this.bans.push(assign({reason: null, expiresAt: null, liftedBy: null, liftedAt: null}, ban, {id: id}))
+    return Promise.resolve(id)
+  }
+
+  getBans(channel, time) {
+    return Promise.resolve(this.bans
+      .filter(ban => ban.channel === channel && ban.liftedAt === null &&
+        (ban.expiresAt === null || ban.expiresAt > time))
+      .map(ban => assign({}, ban)))
+  }
+
+  liftBans(channel, username, liftedBy, liftedAt) {
+    let lifted = this.bans.filter(ban => ban.channel === channel && ban.username === username && ban.liftedAt === null)
+    lifted.forEach(ban => assign(ban, {liftedBy: liftedBy, liftedAt: liftedAt}))
+    return Promise.resolve(lifted.length)
+  }
+
+  getSteamBlocks(channel) {
+    return Promise.resolve(this.steamBlocks
+      .filter(block => block.channel === channel)
+      .map(block => assign({}, block)))
+  }
+
+  saveSteamBlock(block) {
+    let stored = this.steamBlocks.filter(row => row.channel === block.channel && row.steamID === block.steamID)[0]
+    if (stored === undefined) {
+      stored = {channel: block.channel, steamID: block.steamID}
+      this.steamBlocks.push(stored)
+    }
+    assign(stored, {kicks: block.kicks, banned: block.banned, lastKickAt: block.lastKickAt, updatedAt: block.updatedAt})
+    return Promise.resolve()
+  }
+
+  getHistory(channel, username, limit, since) {
+    let closed = this.drawings
+      .filter(drawing => drawing.channel === channel && !drawing.open)
+      .sort((a, b) => b.id - a.id)
+    return Promise.resolve(closed
+      .filter((drawing, i) => i < limit || (since !== undefined && drawing.closedAt >= since))
+      .map(drawing => {
+        let won = this.winners.some(winner => winner.draw_id === drawing.id &&
+          winner.username === username && !winner.rerolled)
+        return {
+          id: drawing.id
+        , closedAt: drawing.closedAt
+        , entered: won || this.entries.some(entry => entry.draw_id === drawing.id && entry.username === username)
+        , won: won
+        }
+      }))
+  }
+}
+
+module.exports = MemoryStorage
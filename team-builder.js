@@ -0,0 +1,143 @@
+'use strict'
+
+/**
+ * Splitting players into teams of similar strength.
+ *
+ * Teams are balanced by the sum of their players' ratings. Players without a
+ * rating count as the average of the rated players. If nobody has a rating,
+ * the teams are random.
+ * @module team-builder
+ */
+
+/**
+ * A player to put into a team
+ * @typedef {Object} TeamBuilder~Player
+ * @property {string} name - Name of the player
+ * @property {?number} rating - Rating of the player, or null if they don't have one
+ */
+
+/**
+ * A team
+ * @typedef {Object} TeamBuilder~Team
+ * @property {Array.<string>} players - Names of the players
+ * @property {?number} rating - The sum of the players' ratings, or null if nobody had a rating
+ */
+
+/**
+ * Parse a team format like 4v4 or 2v2v2
+ * @param {string} format - The format
+ * @return {?Array.<number>} - The size of every team, or null if it isn't a format
+ */
+function parseFormat(format) {
+  if (!/^\d+(?:v\d+)+$/i.test(format || '')) {
+    return null
+  }
+  let sizes = format.toLowerCase().split('v').map(size => parseInt(size, 10))
+  return sizes.every(size => size > 0) ? sizes : null
+}
+
+/**
+ * Shuffle an array in place
+ * @param {Array} array - The array
+ * @param {Function} random - Returns a number in [0, 1)
+ * @return {Array} - The array
+ */
+function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    let j = Math.floor(random() * (i + 1))
+    let tmp = array[i]
+    array[i] = array[j]
+    array[j] = tmp
+  }
+  return array
+}
+
+/**
+ * The difference between the strongest and the weakest team
+ * @param {Array.<Array.<number>>} teams - The ratings of the players in every team
+ * @return {number}
+ */
+function spread(teams) {
+  let totals = teams.map(team => team.reduce((sum, rating) => sum + rating, 0))
+  return Math.max.apply(null, totals) - Math.min.apply(null, totals)
+}
+
+/**
+ * Split players into teams
+ * @param {Array.<TeamBuilder~Player>} players - The players. There can't be more players than places in the teams.
+ * @param {Array.<number>} sizes - The size of every team
+ * @param {Object} [options]
+ * @param {boolean} [options.shuffle=false] - Start from a random split instead of the strongest players first,
+ *   so building the teams again gives a different (but still balanced) result
+ * @param {Function} [options.random=Math.random] - Returns a number in [0, 1)
+ * @return {Array.<TeamBuilder~Team>}
+ */
+function build(players, sizes, options) {
+  options = options || {}
+  let random = options.random || Math.random
+  let places = sizes.reduce((sum, size) => sum + size, 0)
+  if (players.length > places) {
+    throw new Error(`${players.length} players don't fit into teams of ${sizes.join('v')}`)
+  }
+  let rated = players.filter(player => player.rating !== null)
+  if (rated.length === 0) {
+    let teams = sizes.map(() => ({players: [], rating: null}))
+    shuffle(players.slice(), random).forEach(player => {
+      // Deal the players out like cards so the teams fill up evenly
+      let open = teams.filter((team, i) => team.players.length < sizes[i])
+      open.sort((a, b) => a.players.length - b.players.length)[0].players.push(player.name)
+    })
+    return teams
+  }
+  let average = rated.reduce((sum, player) => sum + player.rating, 0) / rated.length
+  let ratingOf = player => player.rating === null ? average : player.rating
+
+  // Place the players one after another in the weakest team with room left
+  let order = options.shuffle ?
+    shuffle(players.slice(), random) :
+    players.slice().sort((a, b) => ratingOf(b) - ratingOf(a))
+  let teams = sizes.map(() => [])
+  let total = team => team.reduce((sum, player) => sum + ratingOf(player), 0)
+  order.forEach(player => {
+    let open = teams.filter((team, i) => team.length < sizes[i])
+    let weakest = options.shuffle ?
+      open[Math.floor(random() * open.length)] :
+      open.sort((a, b) => total(a) - total(b))[0]
+    weakest.push(player)
+  })
+
+  // Then swap players between teams as long as that brings the teams closer together
+  let ratings = () => teams.map(team => team.map(ratingOf))
+  let improved = true
+  while (improved) {
+    improved = false
+    for (let a = 0; a < teams.length && !improved; a++) {
+      for (let b = a + 1; b < teams.length && !improved; b++) {
+        for (let i = 0; i < teams[a].length && !improved; i++) {
+          for (let j = 0; j < teams[b].length && !improved; j++) {
+            let before = spread(ratings())
+            let tmp = teams[a][i]
+            teams[a][i] = teams[b][j]
+            teams[b][j] = tmp
+            if (spread(ratings()) < before) {
+              improved = true
+            } else {
+              teams[b][j] = teams[a][i]
+              teams[a][i] = tmp
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return teams.map(team => ({
+    players: team.map(player => player.name)
+  , rating: Math.round(total(team))
+  }))
+}
+
+module.exports = {
+  parseFormat: parseFormat
+, build: build
+}
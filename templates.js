@@ -0,0 +1,57 @@
+'use strict'
+var path = require('path')
+  , assign = require('object-assign')
+
+/**
+ * Message templates with named placeholders like {winners}, loaded from the
+ * bundled locale files in locales/.
+ */
+class Templates {
+  /**
+   * Create a set of templates
+   * @param {string} [locale='en'] - Name of the bundled locale to use. Templates it lacks fall back to English.
+   * @param {Object.<string, string>} [overrides] - Templates that replace the ones from the locale
+   */
+  constructor(locale, overrides) {
+    this.locale = locale || 'en'
+    this.templates = assign({}, Templates.load('en'), Templates.load(this.locale), overrides)
+  }
+
+  /**
+   * Load the templates of a bundled locale
+   * @param {string} locale - Name of the locale (e.g. 'de')
+   * @return {Object.<string, string>}
+   */
+  static load(locale) {
+    if (!/^[a-z]{2}(?:-[A-Z]{2})?$/.test(locale)) {
+      throw new Error(`Invalid locale "${locale}"`)
+    }
+    try {
+      return require(path.join(__dirname, 'locales', `${locale}.json`))
+    } catch (err) {
+      if (err.code === 'MODULE_NOT_FOUND') {
+        throw new Error(`There is no bundled locale "${locale}"`)
+      }
+      throw err
+    }
+  }
+
+  /**
+   * Fill in a template. Placeholders without a value are left as they are.
+   * @param {string} name - Name of the template
+   * @param {Object.<string, *>} [params] - Values for the placeholders
+   * @return {string}
+   */
+  format(name, params) {
+    let template = this.templates[name]
+    if (template === undefined) {
+      throw new Error(`Unknown message template "${name}"`)
+    }
+    params = params || {}
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+      return params.hasOwnProperty(key) && params[key] !== undefined ? String(params[key]) : match
+    })
+  }
+}
+
+module.exports = Templates
@@ -0,0 +1,122 @@
+'use strict'
+var assert = require('assert')
+  , http = require('http')
+  , harness = require('./harness')
+  , bot = require('./support/bot')
+
+var test = harness.test
+  , eventually = harness.eventually
+  , PLAYERS = bot.PLAYERS
+  , TOKEN = 'secret'
+
+/**
+ * Start a bot with the admin API on a free port
+ * @param {Function} after - Adds a clean-up to the test
+ * @return {Promise.<Object>} - The bot, its storage and its fake connections
+ */
+function startBot(after) {
+  return bot.startBot(after, {adminAPI: {token: TOKEN, port: 0}})
+}
+
+/**
+ * Send a request to the admin API
+ * @param {LobbySim} lobbySim - The bot
+ * @param {string} method - The HTTP method
+ * @param {string} path - The path
+ * @param {Object} [body] - The JSON body
+ * @param {?string} [token=TOKEN] - The token, or null to send none
+ * @return {Promise.<Object>} - The `status` and the parsed `body` of the response
+ */
+function request(lobbySim, method, path, body, token) {
+  token = token === undefined ? TOKEN : token
+  return new Promise((resolve, reject) => {
+    let headers = {'Content-Type': 'application/json'}
+    if (token !== null) {
+      headers.Authorization = `Bearer ${token}`
+    }
+    let req = http.request({
+      host: '127.0.0.1'
+    , port: lobbySim.adminAPI.server.address().port
+    , method: method
+    , path: path
+    , headers: headers
+    }, res => {
+      let chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8'))}))
+    })
+    req.on('error', reject)
+    req.end(body === undefined ? undefined : JSON.stringify(body))
+  })
+}
+
+test('admin-api: requests without the right token are refused', after => {
+  return startBot(after).then(t => Promise.all([
+    request(t.bot, 'GET', '/channels', undefined, null)
+  , request(t.bot, 'GET', '/channels', undefined, 'wrong')
+  , request(t.bot, 'GET', '/channels', undefined, `${TOKEN}x`)
+  ])).then(responses => responses.forEach(res => {
+    assert.equal(res.status, 401)
+    assert.equal(res.body.error, 'The token is missing or wrong')
+  }))
+})
+
+test('admin-api: unknown paths, methods and channels are answered with errors', after => {
+  return startBot(after).then(t => Promise.all([
+    request(t.bot, 'GET', '/nothing')
+  , request(t.bot, 'POST', '/channels/jazzpi')
+  , request(t.bot, 'GET', '/channels/nobody')
+  , request(t.bot, 'GET', '/channels/%E0%A4%A')
+  , request(t.bot, 'GET', '/drawings/42')
+  ])).then(responses => {
+    assert.deepEqual(responses.map(res => res.status), [404, 405, 404, 400, 404])
+    assert.equal(responses[2].body.error, 'There is no channel #nobody')
+  })
+})
+
+test('admin-api: channels are found by any case, with or without the #', after => {
+  return startBot(after).then(t => Promise.all([
+    request(t.bot, 'GET', '/channels/JazzPi')
+  , request(t.bot, 'GET', '/channels/%23jazzpi/')
+  , request(t.bot, 'GET', '/channels')
+  ])).then(responses => {
+    assert.equal(responses[0].status, 200)
+    assert.equal(responses[0].body.channel, '#jazzpi')
+    assert.equal(responses[0].body.chatID, '9')
+    assert.deepEqual(responses[1].body, responses[0].body)
+    assert.deepEqual(responses[2].body, [responses[0].body])
+  })
+})
+
+test('admin-api: drawings are opened and closed like with the chat commands', after => {
+  let t
+  return startBot(after).then(started => {
+    t = started
+    return Promise.all(Object.keys(PLAYERS).map(name => t.storage.saveUser(name, PLAYERS[name])))
+  }).then(() => request(t.bot, 'POST', '/channels/jazzpi/drawing/open', {winners: 1})).then(res => {
+    assert.equal(res.status, 200)
+    assert.equal(res.body.open, true)
+    assert.equal(res.body.moderator, 'admin-api')
+    assert.equal(res.body.seed, null, 'the seed is secret until the drawing is closed')
+    return request(t.bot, 'POST', '/channels/jazzpi/drawing/open')
+  }).then(res => {
+    assert.equal(res.status, 409)
+    Object.keys(PLAYERS).forEach(name => t.chat.chat('#jazzpi', name, '!play'))
+    return eventually(() => assert.equal(t.bot.drawings['#jazzpi'].entries.length, 4))
+  }).then(() => request(t.bot, 'POST', '/channels/jazzpi/drawing/close', {winners: -1})).then(res => {
+    assert.equal(res.status, 400)
+    return request(t.bot, 'POST', '/channels/jazzpi/drawing/close', {winners: 1})
+  }).then(res => {
+    assert.equal(res.status, 200)
+    assert.equal(res.body.open, false)
+    assert.equal(res.body.entrants.length, 4)
+    assert.equal(res.body.winners.length, 1)
+    assert.notEqual(res.body.seed, null)
+    assert.deepEqual(res.body.winners, t.bot.drawings['#jazzpi'].winners)
+    assert(t.bot.isAllowed('9', PLAYERS[res.body.winners[0]]), 'the winner is allowed in the Steam chat')
+    return request(t.bot, 'GET', `/drawings/${res.body.id}`)
+  }).then(res => {
+    assert.equal(res.status, 200)
+    assert.equal(res.body.channel, '#jazzpi')
+  })
+})
@@ -0,0 +1,82 @@
+'use strict'
+var assert = require('assert')
+  , harness = require('./harness')
+  , bot = require('./support/bot')
+  , MemoryStorage = require('../storage').MemoryStorage
+  , assign = require('object-assign')
+
+var test = harness.test
+  , eventually = harness.eventually
+  , MAIN_USER = bot.MAIN_USER
+  , EVE = '76561197960265899'
+
+/**
+ * Start a bot whose channel #jazzpi bans users after some kicks in the Steam chat 9
+ * @param {Function} after - Adds a clean-up to the test
+ * @param {Object} [settings] - Settings of #jazzpi to add
+ * @param {Storage} [storage] - The storage
+ * @return {Promise.<Object>} - The bot, its storage and its fake connections
+ */
+function startBot(after, settings, storage) {
+  let channel = assign({chatID: '9', mainUser: MAIN_USER, banAfterKicks: 3, kickWindow: 60}, settings)
+  return bot.startBot(after, {channels: {'#jazzpi': channel}}, storage)
+}
+
+test('blocklist: users who keep entering the Steam chat are banned on the last kick of the window', after => {
+  return startBot(after).then(t => {
+    t.steam.join('9', EVE)
+    t.steam.join('9', EVE)
+    assert.deepEqual(t.steam.friends.kicked.map(kick => kick.userID), [EVE, EVE])
+    assert.deepEqual(t.steam.friends.banned, [])
+    assert.equal(t.bot.channels['9'].blocklist[EVE].kicks, 2)
+    t.steam.join('9', EVE)
+    assert.deepEqual(t.steam.friends.banned, [{chatID: '9', userID: EVE}])
+    assert.equal(t.steam.friends.kicked.length, 2, 'the third time they are banned instead of kicked')
+    assert.equal(t.bot.channels['9'].blocklist[EVE].banned, true)
+  })
+})
+
+test('blocklist: kicks are forgotten after the kick window', after => {
+  return startBot(after).then(t => {
+    let blocklist = t.bot.channels['9'].blocklist
+    t.steam.join('9', EVE)
+    t.steam.join('9', EVE)
+    blocklist[EVE].lastKickAt -= 61 * 1000
+    t.steam.join('9', EVE)
+    assert.equal(blocklist[EVE].kicks, 1, 'the count starts over')
+    assert.equal(blocklist[EVE].banned, false)
+    t.steam.join('9', EVE)
+    assert.deepEqual(t.steam.friends.banned, [])
+    t.steam.join('9', EVE)
+    assert.deepEqual(t.steam.friends.banned, [{chatID: '9', userID: EVE}])
+  })
+})
+
+test('blocklist: the global settings apply to channels without their own', after => {
+  return bot.startBot(after, {banAfterKicks: 1}).then(t => {
+    t.steam.join('9', EVE)
+    assert.deepEqual(t.steam.friends.kicked, [])
+    assert.deepEqual(t.steam.friends.banned, [{chatID: '9', userID: EVE}])
+  })
+})
+
+test('blocklist: kicks are kept in the storage until the next start', after => {
+  let storage = new MemoryStorage()
+  let first, lastKickAt
+  return startBot(after, {}, storage).then(t => {
+    first = t
+    t.steam.join('9', EVE)
+    t.steam.join('9', EVE)
+    lastKickAt = t.bot.channels['9'].blocklist[EVE].lastKickAt
+    return eventually(() => assert.deepEqual(storage.steamBlocks.map(block => [block.steamID, block.kicks]), [[EVE, 2]]))
+  }).then(() => {
+    assert.equal(storage.steamBlocks[0].lastKickAt, lastKickAt)
+    assert.equal(storage.steamBlocks[0].banned, false)
+    return first.bot.stop()
+  }).then(() => startBot(after, {}, storage)).then(t => {
+    assert.deepEqual(t.bot.channels['9'].blocklist[EVE], {kicks: 2, banned: false, lastKickAt: lastKickAt})
+    t.steam.join('9', EVE)
+    assert.deepEqual(t.steam.friends.banned, [{chatID: '9', userID: EVE}])
+    return eventually(() => assert.equal(storage.steamBlocks[0].banned, true))
+  })
+})
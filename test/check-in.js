@@ -0,0 +1,86 @@
+'use strict'
+var assert = require('assert')
+  , harness = require('./harness')
+  , bot = require('./support/bot')
+  , assign = require('object-assign')
+
+var test = harness.test
+  , eventually = harness.eventually
+  , PLAYERS = bot.PLAYERS
+
+/**
+ * Start a bot, let every player enter a drawing in #jazzpi and pick one winner
+ * @param {Function} after - Adds a clean-up to the test
+ * @param {Object} settings - Settings of #jazzpi to add (e.g. the checkInWindow)
+ * @param {Array.<string>} [inChat=[]] - Players who are in the Steam chat already
+ * @return {Promise.<Object>} - The bot, its storage and its fake connections
+ */
+function drawWinner(after, settings, inChat) {
+  let t
+  let channel = assign({chatID: '9', mainUser: bot.MAIN_USER}, settings)
+  return bot.startBot(after, {channels: {'#jazzpi': channel}}).then(started => {
+    t = started
+    let joined = inChat || []
+    joined.forEach(name => t.steam.join('9', PLAYERS[name]))
+    return Promise.all(Object.keys(PLAYERS).map(name => t.storage.saveUser(name, PLAYERS[name])))
+  }).then(() => {
+    t.chat.chat('#jazzpi', bot.mod(), '!draw open')
+    return eventually(() => assert(t.bot.drawings['#jazzpi'].open))
+  }).then(() => {
+    Object.keys(PLAYERS).forEach(name => t.chat.chat('#jazzpi', name, '!play'))
+    return eventually(() => assert.equal(t.bot.drawings['#jazzpi'].entries.length, 4))
+  }).then(() => {
+    t.chat.chat('#jazzpi', bot.mod(), '!draw close 1')
+    return eventually(() => assert.equal(t.bot.drawings['#jazzpi'].winners.length, 1))
+  }).then(() => t)
+}
+
+test('check-in: winners who don\'t join the Steam chat in time are rerolled', after => {
+  let t, first
+  return drawWinner(after, {checkInWindow: 1}).then(started => {
+    t = started
+    first = t.bot.drawings['#jazzpi'].winners[0]
+    assert.deepEqual(Object.keys(t.bot.drawings['#jazzpi'].checkIns), [first])
+    return eventually(() => assert.notEqual(t.bot.drawings['#jazzpi'].winners[0], first), 3000)
+  }).then(() => {
+    let drawing = t.bot.drawings['#jazzpi']
+    let second = drawing.winners[0]
+    assert.equal(drawing.winners.length, 1)
+    assert(!t.bot.isAllowed('9', PLAYERS[first]), 'the no-show isn\'t allowed in the Steam chat anymore')
+    assert(t.bot.isAllowed('9', PLAYERS[second]))
+    assert.deepEqual(t.chat.whispered.filter(whisper => whisper.username === first).map(whisper => whisper.message),
+      [t.bot._msg('#jazzpi', 'noShowWhisper', {window: t.bot._duration('#jazzpi', 1000)})])
+    assert.equal(t.chat.said[t.chat.said.length - 1].message, t.bot._msg('#jazzpi', 'noShowReplaced',
+      {winner: first, newWinner: second, window: t.bot._duration('#jazzpi', 1000)}))
+    assert.deepEqual(Object.keys(drawing.checkIns), [second], 'the new winner has to check in, too')
+  })
+})
+
+test('check-in: winners who join the Steam chat in time stay winners', after => {
+  let t, winner
+  return drawWinner(after, {checkInWindow: 1}).then(started => {
+    t = started
+    winner = t.bot.drawings['#jazzpi'].winners[0]
+    t.steam.join('9', PLAYERS[winner])
+    assert.deepEqual(t.bot.drawings['#jazzpi'].checkIns, {})
+    return new Promise(resolve => setTimeout(resolve, 1200))
+  }).then(() => {
+    assert.deepEqual(t.bot.drawings['#jazzpi'].winners, [winner])
+    assert.deepEqual(t.steam.friends.kicked, [])
+  })
+})
+
+test('check-in: winners who are in the Steam chat already don\'t have to check in', after => {
+  // Steam moderators may stay in the chat before they win
+  let moderators = Object.keys(PLAYERS).map(name => PLAYERS[name])
+  return drawWinner(after, {checkInWindow: 1, steamModerators: moderators}, Object.keys(PLAYERS)).then(t => {
+    assert.deepEqual(t.steam.friends.kicked, [])
+    assert.deepEqual(t.bot.drawings['#jazzpi'].checkIns, {})
+  })
+})
+
+test('check-in: without a check-in window winners aren\'t rerolled', after => {
+  return drawWinner(after, {}).then(t => {
+    assert.deepEqual(t.bot.drawings['#jazzpi'].checkIns, {})
+  })
+})
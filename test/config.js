@@ -0,0 +1,192 @@
+'use strict'
+var assert = require('assert')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , test = require('./harness').test
+  , config = require('../config')
+  , assign = require('object-assign')
+
+var ConfigError = config.ConfigError
+  , MAIN_USER = '76561197960265800'
+  , files = 0
+
+/**
+ * The smallest valid configuration, with some settings added
+ * @param {Object} [settings] - Top-level settings to add or replace
+ * @return {Object}
+ */
+function minimal(settings) {
+  return assign({
+    steam: {account_name: 'lobbysimbot', password: 'hunter2'}
+  , irc: {username: 'lobbysimbot', password: 'oauth:abc'}
+  , db: {client: 'sqlite3', connection: {filename: 'lobbysim.sqlite'}}
+  }, settings)
+}
+
+/**
+ * The problems validating a configuration finds
+ * @param {Object} value - The configuration
+ * @param {Object.<string, string>} [env={}] - The environment variables
+ * @return {Array.<string>}
+ */
+function problems(value, env) {
+  try {
+    config.validate(value, env || {})
+    return []
+  } catch (err) {
+    assert(err instanceof ConfigError, err.stack)
+    return err.problems
+  }
+}
+
+/**
+ * Write a temporary file that is deleted after the test
+ * @param {Function} after - Adds a clean-up to the test
+ * @param {string} content - The content
+ * @return {string} - The path of the file
+ */
+function tempFile(after, content) {
+  let file = path.join(os.tmpdir(), `lobbysim-config-${process.pid}-${++files}`)
+  fs.writeFileSync(file, content)
+  after(() => fs.unlinkSync(file))
+  return file
+}
+
+test('config: settings that aren\'t set get their defaults', () => {
+  let result = config.validate(minimal(), {})
+  assert.equal(result.steam.sentryLocation, '.sentryfile')
+  assert.equal(result.inviteWinners, true)
+  assert.equal(result.banAfterKicks, 3)
+  assert.equal(result.kickWindow, 86400)
+  assert.equal(result.locale, 'en')
+  assert.deepEqual(result.channels, {})
+  assert.deepEqual(result.countdown, [1800, 900, 600, 300, 120, 60, 30, 10])
+  result.countdown.push(5)
+  assert.equal(config.validate(minimal(), {}).countdown.length, 8, 'defaults aren\'t shared between configurations')
+  assert.equal(config.validate(minimal({inviteWinners: false}), {}).inviteWinners, false)
+})
+
+test('config: every problem is reported at once', () => {
+  let err
+  try {
+    config.validate({
+      steam: {account_name: 42}
+    , db: {client: 'sqlite3'}
+    , subMultiplier: 0.5
+    , friendRequestTimeout: 1.5
+    , pollDuration: 2147484
+    , locale: 'xx'
+    , webhooks: [{url: 'https://example.com', format: 'xml'}]
+    , inviteWinner: false
+    }, {}, 'config.json')
+  } catch (e) {
+    err = e
+  }
+  assert(err instanceof ConfigError)
+  assert.equal(err.file, 'config.json')
+  assert.deepEqual(err.problems.slice().sort(), [
+    'friendRequestTimeout must be an integer'
+  , 'inviteWinner isn\'t a setting (did you mean inviteWinners?)'
+  , 'locale isn\'t a bundled locale (one of de, en, es)'
+  , 'pollDuration must be at most 2147483'
+  , 'steam.account_name must be a string'
+  , 'steam.password is required (or set LOBBYSIM_STEAM_PASSWORD)'
+  , 'subMultiplier must be at least 1'
+  , 'webhooks[0].format must be one of \'json\', \'discord\''
+  ])
+  assert(/^Invalid configuration in config\.json:\n  - /.test(err.message))
+})
+
+test('config: secrets are read from the environment and from files', after => {
+  let passwordFile = tempFile(after, 'from-file\n')
+  let tokenFile = tempFile(after, 'token-from-file')
+  let result = config.validate(minimal({
+    irc: {username: 'lobbysimbot', password: {env: 'IRC_PASSWORD'}}
+  , discord: {token: {file: tokenFile}}
+  }), {
+    LOBBYSIM_STEAM_PASSWORD_FILE: passwordFile
+  , IRC_PASSWORD: 'from-env'
+  })
+  assert.equal(result.steam.password, 'from-file')
+  assert.equal(result.irc.password, 'from-env')
+  assert.equal(result.discord.token, 'token-from-file')
+  let env = {LOBBYSIM_STEAM_PASSWORD: 'override', LOBBYSIM_STEAM_PASSWORD_FILE: passwordFile}
+  assert.equal(config.validate(minimal(), env).steam.password, 'override', 'the variable wins over the file')
+  assert.equal(config.validate(minimal({steam: {account_name: 'lobbysimbot'}}), env).steam.password, 'override')
+})
+
+test('config: secrets that can\'t be read are reported', () => {
+  assert.deepEqual(problems(minimal({irc: {username: 'lobbysimbot', password: {env: 'NOT_SET'}}})), [
+    'irc.password should be read from the environment variable NOT_SET, which isn\'t set'
+  ])
+  let missing = problems(minimal(), {LOBBYSIM_STEAM_PASSWORD_FILE: '/nonexistent/password'})
+  assert.equal(missing.length, 1)
+  assert(/^steam\.password couldn't be read from \/nonexistent\/password \(named in LOBBYSIM_STEAM_PASSWORD_FILE\)/.test(missing[0]))
+  assert.deepEqual(problems(minimal({irc: {username: 'lobbysimbot', password: {env: 'A', file: 'b'}}})), [
+    'irc.password must be a string, {"env": "<variable>"} or {"file": "<path>"}'
+  ])
+})
+
+test('config: channels are checked', () => {
+  let channel = settings => minimal({channels: {'#jazzpi': assign({chatID: '9', mainUser: MAIN_USER}, settings)}})
+  assert.deepEqual(problems(channel({})), [])
+  assert.deepEqual(problems(minimal({channels: {jazzpi: {chatID: '9', mainUser: MAIN_USER}}})), [
+    'channels must be named with a # in front (not jazzpi)'
+  ])
+  assert.deepEqual(problems(channel({mainUser: '123', checkInWindow: 0, teamFormat: '4x4', ratingMode: 'solo'})), [
+    'channels.#jazzpi.mainUser must be a SteamID64'
+  , 'channels.#jazzpi.teamFormat must be a team format like 4v4'
+  , 'channels.#jazzpi.checkInWindow must be at least 1'
+  , 'channels.#jazzpi.ratingMode must be one of \'1v1\', \'team\''
+  ])
+  assert.deepEqual(problems(channel({minRating: 2000, maxRating: 1000})), ['channels.#jazzpi.minRating is above its maxRating'])
+  assert.deepEqual(problems(channel({platform: 'discord'})), [
+    'channels.#jazzpi.discordChannel is required for channels on Discord'
+  , 'discord is required because #jazzpi is on Discord'
+  ])
+  let withoutIRC = minimal({channels: {'#jazzpi': {chatID: '9', mainUser: MAIN_USER}}})
+  delete withoutIRC.irc
+  assert.deepEqual(problems(withoutIRC), ['irc is required because #jazzpi is on Twitch'])
+})
+
+test('config: channels added while the bot runs are checked on their own', () => {
+  let settings = {chatID: '9', mainUser: MAIN_USER, kickWindow: 60}
+  assert.deepEqual(config.validateChannel('#jazzpi', settings), settings)
+  assert.notEqual(config.validateChannel('#jazzpi', settings), settings, 'the settings are copied')
+  assert.throws(() => config.validateChannel('jazzpi', settings), err =>
+    err instanceof ConfigError && err.problems[0] === 'jazzpi must be named with a # in front')
+  assert.throws(() => config.validateChannel('#jazzpi', {chatID: 'nine', mainUser: MAIN_USER, kickWindow: 60.5}), err =>
+    err instanceof ConfigError && err.file === '#jazzpi' && err.problems.length === 2)
+})
+
+test('config: channel settings from chat commands get the setting\'s type', () => {
+  assert.strictEqual(config.parseChannelSetting('checkInWindow', '120'), 120)
+  assert.strictEqual(config.parseChannelSetting('minRating', '-1.5'), -1.5)
+  assert.strictEqual(config.parseChannelSetting('checkInWindow', 'soon'), 'soon')
+  assert.strictEqual(config.parseChannelSetting('requireVerified', 'true'), true)
+  assert.strictEqual(config.parseChannelSetting('requireVerified', 'false'), false)
+  assert.deepEqual(config.parseChannelSetting('steamModerators', `${MAIN_USER},76561197960265801`),
+    [MAIN_USER, '76561197960265801'])
+  assert.deepEqual(config.parseChannelSetting('steamModerators', ''), [])
+  assert.deepEqual(config.parseChannelSetting('fairness', '{"pity": {"bonus": 2}}'), {pity: {bonus: 2}})
+  assert.strictEqual(config.parseChannelSetting('fairness', '{pity'), '{pity')
+  assert.strictEqual(config.parseChannelSetting('teamFormat', '5v5'), '5v5')
+  assert.strictEqual(config.parseChannelSetting('nothing', '5'), '5')
+})
+
+test('config: configuration files are read and validated', after => {
+  let valid = tempFile(after, JSON.stringify(minimal()))
+  assert.equal(config.load(valid, {}).steam.account_name, 'lobbysimbot')
+  assert.throws(() => config.load(tempFile(after, '{"steam": '), {}), err =>
+    err instanceof ConfigError && err.problems.length === 1)
+  assert.throws(() => config.load('/nonexistent/config.json', {}), err =>
+    err instanceof ConfigError && err.problems[0] === 'The file doesn\'t exist')
+})
+
+test('config: the configuration file is taken from the command line', () => {
+  assert.deepEqual(config.fromArgs(['--config', 'a.json', 'b']), {file: 'a.json', args: ['b']})
+  assert.deepEqual(config.fromArgs(['b', '--config=a.json']), {file: 'a.json', args: ['b']})
+  assert.deepEqual(config.fromArgs([]), {file: path.join(__dirname, '..', 'config.json'), args: []})
+  assert.throws(() => config.fromArgs(['--config']), ConfigError)
+})
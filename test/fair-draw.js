@@ -0,0 +1,111 @@
+'use strict'
+var assert = require('assert')
+  , childProcess = require('child_process')
+  , crypto = require('crypto')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , test = require('./harness').test
+  , fairDraw = require('../fair-draw')
+
+var SEED = 'a'.repeat(64)
+  , ENTRIES = ['alice', 'alice', 'bob', 'carol', 'carol', 'carol', 'dave']
+  , snapshotFiles = 0
+
+/**
+ * A valid snapshot of a drawing with two winners
+ * @return {FairDraw~Snapshot}
+ */
+function snapshot() {
+  return {
+    commitment: fairDraw.commit(SEED)
+  , seed: SEED
+  , entries: ENTRIES.slice()
+  , picks: fairDraw.draw(SEED, ENTRIES, 2)
+  }
+}
+
+/**
+ * Run verify-drawing.js on a snapshot
+ * @param {Function} after - Adds a clean-up to the test
+ * @param {?Object} snap - The snapshot to write to a file, or null to pass no file
+ * @return {Object} - The result of spawnSync
+ */
+function verifyDrawing(after, snap) {
+  let args = [path.join(__dirname, '..', 'verify-drawing.js')]
+  if (snap !== null) {
+    let file = path.join(os.tmpdir(), `lobbysim-snapshot-${process.pid}-${++snapshotFiles}.json`)
+    fs.writeFileSync(file, JSON.stringify(snap))
+    after(() => fs.unlinkSync(file))
+    args.push(file)
+  }
+  return childProcess.spawnSync(process.execPath, args, {encoding: 'utf8'})
+}
+
+test('fair-draw: seeds are random and commitments are their SHA-256 hashes', () => {
+  let seed = fairDraw.createSeed()
+  assert(/^[0-9a-f]{64}$/.test(seed))
+  assert.notEqual(fairDraw.createSeed(), seed)
+  assert.equal(fairDraw.commit(seed), crypto.createHash('sha256').update(seed).digest('hex'))
+})
+
+test('fair-draw: picked indexes are in range and every one is picked', () => {
+  let counts = [0, 0, 0]
+  for (let round = 0; round < 300; round++) {
+    let index = fairDraw.pickIndex(SEED, round, 3)
+    assert(index >= 0 && index < 3)
+    counts[index]++
+  }
+  counts.forEach(count => assert(count > 50, `${counts} isn't spread over every index`))
+})
+
+test('fair-draw: drawings are reproducible and pick every user once', () => {
+  let picks = fairDraw.draw(SEED, ENTRIES, 4)
+  assert.deepEqual(fairDraw.draw(SEED, ENTRIES, 4), picks)
+  assert.deepEqual(picks.slice().sort(), ['alice', 'bob', 'carol', 'dave'])
+  assert.equal(fairDraw.draw(SEED, ENTRIES, 10).length, 4, 'there are only four users to pick')
+  assert(['b', 'c', 'd'].some(c => fairDraw.draw(c.repeat(64), ENTRIES, 4).join() !== picks.join()),
+    'other seeds pick in another order')
+})
+
+test('fair-draw: pick removes every ticket of the winner', () => {
+  let entries = ENTRIES.slice()
+  let winner = fairDraw.pick(SEED, 0, entries)
+  assert.equal(entries.indexOf(winner), -1)
+  assert.equal(entries.length, ENTRIES.length - ENTRIES.filter(entry => entry === winner).length)
+  assert.equal(fairDraw.pick(SEED, 0, []), null)
+})
+
+test('fair-draw: verify accepts a valid snapshot and rejects a changed seed or changed picks', () => {
+  let result = fairDraw.verify(snapshot())
+  assert(result.valid && result.commitmentValid && result.picksValid)
+
+  let wrongSeed = snapshot()
+  wrongSeed.seed = 'b'.repeat(64)
+  result = fairDraw.verify(wrongSeed)
+  assert(!result.valid)
+  assert(!result.commitmentValid)
+
+  let wrongPicks = snapshot()
+  wrongPicks.picks.reverse()
+  result = fairDraw.verify(wrongPicks)
+  assert(!result.valid)
+  assert(result.commitmentValid)
+  assert(!result.picksValid)
+  assert.deepEqual(result.expected, snapshot().picks)
+})
+
+test('verify-drawing: exits with 0 for valid snapshots, 1 for invalid ones and 2 without one', after => {
+  let valid = verifyDrawing(after, snapshot())
+  assert.equal(valid.status, 0, valid.stderr)
+  assert(/The drawing is valid\./.test(valid.stdout))
+
+  let tampered = snapshot()
+  tampered.entries.push('mallory')
+  tampered.picks[0] = 'mallory'
+  let invalid = verifyDrawing(after, tampered)
+  assert.equal(invalid.status, 1)
+  assert(/The drawing is NOT valid!/.test(invalid.stdout))
+
+  assert.equal(verifyDrawing(after, null).status, 2)
+})
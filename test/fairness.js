@@ -0,0 +1,86 @@
+'use strict'
+var assert = require('assert')
+  , test = require('./harness').test
+  , fairness = require('../fairness')
+
+var HOUR = 60 * 60 * 1000
+  , NOW = 100 * HOUR
+
+/**
+ * A previous drawing in a user's history
+ * @param {number} id - ID of the drawing
+ * @param {string} result - 'won', 'lost' or 'skipped' (didn't enter)
+ * @param {number} [hoursAgo] - How long ago it was closed (defaults to id days ago)
+ * @return {Fairness~HistoryEntry}
+ */
+function drawing(id, result, hoursAgo) {
+  return {
+    id: id
+  , closedAt: NOW - (hoursAgo === undefined ? id * 24 : hoursAgo) * HOUR
+  , entered: result !== 'skipped'
+  , won: result === 'won'
+  }
+}
+
+test('fairness: rules get their defaults', () => {
+  assert.deepEqual(fairness.normalize(), {})
+  assert.deepEqual(fairness.normalize({cooldown: {drawings: 2}, pity: {}}), {
+    cooldown: {drawings: 2, hours: 0, tickets: 0}
+  , pity: {bonus: 1, max: 5}
+  })
+})
+
+test('fairness: the history needed covers the cooldown and the longest pity streak', () => {
+  assert.equal(fairness.historyLength(fairness.normalize({})), 0)
+  assert.equal(fairness.historyLength(fairness.normalize({cooldown: {drawings: 3}})), 3)
+  assert.equal(fairness.historyLength(fairness.normalize({pity: {bonus: 2, max: 5}})), 3)
+  assert.equal(fairness.historyLength(fairness.normalize({cooldown: {drawings: 8}, pity: {}})), 8)
+  assert.equal(fairness.historyLength(fairness.normalize({pity: {bonus: 0}})), 0)
+})
+
+test('fairness: without rules everyone gets their base tickets', () => {
+  let history = [drawing(1, 'won'), drawing(2, 'lost')]
+  assert.deepEqual(fairness.tickets(fairness.normalize({}), 2, history, NOW),
+    {tickets: 2, base: 2, streak: 0, bonus: 0, cooldown: null})
+})
+
+test('fairness: losing streaks give capped bonus tickets', () => {
+  let rules = fairness.normalize({pity: {bonus: 2, max: 5}})
+  let lost = n => {
+    let history = []
+    for (let id = 1; id <= n; id++) {
+      history.push(drawing(id, 'lost'))
+    }
+    return history
+  }
+  assert.equal(fairness.tickets(rules, 1, lost(1), NOW).tickets, 3)
+  assert.equal(fairness.tickets(rules, 1, lost(2), NOW).tickets, 5)
+  let capped = fairness.tickets(rules, 1, lost(4), NOW)
+  assert.equal(capped.streak, 4)
+  assert.equal(capped.bonus, 5)
+  assert.equal(capped.tickets, 6)
+})
+
+test('fairness: a win or a skipped drawing ends the streak', () => {
+  let rules = fairness.normalize({pity: {}})
+  assert.equal(fairness.tickets(rules, 1, [drawing(1, 'lost'), drawing(2, 'won'), drawing(3, 'lost')], NOW).streak, 1)
+  assert.equal(fairness.tickets(rules, 1, [drawing(1, 'skipped'), drawing(2, 'lost')], NOW).streak, 0)
+})
+
+test('fairness: winners of the last drawings are on cooldown', () => {
+  let rules = fairness.normalize({cooldown: {drawings: 2, tickets: 1}, pity: {}})
+  let onCooldown = fairness.tickets(rules, 3, [drawing(1, 'lost'), drawing(2, 'won')], NOW)
+  assert.equal(onCooldown.cooldown, 2)
+  assert.equal(onCooldown.tickets, 1, 'the bonus tickets are capped, too')
+  let over = fairness.tickets(rules, 3, [drawing(1, 'lost'), drawing(2, 'lost'), drawing(3, 'won')], NOW)
+  assert.equal(over.cooldown, null)
+  assert.equal(over.tickets, 5)
+})
+
+test('fairness: winners of drawings in the last hours are on cooldown', () => {
+  let rules = fairness.normalize({cooldown: {hours: 12}})
+  assert.equal(fairness.tickets(rules, 1, [drawing(1, 'lost', 1), drawing(2, 'won', 11)], NOW).tickets, 0)
+  let over = fairness.tickets(rules, 1, [drawing(1, 'lost', 1), drawing(2, 'won', 13)], NOW)
+  assert.equal(over.cooldown, null)
+  assert.equal(over.tickets, 1)
+})
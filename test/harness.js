@@ -0,0 +1,97 @@
+'use strict'
+/*
+ * A small test runner: test files add tests with test(), test/index.js runs
+ * them one after another.
+ */
+
+var tests = []
+
+/**
+ * Add a test
+ * @param {string} name - What the test shows
+ * @param {Function} fn - Runs the test. Called with a function that adds a clean-up (e.g. stopping a server), which
+ *   runs after the test whether it passed or not. Returns a Promise for tests that finish asynchronously.
+ */
+function test(name, fn) {
+  tests.push({name: name, fn: fn})
+}
+
+/**
+ * Retry an assertion until it passes, for things that happen asynchronously
+ * @param {Function} check - Throws while the expected state isn't reached
+ * @param {number} [timeout=2000] - How long to retry (in ms)
+ * @return {Promise}
+ */
+function eventually(check, timeout) {
+  let giveUpAt = (new Date()).getTime() + (timeout || 2000)
+  return new Promise((resolve, reject) => {
+    let attempt = () => {
+      try {
+        check()
+        resolve()
+      } catch (err) {
+        if ((new Date()).getTime() > giveUpAt) {
+          reject(err)
+        } else {
+          setTimeout(attempt, 10)
+        }
+      }
+    }
+    attempt()
+  })
+}
+
+/**
+ * Run a test and its clean-ups
+ * @param {Object} t - The test
+ * @param {number} timeout - How long the test may take (in ms)
+ * @return {Promise.<?Error>} - Why the test failed, or null if it passed
+ * @private
+ */
+function runTest(t, timeout) {
+  let cleanups = []
+  let timer
+  let failure = null
+  return Promise.race([
+    Promise.resolve().then(() => t.fn(cleanup => cleanups.push(cleanup)))
+  , new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout)
+    })
+  ]).catch(err => {
+    failure = err
+  }).then(() => {
+    clearTimeout(timer)
+    // The last clean-up added runs first, like the things it cleans up were set up
+    return cleanups.reverse().reduce((previous, cleanup) => previous.then(() => cleanup()).catch(err => {
+      failure = failure || err
+    }), Promise.resolve())
+  }).then(() => failure)
+}
+
+/**
+ * Run every test that was added
+ * @param {Object} [options]
+ * @param {number} [options.timeout=10000] - How long each test may take (in ms)
+ * @return {Promise.<number>} - How many tests failed
+ */
+function run(options) {
+  let timeout = options && options.timeout || 10000
+  let failed = 0
+  return tests.reduce((previous, t) => previous.then(() => runTest(t, timeout)).then(failure => {
+    if (failure === null) {
+      console.log(`ok - ${t.name}`)
+    } else {
+      failed++
+      console.log(`not ok - ${t.name}\n${failure.stack || failure}`)
+    }
+  }), Promise.resolve()).then(() => {
+    console.log(`${tests.length - failed}/${tests.length} tests passed`)
+    return failed
+  })
+}
+
+module.exports = {
+  test: test
+, eventually: eventually
+, run: run
+}
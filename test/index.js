@@ -0,0 +1,23 @@
+'use strict'
+/*
+ * Runs the tests in every file of this directory, or in the files named on
+ * the command line:
+ *
+ *     npm test
+ *     node test steam-id scenarios
+ */
+var fs = require('fs')
+  , path = require('path')
+  , harness = require('./harness')
+
+var only = process.argv.slice(2).map(name => name.replace(/\.js$/, ''))
+
+fs.readdirSync(__dirname)
+  .filter(file => /\.js$/.test(file) && file !== 'index.js' && file !== 'harness.js')
+  .filter(file => only.length === 0 || only.indexOf(file.replace(/\.js$/, '')) !== -1)
+  .sort()
+  .forEach(file => require(path.join(__dirname, file)))
+
+harness.run().then(failed => {
+  process.exitCode = failed === 0 ? 0 : 1
+})
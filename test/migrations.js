@@ -0,0 +1,118 @@
+'use strict'
+var assert = require('assert')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , test = require('./harness').test
+  , KnexStorage = require('../storage').KnexStorage
+  , initial = require('../migrations/001_initial')
+
+var MIGRATIONS = path.join(__dirname, '..', 'migrations')
+  , databases = 0
+
+/**
+ * Create a storage with an empty SQLite database that is deleted after the test
+ * @param {Function} after - Adds a clean-up to the test
+ * @return {KnexStorage}
+ */
+function createStorage(after) {
+  let file = path.join(os.tmpdir(), `lobbysim-test-${process.pid}-${++databases}.sqlite`)
+  let storage = new KnexStorage({client: 'sqlite3', connection: {filename: file}, useNullAsDefault: true})
+  after(() => storage.close().then(() => fs.unlinkSync(file)))
+  return storage
+}
+
+/**
+ * The columns of a table
+ * @param {KnexStorage} storage - The storage
+ * @param {string} table - Name of the table
+ * @return {Promise.<Array.<string>>}
+ */
+function columns(storage, table) {
+  return storage.db.raw(`PRAGMA table_info(${table})`).then(rows => rows.map(row => row.name))
+}
+
+test('migrations: a new database is migrated to the latest version', after => {
+  let storage = createStorage(after)
+  let latest = fs.readdirSync(MIGRATIONS).length
+  return storage.migrate().then(version => {
+    assert.equal(version, latest)
+    return storage.migrate()
+  }).then(version => {
+    assert.equal(version, latest, 'migrating again changes nothing')
+    return Promise.all([columns(storage, 'drawings'), columns(storage, 'users'), columns(storage, 'steam_blocks')])
+  }).then(tables => {
+    assert(tables[0].indexOf('commitment') !== -1)
+    assert(tables[1].indexOf('verifiedAt') !== -1)
+    assert(tables[2].indexOf('lastKickAt') !== -1)
+  })
+})
+
+test('migrations: the drawings of a database from before migrations are kept as a history', after => {
+  let storage = createStorage(after)
+  let db = storage.db
+  return initial.up(db, Promise).then(() => db.insert([
+    {username: 'alice', steamID: '1'}
+  , {username: 'bob', steamID: '2'}
+  , {username: 'carol', steamID: '3'}
+  ]).into('users')).then(() => db.insert([
+    {channel: '#closed', open: false, lastTime: 2000}
+  , {channel: '#open', open: true, lastTime: -1}
+  ]).into('drawings')).then(() => db.insert([
+    {draw_id: 1, username: 'alice'}
+  , {draw_id: 1, username: 'alice'}
+  , {draw_id: 1, username: 'bob'}
+  , {draw_id: 2, username: 'carol'}
+  ]).into('entries')).then(() => db.insert([
+    {time: 1000, channel: '#closed', user: 'carol'}
+  , {time: 2000, channel: '#closed', user: 'alice'}
+  , {time: 2000, channel: '#closed', user: 'bob'}
+  ]).into('winners')).then(() => storage.migrate()).then(() => Promise.all([
+    db.select('id', 'channel', 'open', 'closedAt').from('drawings').orderBy('id')
+  , db.select('draw_id', 'username', 'tickets').from('entries').orderBy('id')
+  , db.select('draw_id', 'username', 'position').from('winners').orderBy('id')
+  ])).then(rows => {
+    assert.deepEqual(rows[0].map(row => [row.channel, Boolean(row.open), row.closedAt]), [
+      ['#closed', false, 1000]
+    , ['#closed', false, 2000]
+    , ['#open', true, null]
+    ], 'every closing time becomes a drawing')
+    assert.deepEqual(rows[1], [
+      {draw_id: 2, username: 'alice', tickets: 2}
+    , {draw_id: 2, username: 'bob', tickets: 1}
+    , {draw_id: 3, username: 'carol', tickets: 1}
+    ], 'the tickets left over belong to the last closed drawing or the open one')
+    assert.deepEqual(rows[2], [
+      {draw_id: 1, username: 'carol', position: 0}
+    , {draw_id: 2, username: 'alice', position: 0}
+    , {draw_id: 2, username: 'bob', position: 1}
+    ])
+  })
+})
+
+test('migrations: the migrations after the rating profiles can be rolled back', after => {
+  let storage = createStorage(after)
+  let upToProfiles = path.join(os.tmpdir(), `lobbysim-migrations-${process.pid}`)
+  fs.mkdirSync(upToProfiles)
+  after(() => {
+    fs.readdirSync(upToProfiles).forEach(file => fs.unlinkSync(path.join(upToProfiles, file)))
+    fs.rmdirSync(upToProfiles)
+  })
+  // The drawing history and the rating profiles can't be undone
+  fs.readdirSync(MIGRATIONS).filter(file => /^00[1-5]_/.test(file)).forEach(file => {
+    fs.writeFileSync(path.join(upToProfiles, file), fs.readFileSync(path.join(MIGRATIONS, file)))
+  })
+  storage.migrations = {directory: upToProfiles}
+  return storage.migrate().then(version => {
+    assert.equal(version, 5)
+    storage.migrations = {directory: MIGRATIONS}
+    return storage.migrate()
+  }).then(() => storage.db.migrate.rollback(storage.migrations))
+    .then(() => storage.db.migrate.currentVersion(storage.migrations))
+    .then(version => {
+      assert.equal(version, '005')
+      return storage.migrate()
+    }).then(version => {
+      assert.equal(version, fs.readdirSync(MIGRATIONS).length)
+    })
+})
@@ -0,0 +1,115 @@
+'use strict'
+var assert = require('assert')
+  , http = require('http')
+  , WebSocket = require('ws')
+  , harness = require('./harness')
+  , bot = require('./support/bot')
+
+var test = harness.test
+  , eventually = harness.eventually
+
+/**
+ * Start a bot with the overlays on a free port
+ * @param {Function} after - Adds a clean-up to the test
+ * @return {Promise.<Object>} - The bot, its storage and its fake connections
+ */
+function startBot(after) {
+  return bot.startBot(after, {overlay: {port: 0}})
+}
+
+/**
+ * Get a page from the overlay server
+ * @param {LobbySim} lobbySim - The bot
+ * @param {string} path - The path
+ * @return {Promise.<Object>} - The `status` and the `body` of the response
+ */
+function get(lobbySim, path) {
+  return new Promise((resolve, reject) => {
+    http.get({host: '127.0.0.1', port: lobbySim.overlay.server.address().port, path: path}, res => {
+      let chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({status: res.statusCode, body: Buffer.concat(chunks).toString('utf8')}))
+    }).on('error', reject)
+  })
+}
+
+/**
+ * Connect to the WebSocket of the overlay server
+ * @param {Function} after - Adds a clean-up to the test
+ * @param {LobbySim} lobbySim - The bot
+ * @param {string} path - The path
+ * @return {Object} - The `socket`, the `messages` it got and whether it is `closed`
+ */
+function connect(after, lobbySim, path) {
+  let client = {
+    socket: new WebSocket(`ws://127.0.0.1:${lobbySim.overlay.server.address().port}${path}`)
+  , messages: []
+  , closed: false
+  }
+  client.socket.on('message', message => client.messages.push(JSON.parse(message)))
+  client.socket.on('close', () => {
+    client.closed = true
+  })
+  client.socket.on('error', () => {})
+  after(() => client.socket.close())
+  return client
+}
+
+test('overlay-server: a channel\'s overlay page is served', after => {
+  return startBot(after).then(t => Promise.all([
+    get(t.bot, '/overlay/jazzpi')
+  , get(t.bot, '/overlay/JazzPi/')
+  ])).then(responses => {
+    responses.forEach(res => {
+      assert.equal(res.status, 200)
+      assert(res.body.indexOf('"channel":"jazzpi"') !== -1)
+    })
+  })
+})
+
+test('overlay-server: paths that aren\'t overlays are not found', after => {
+  let t
+  return startBot(after).then(started => {
+    t = started
+    return Promise.all([
+      get(t.bot, '/overlay/nobody')
+    , get(t.bot, '/overlay/%E0%A4%A')
+    , get(t.bot, '/overlay/jazz%')
+    , get(t.bot, '/')
+    ])
+  }).then(responses => {
+    assert.deepEqual(responses.map(res => res.status), [404, 404, 404, 404])
+    return get(t.bot, '/overlay/jazzpi')
+  }).then(res => {
+    assert.equal(res.status, 200, 'the server still answers after a broken path')
+  })
+})
+
+test('overlay-server: overlays get the state of the drawing and its changes', after => {
+  let t, client
+  return startBot(after).then(started => {
+    t = started
+    client = connect(after, t.bot, '/ws/jazzpi')
+    return eventually(() => assert.equal(client.messages.length, 1))
+  }).then(() => {
+    assert.equal(client.messages[0].change.type, 'state')
+    assert.equal(client.messages[0].state.open, false)
+    t.chat.chat('#jazzpi', bot.mod(), '!draw open')
+    return eventually(() => assert.equal(client.messages.length, 2))
+  }).then(() => {
+    assert.equal(client.messages[1].change.type, 'opened')
+    assert.equal(client.messages[1].state.open, true)
+  })
+})
+
+test('overlay-server: WebSockets for unknown or broken channels are closed', after => {
+  return startBot(after).then(t => {
+    let clients = ['/ws/nobody', '/ws/%E0%A4%A'].map(path => connect(after, t.bot, path))
+    return eventually(() => clients.forEach(client => assert(client.closed))).then(() => {
+      clients.forEach(client => assert.deepEqual(client.messages, []))
+      return get(t.bot, '/overlay/jazzpi')
+    })
+  }).then(res => {
+    assert.equal(res.status, 200)
+  })
+})
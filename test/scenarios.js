@@ -0,0 +1,206 @@
+'use strict'
+/*
+ * Offline scenarios: the bot runs against the fakes and MemoryStorage, so
+ * these need neither Twitch, Steam, Discord nor a database.
+ *
+ *     node test scenarios
+ */
+var assert = require('assert')
+  , harness = require('./harness')
+  , bot = require('./support/bot')
+  , FakeDiscordGateway = require('../fakes/discord-gateway')
+  , assign = require('object-assign')
+
+var test = harness.test
+  , eventually = harness.eventually
+  , MAIN_USER = bot.MAIN_USER
+  , PLAYERS = bot.PLAYERS
+  , startServices = bot.startServices
+  , startBot = bot.startBot
+  , mod = bot.mod
+
+test('open, play, close, reroll and kick', after => {
+  let services, t
+  return startServices(after).then(started => {
+    services = started
+    return startBot(after, services.config)
+  }).then(started => {
+    t = started
+    let kicked = []
+    t.bot.on('user-kicked', e => kicked.push(e))
+    t.kicked = kicked
+
+    t.chat.chat('#jazzpi', mod(), '!draw open')
+    return eventually(() => assert(t.bot.drawings['#jazzpi'].open))
+  }).then(() => {
+    Object.keys(PLAYERS).forEach(name => t.chat.chat('#jazzpi', name, `!play ${PLAYERS[name]}`))
+    return eventually(() => assert.deepEqual(t.bot.drawings['#jazzpi'].entries.slice().sort(), Object.keys(PLAYERS)))
+  }).then(() => t.storage.getUser('carol')).then(carol => {
+    assert.equal(carol.steamID, PLAYERS.carol, 'profiles entered with !play are saved')
+
+    t.chat.chat('#jazzpi', mod(), '!draw close 2')
+    return eventually(() => assert.equal(t.bot.drawings['#jazzpi'].winners.length, 2))
+  }).then(() => {
+    let drawing = t.bot.drawings['#jazzpi']
+    assert(!drawing.open)
+    drawing.winners.forEach(winner => assert(t.bot.isAllowed('9', PLAYERS[winner]), `${winner} is allowed in the Steam chat`))
+
+    t.rerolled = drawing.winners[0]
+    t.chat.chat('#jazzpi', mod(), `!draw reroll ${t.rerolled}`)
+    return eventually(() => {
+      assert.equal(drawing.winners.length, 2)
+      assert.equal(drawing.winners.indexOf(t.rerolled), -1)
+    })
+  }).then(() => {
+    let drawing = t.bot.drawings['#jazzpi']
+    assert(!t.bot.isAllowed('9', PLAYERS[t.rerolled]), 'the rerolled winner is no longer allowed')
+
+    t.steam.join('9', PLAYERS[drawing.winners[1]])
+    t.steam.join('9', PLAYERS[t.rerolled])
+    return eventually(() => assert.equal(t.kicked.length, 1))
+  }).then(() => {
+    assert.equal(t.kicked[0].steamID, PLAYERS[t.rerolled])
+    assert.equal(t.kicked[0].reason, 'forbidden')
+    assert.deepEqual(t.steam.friends.kicked, [{chatID: '9', userID: PLAYERS[t.rerolled]}])
+  })
+})
+
+test('ratings from the rating provider limit who can enter', after => {
+  let services, t
+  return startServices(after).then(started => {
+    services = started
+    return startBot(after, services.config)
+  }).then(started => {
+    t = started
+    t.chat.chat('#jazzpi', mod(), '!draw open min=1100 max=1200')
+    return eventually(() => assert(t.bot.drawings['#jazzpi'].open))
+  }).then(() => {
+    Object.keys(PLAYERS).forEach(name => t.chat.chat('#jazzpi', name, `!play ${PLAYERS[name]}`))
+    return eventually(() => assert.equal(t.chat.whispered.length, 2))
+  }).then(() => {
+    // alice has 1000 and dave 1300
+    assert.deepEqual(t.bot.drawings['#jazzpi'].entries.slice().sort(), ['bob', 'carol'])
+    assert.deepEqual(t.chat.whispered.map(whisper => whisper.username).sort(), ['alice', 'dave'])
+    return t.storage.getRatings(['bob'], 'team')
+  }).then(stored => {
+    assert.equal(stored.bob, 1100, 'ratings from the provider are stored')
+  })
+})
+
+test('a private Steam profile can\'t enter', after => {
+  let services, t
+  return startServices(after).then(started => {
+    services = started
+    services.community.addProfile({steamID: '76561197960265809', privacyState: 'private'})
+    return startBot(after, services.config)
+  }).then(started => {
+    t = started
+    t.chat.chat('#jazzpi', mod(), '!draw open')
+    return eventually(() => assert(t.bot.drawings['#jazzpi'].open))
+  }).then(() => {
+    t.chat.chat('#jazzpi', 'eve', '!play 76561197960265809')
+    return eventually(() => assert.equal(t.chat.whispered.length, 1))
+  }).then(() => {
+    assert.equal(t.chat.whispered[0].username, 'eve')
+    assert.deepEqual(t.bot.drawings['#jazzpi'].entries, [])
+    return t.storage.getUser('eve')
+  }).then(eve => {
+    assert.equal(eve, null)
+  })
+})
+
+test('profile links with broken percent escapes get the invalid profile reply', after => {
+  let t
+  return startServices(after).then(services => startBot(after, services.config)).then(started => {
+    t = started
+    t.chat.chat('#jazzpi', mod(), '!draw open')
+    return eventually(() => assert(t.bot.drawings['#jazzpi'].open))
+  }).then(() => {
+    t.chat.chat('#jazzpi', 'eve', '!play steamcommunity.com/id/%ZZ')
+    t.steam.chatMessage('9', MAIN_USER, '!kick steamcommunity.com/id/%ZZ')
+    return eventually(() => {
+      assert.equal(t.chat.whispered.length, 1)
+      assert.equal(t.steam.friends.messages.length, 1)
+    })
+  }).then(() => {
+    let reply = t.bot._msg('#jazzpi', 'invalidProfile', {link: 'steamcommunity.com/id/%ZZ'})
+    assert.deepEqual(t.chat.whispered, [{username: 'eve', message: reply}])
+    assert.equal(t.steam.friends.messages[0].message, reply)
+    assert.deepEqual(t.steam.friends.kicked, [])
+  })
+})
+
+/**
+ * Start a bot with a channel #lobby in the Discord text channel c1
+ * @param {Function} after - Adds a clean-up to the test
+ * @param {FakeDiscordGateway} gateway - The Discord gateway to connect to
+ * @param {Object} [config] - Settings to add to the configuration
+ * @return {Promise.<Object>} - The bot, its storage and its fake connections, once it identified with the gateway
+ */
+function startDiscordBot(after, gateway, config) {
+  after(() => gateway.close())
+  return gateway.listen().then(base => startBot(after, assign({
+    discord: {
+      token: 'token'
+    , gatewayURL: `${base.replace('http', 'ws')}/gateway`
+    , apiURL: `${base}/api`
+    , moderatorRoles: ['mods']
+    }
+  , channels: {'#lobby': {platform: 'discord', discordChannel: 'c1', chatID: '9', mainUser: MAIN_USER}}
+  }, config))).then(t => eventually(() => assert.equal(gateway.identified.length, 1)).then(() => t))
+}
+
+test('a drawing in a Discord channel', after => {
+  let gateway = new FakeDiscordGateway()
+  let moderator = FakeDiscordGateway.user('1', 'Jazz')
+  let t
+  return startServices(after).then(services => startDiscordBot(after, gateway, services.config)).then(started => {
+    t = started
+    assert.equal(gateway.identified[0].intents, 1 << 9 | 1 << 12 | 1 << 15,
+      'the bot asks for guild messages, direct messages and their content')
+    assert.deepEqual(Object.keys(gateway.identified[0].properties), ['os', 'browser', 'device'])
+    gateway.message('c1', moderator, '!draw open', {roles: ['mods']})
+    return eventually(() => assert(t.bot.drawings['#lobby'].open))
+  }).then(() => {
+    gateway.message('c1', FakeDiscordGateway.user('2', 'alice'), `!play ${PLAYERS.alice}`)
+    gateway.message('c1', FakeDiscordGateway.user('3', 'bob'), `!play ${PLAYERS.bob}`)
+    return eventually(() => assert.equal(t.bot.drawings['#lobby'].entries.length, 2))
+  }).then(() => {
+    gateway.message('c1', moderator, '!draw close 1', {roles: ['mods']})
+    return eventually(() => assert.equal(t.bot.drawings['#lobby'].winners.length, 1))
+  }).then(() => {
+    assert(gateway.messagesTo('c1').length > 0, 'the bot posts to the Discord channel')
+    assert.deepEqual(t.chat.said, [], 'nothing is posted to Twitch')
+  })
+})
+
+test('Discord users with and without a tag get whispers as direct messages', after => {
+  let gateway = new FakeDiscordGateway()
+  let alice = FakeDiscordGateway.user('2', 'Alice')
+  let bob = FakeDiscordGateway.user('3', 'bob', '1234')
+  let t
+  return startDiscordBot(after, gateway, {channels: {
+    '#lobby': {platform: 'discord', discordChannel: 'c1', chatID: '9', mainUser: MAIN_USER}
+  , '#jazzpi': {chatID: '10', mainUser: MAIN_USER}
+  }}).then(started => {
+    t = started
+    gateway.message('c1', alice, '!play')
+    gateway.message('c1', bob, '!play')
+    t.chat.chat('#jazzpi', 'alice', '!play')
+    return eventually(() => {
+      assert.equal(gateway.messagesTo('dm-2').length, 1)
+      assert.equal(gateway.messagesTo('dm-3').length, 1)
+    })
+  }).then(() => {
+    let reply = t.bot._msg('#lobby', 'noOpenDrawing')
+    assert.deepEqual(gateway.messagesTo('dm-2'), [reply])
+    assert.deepEqual(gateway.messagesTo('dm-3'), [reply])
+    assert.deepEqual(t.chat.whispered.map(whisper => whisper.username), ['alice'],
+      'the Twitch user alice isn\'t mistaken for the Discord user alice')
+    gateway.message('c1', FakeDiscordGateway.user('1', 'Jazz'), '!draw open', {roles: ['mods']})
+    return eventually(() => assert(t.bot.drawings['#lobby'].open))
+  }).then(() => t.storage.saveUser('discord:alice', PLAYERS.alice)).then(() => {
+    gateway.message('c1', alice, '!play')
+    return eventually(() => assert.deepEqual(t.bot.drawings['#lobby'].entries, ['discord:alice']))
+  })
+})
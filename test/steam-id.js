@@ -0,0 +1,72 @@
+'use strict'
+var assert = require('assert')
+  , test = require('./harness').test
+  , steamID = require('../steam-id')
+
+var GABEN = '76561197960287930'
+  , GABEN_ACCOUNT = 22202
+
+test('steam-id: account IDs and SteamID64s convert both ways', () => {
+  assert.equal(steamID.fromAccountID(GABEN_ACCOUNT), GABEN)
+  assert.equal(steamID.toAccountID(GABEN), GABEN_ACCOUNT)
+  assert.equal(steamID.fromAccountID(0), '76561197960265728')
+  assert.equal(steamID.fromAccountID(0xFFFFFFFF), '76561202255233023')
+  assert.equal(steamID.toAccountID('76561202255233023'), 0xFFFFFFFF)
+  assert.equal(steamID.fromAccountID(-1), null)
+  assert.equal(steamID.fromAccountID(0x100000000), null)
+  assert.equal(steamID.fromAccountID(1.5), null)
+  assert.equal(steamID.toAccountID('76561197960265727'), null, 'below the first individual account')
+  assert.equal(steamID.toAccountID('7656119796028793'), null)
+})
+
+test('steam-id: SteamID64s are formatted as Steam2 and Steam3 IDs', () => {
+  assert.equal(steamID.toSteam2(GABEN), 'STEAM_0:0:11101')
+  assert.equal(steamID.toSteam3(GABEN), '[U:1:22202]')
+  assert.equal(steamID.toSteam2('123'), null)
+  assert.equal(steamID.toSteam3('123'), null)
+})
+
+test('steam-id: every SteamID format and profile link is parsed', () => {
+  [
+    GABEN
+  , ` ${GABEN} `
+  , 'STEAM_0:0:11101'
+  , 'steam_1:0:11101'
+  , '[U:1:22202]'
+  , 'U:1:22202'
+  , `steamcommunity.com/profiles/${GABEN}`
+  , `https://www.steamcommunity.com/profiles/${GABEN}/`
+  , `http://steamcommunity.com/profiles/${GABEN}?l=german`
+  , 'https://steamcommunity.com/profiles/%5BU:1:22202%5D'
+  ].forEach(input => assert.deepEqual(steamID.parse(input), {steamID: GABEN}, input))
+})
+
+test('steam-id: custom URLs and names are parsed as vanity names', () => {
+  assert.deepEqual(steamID.parse('gabelogannewell'), {vanity: 'gabelogannewell'})
+  assert.deepEqual(steamID.parse('https://steamcommunity.com/id/gabelogannewell/'), {vanity: 'gabelogannewell'})
+  assert.deepEqual(steamID.parse('steamcommunity.com/id/gabe%5Fnewell#top'), {vanity: 'gabe_newell'})
+})
+
+test('steam-id: input that isn\'t a Steam account is rejected', () => {
+  [
+    undefined
+  , ''
+  , 'a'
+  , 'not a name'
+  , 'STEAM_0:2:11101'
+  , 'STEAM_0:0:99999999999'
+  , '[U:1:4294967296]'
+  , `steamcommunity.com/profiles/gabelogannewell`
+  , `steamcommunity.com/groups/${GABEN}`
+  , 'https://example.com/id/gabelogannewell'
+  , 'steamcommunity.com/id/a%20b'
+  ].forEach(input => assert.equal(steamID.parse(input), null, input))
+})
+
+test('steam-id: links with broken percent escapes are rejected instead of throwing', () => {
+  [
+    'steamcommunity.com/id/%ZZ'
+  , 'https://steamcommunity.com/id/gabe%'
+  , 'https://steamcommunity.com/profiles/%E0%A4%A'
+  ].forEach(input => assert.equal(steamID.parse(input), null, input))
+})
@@ -0,0 +1,83 @@
+'use strict'
+/*
+ * Bots and services for the tests that run the whole bot against the fakes
+ */
+var LobbySim = require('../../index')
+  , MemoryStorage = require('../../storage').MemoryStorage
+  , FakeChatConnection = require('../../fakes/chat-connection')
+  , FakeSteamConnection = require('../../fakes/steam-connection')
+  , FakeSteamCommunity = require('../../fakes/steam-community')
+  , FakeRatingProvider = require('../../fakes/rating-provider')
+  , assign = require('object-assign')
+
+var MAIN_USER = '76561197960265800'
+  , PLAYERS = {
+    alice: '76561197960265801'
+  , bob: '76561197960265802'
+  , carol: '76561197960265803'
+  , dave: '76561197960265804'
+  }
+
+/**
+ * Start the Steam Community and rating provider fakes with a profile and a
+ * team rating for every player
+ * @param {Function} after - Adds a clean-up to the test
+ * @return {Promise.<Object>} - The fakes and the configuration that points to them
+ */
+function startServices(after) {
+  let community = new FakeSteamCommunity()
+  let ratings = new FakeRatingProvider()
+  Object.keys(PLAYERS).forEach((name, i) => {
+    community.addProfile({steamID: PLAYERS[name], name: name})
+    ratings.addRating(PLAYERS[name], 1000 + i * 100, 1000 + i * 100)
+  })
+  after(() => Promise.all([community.close(), ratings.close()]))
+  return Promise.all([community.listen(), ratings.listen()]).then(urls => ({
+    community: community
+  , ratings: ratings
+  , config: {
+      steamCommunityURL: urls[0]
+    , ratingProvider: {url: `${urls[1]}/ratings/{steamID}`}
+    }
+  }))
+}
+
+/**
+ * Start a bot, by default for a Twitch channel #jazzpi with the Steam chat 9
+ * @param {Function} after - Adds a clean-up to the test
+ * @param {Object} config - Settings to add to the configuration (e.g. other channels)
+ * @param {Storage} [storage] - The storage, e.g. of a bot that ran before (an empty MemoryStorage by default)
+ * @return {Promise.<Object>} - The bot, its storage and its fake connections
+ */
+function startBot(after, config, storage) {
+  let chat = new FakeChatConnection()
+  let steam = new FakeSteamConnection()
+  storage = storage || new MemoryStorage()
+  let bot = new LobbySim(assign({
+    irc: {}
+  , inviteWinners: false
+  , channels: {'#jazzpi': {chatID: '9', mainUser: MAIN_USER}}
+  }, config), {storage: storage, chatConnection: chat, steamConnection: steam})
+  after(() => bot.stop())
+  return bot.start().then(() => {
+    steam.relationships()
+    steam.enterChat('9', [MAIN_USER])
+    return {bot: bot, chat: chat, steam: steam, storage: storage}
+  })
+}
+
+/**
+ * A moderator of #jazzpi
+ * @return {Object}
+ */
+function mod() {
+  return FakeChatConnection.user('jazzpi', {'user-type': 'mod'})
+}
+
+module.exports = {
+  MAIN_USER: MAIN_USER
+, PLAYERS: PLAYERS
+, startServices: startServices
+, startBot: startBot
+, mod: mod
+}
@@ -0,0 +1,92 @@
+'use strict'
+var assert = require('assert')
+  , test = require('./harness').test
+  , teamBuilder = require('../team-builder')
+
+/**
+ * A random number generator that always returns the same numbers
+ * @param {number} seed - Where to start
+ * @return {Function} - Returns a number in [0, 1)
+ */
+function seeded(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647
+    return (seed - 1) / 2147483646
+  }
+}
+
+/**
+ * Players with ratings
+ * @param {Object.<string, ?number>} ratings - The rating of every player
+ * @return {Array.<TeamBuilder~Player>}
+ */
+function players(ratings) {
+  return Object.keys(ratings).map(name => ({name: name, rating: ratings[name]}))
+}
+
+/**
+ * The sizes of teams
+ * @param {Array.<TeamBuilder~Team>} teams - The teams
+ * @return {Array.<number>}
+ */
+function sizes(teams) {
+  return teams.map(team => team.players.length)
+}
+
+test('team-builder: formats are parsed into team sizes', () => {
+  assert.deepEqual(teamBuilder.parseFormat('4v4'), [4, 4])
+  assert.deepEqual(teamBuilder.parseFormat('2V2v2'), [2, 2, 2])
+  assert.deepEqual(teamBuilder.parseFormat('1v3'), [1, 3])
+  ;[undefined, '', '4', '4v', 'v4', '4x4', '0v1', 'four v four'].forEach(format => {
+    assert.equal(teamBuilder.parseFormat(format), null, format)
+  })
+})
+
+test('team-builder: teams are balanced by the sum of the ratings', () => {
+  let teams = teamBuilder.build(players({a: 1800, b: 1500, c: 1400, d: 1100}), [2, 2])
+  assert.deepEqual(teams.map(team => team.rating), [2900, 2900])
+  assert.deepEqual(teams.map(team => team.players.slice().sort()), [['a', 'd'], ['b', 'c']])
+})
+
+test('team-builder: swapping players evens out teams that greedy placing doesn\'t', () => {
+  // Placing the strongest first ends at 7 against 5
+  let teams = teamBuilder.build(players({a: 3, b: 3, c: 2, d: 2, e: 2}), [3, 3])
+  assert.deepEqual(teams.map(team => team.rating), [6, 6])
+})
+
+test('team-builder: players without a rating count as the average', () => {
+  // c counts as 1533, so only c and b together are about as strong as a and d
+  let teams = teamBuilder.build(players({a: 2000, b: 1600, c: null, d: 1000}), [2, 2])
+  assert.deepEqual(teams.map(team => team.players.slice().sort()), [['a', 'd'], ['b', 'c']])
+  assert.deepEqual(teams.map(team => team.rating), [3000, 3133])
+})
+
+test('team-builder: without ratings the teams are random but even', () => {
+  let names = ['a', 'b', 'c', 'd', 'e']
+  let teams = teamBuilder.build(players({a: null, b: null, c: null, d: null, e: null}), [3, 3],
+    {random: seeded(1)})
+  assert.deepEqual(sizes(teams).sort(), [2, 3])
+  assert.deepEqual(teams.reduce((all, team) => all.concat(team.players), []).sort(), names)
+  teams.forEach(team => assert.equal(team.rating, null))
+  let other = teamBuilder.build(players({a: null, b: null, c: null, d: null, e: null}), [3, 3],
+    {random: seeded(7)})
+  assert.notDeepEqual(other, teams, 'another random number generator deals differently')
+})
+
+test('team-builder: shuffled teams differ but stay balanced', () => {
+  let ratings = {a: 1600, b: 1600, c: 1400, d: 1400, e: 1200, f: 1200, g: 1000, h: 1000}
+  let results = [1, 2, 3, 4, 5].map(seed => teamBuilder.build(players(ratings), [4, 4], {shuffle: true, random: seeded(seed)}))
+  results.forEach(teams => assert.deepEqual(teams.map(team => team.rating), [5200, 5200]))
+  let splits = results.map(teams => teams.map(team => team.players.slice().sort().join()).sort().join('|'))
+  assert(splits.some(split => split !== splits[0]), 'shuffling finds other splits')
+})
+
+test('team-builder: unequal formats are filled to their sizes', () => {
+  let teams = teamBuilder.build(players({a: 1000, b: 1000, c: 1000, d: 3000}), [1, 3])
+  assert.deepEqual(sizes(teams), [1, 3])
+  assert.deepEqual(teams[0].players, ['d'])
+})
+
+test('team-builder: more players than places are rejected', () => {
+  assert.throws(() => teamBuilder.build(players({a: 1, b: 2, c: 3}), [1, 1]), /3 players don't fit into teams of 1v1/)
+})
@@ -0,0 +1,172 @@
+'use strict'
+var assert = require('assert')
+  , http = require('http')
+  , crypto = require('crypto')
+  , EventEmitter = require('events')
+  , test = require('./harness').test
+  , Webhooks = require('../webhooks')
+  , Templates = require('../templates')
+
+/**
+ * Start an HTTP server that records the requests to it
+ * @param {Function} after - Adds a clean-up to the test
+ * @param {Array.<number>} [statusCodes=[]] - The status codes to answer with, one per request. Later requests get 204.
+ * @return {Promise.<Object>} - The `url` of the server and the `requests` it got
+ */
+function startReceiver(after, statusCodes) {
+  let receiver = {requests: []}
+  statusCodes = (statusCodes || []).slice()
+  let server = http.createServer((req, res) => {
+    let chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      receiver.requests.push({headers: req.headers, body: Buffer.concat(chunks).toString('utf8')})
+      let status = statusCodes.length !== 0 ? statusCodes.shift() : 204
+      res.writeHead(status, status === 429 ? {'Retry-After': '0'} : {})
+      res.end()
+    })
+  })
+  after(() => new Promise(resolve => server.close(() => resolve())))
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${server.address().port}/hook`
+    resolve(receiver)
+  }))
+}
+
+/**
+ * Send the events of a bot stand-in to webhooks
+ * @param {Function} after - Adds a clean-up to the test
+ * @param {Array.<Webhooks~Hook>} hooks - The hooks
+ * @return {Webhooks}
+ */
+function createWebhooks(after, hooks) {
+  let lobbySim = new EventEmitter()
+  lobbySim.templates = new Templates()
+  lobbySim.channelTemplates = {'#jazzpi': new Templates('de')}
+  let webhooks = new Webhooks(lobbySim, hooks)
+  after(() => webhooks.close())
+  return webhooks
+}
+
+/**
+ * Collect what is written to console.error until the end of the test
+ * @param {Function} after - Adds a clean-up to the test
+ * @return {Array.<string>} - The errors
+ */
+function captureErrors(after) {
+  let errors = []
+  let consoleError = console.error
+  console.error = message => errors.push(message)
+  after(() => {
+    console.error = consoleError
+  })
+  return errors
+}
+
+test('webhooks: events are sent as JSON with a signature', after => {
+  let receiver
+  return startReceiver(after).then(started => {
+    receiver = started
+    let webhooks = createWebhooks(after, [{url: receiver.url, secret: 's3cret'}])
+    webhooks.lobbySim.emit('drawing-opened', {channel: '#jazzpi', drawingID: 1})
+    return webhooks.send('drawing-closed', {channel: '#jazzpi', drawingID: 1, winners: []})
+  }).then(() => {
+    assert.equal(receiver.requests.length, 2)
+    let req = receiver.requests[0]
+    let body = JSON.parse(req.body)
+    assert.equal(body.event, 'drawing-opened')
+    assert.deepEqual(body.data, {channel: '#jazzpi', drawingID: 1})
+    assert.equal(req.headers['content-type'], 'application/json')
+    assert.equal(req.headers['x-lobbysim-event'], 'drawing-opened')
+    assert.equal(req.headers['x-lobbysim-delivery'], body.id)
+    let expected = crypto.createHmac('sha256', 's3cret')
+      .update(`${req.headers['x-lobbysim-timestamp']}.${req.body}`).digest('hex')
+    assert.equal(req.headers['x-lobbysim-signature'], `sha256=${expected}`)
+    assert.equal(JSON.parse(receiver.requests[1].body).event, 'drawing-closed', 'events arrive in order')
+  })
+})
+
+test('webhooks: hooks without a secret aren\'t signed and only get their events', after => {
+  let receiver
+  return startReceiver(after).then(started => {
+    receiver = started
+    let webhooks = createWebhooks(after, [{url: receiver.url, events: ['entry-added']}])
+    return Promise.all([
+      webhooks.send('drawing-opened', {channel: '#jazzpi'})
+    , webhooks.send('entry-added', {channel: '#jazzpi', username: 'alice'})
+    ])
+  }).then(() => {
+    assert.equal(receiver.requests.length, 1)
+    assert.equal(receiver.requests[0].headers['x-lobbysim-event'], 'entry-added')
+    assert.equal(receiver.requests[0].headers['x-lobbysim-signature'], undefined)
+  })
+})
+
+test('webhooks: hooks for unknown events are rejected', after => {
+  assert.throws(() => createWebhooks(after, [{url: 'http://127.0.0.1/', events: ['entry-added', 'nothing']}]),
+    /unknown events: nothing/)
+})
+
+test('webhooks: the discord format sends the event as a message in the channel\'s language', after => {
+  let receiver
+  return startReceiver(after).then(started => {
+    receiver = started
+    let webhooks = createWebhooks(after, [{url: receiver.url, format: 'discord'}])
+    return webhooks.send('entry-added', {channel: '#jazzpi', username: 'alice', drawingID: 3, tickets: 2})
+  }).then(() => {
+    let expected = new Templates('de').format('hookEntryAdded',
+      {channel: '#jazzpi', username: 'alice', drawingID: 3, tickets: 2})
+    assert.deepEqual(JSON.parse(receiver.requests[0].body), {content: expected})
+  })
+})
+
+test('webhooks: failed deliveries are retried with the same delivery ID', after => {
+  let receiver
+  return startReceiver(after, [500, 429, 503]).then(started => {
+    receiver = started
+    let webhooks = createWebhooks(after, [{url: receiver.url, retries: 3, retryDelay: 10}])
+    return webhooks.send('winner-picked', {channel: '#jazzpi', username: 'bob'})
+  }).then(() => {
+    assert.equal(receiver.requests.length, 4)
+    let ids = receiver.requests.map(req => req.headers['x-lobbysim-delivery'])
+    assert(ids.every(id => id === ids[0]))
+  })
+})
+
+test('webhooks: deliveries give up after the last retry and on errors that won\'t go away', after => {
+  let errors = captureErrors(after)
+  let receiver
+  return startReceiver(after, [500, 500, 500, 404]).then(started => {
+    receiver = started
+    let webhooks = createWebhooks(after, [{url: receiver.url, retries: 2, retryDelay: 10}])
+    return webhooks.send('user-kicked', {channel: '#jazzpi'})
+      .then(() => webhooks.send('user-kicked', {channel: '#jazzpi'}))
+  }).then(() => {
+    assert.equal(receiver.requests.length, 4, 'three tries for the first event, one for the second')
+    assert.equal(errors.length, 2)
+    assert(/status code 500/.test(errors[0]))
+    assert(/status code 404/.test(errors[1]))
+  })
+})
+
+test('webhooks: unreachable URLs are reported and the other hooks still get the event', after => {
+  let errors = captureErrors(after)
+  let receiver
+  return startReceiver(after).then(started => {
+    receiver = started
+    return new Promise(resolve => {
+      let server = http.createServer()
+      server.listen(0, '127.0.0.1', () => {
+        let url = `http://127.0.0.1:${server.address().port}/`
+        server.close(() => resolve(url))
+      })
+    })
+  }).then(closedURL => {
+    let webhooks = createWebhooks(after, [{url: closedURL, retries: 1, retryDelay: 10}, {url: receiver.url}])
+    return webhooks.send('connection-state', {service: 'steam', client: null, state: 'connected'})
+  }).then(() => {
+    assert.equal(errors.length, 1)
+    assert(/Error while trying to reach/.test(errors[0]))
+    assert.equal(receiver.requests.length, 1, 'the other hooks get the event anyway')
+  })
+})
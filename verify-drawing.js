@@ -0,0 +1,25 @@
+'use strict'
+var fs = require('fs')
+  , fairDraw = require('./fair-draw')
+
+/*
+ * Verify a published drawing snapshot:
+ *   node verify-drawing.js <snapshot.json>
+ */
+
+if (process.argv.length < 3) {
+  console.error('Usage: node verify-drawing.js <snapshot.json>')
+  process.exit(2)
+}
+
+var snapshot = JSON.parse(fs.readFileSync(process.argv[2], 'utf8'))
+var result = fairDraw.verify(snapshot)
+
+console.log(`Commitment: ${snapshot.commitment}`)
+console.log(`Seed:       ${snapshot.seed}`)
+console.log(`Tickets:    ${snapshot.entries.length}`)
+console.log(`Commitment ${result.commitmentValid ? 'matches' : 'does NOT match'} the seed`)
+console.log(`Published picks: ${snapshot.picks.join(', ')}`)
+console.log(`Computed picks:  ${result.expected.join(', ')}`)
+console.log(result.valid ? 'The drawing is valid.' : 'The drawing is NOT valid!')
+process.exit(result.valid ? 0 : 1)
@@ -0,0 +1,218 @@
+'use strict'
+var request = require('request')
+  , crypto = require('crypto')
+  , debug = require('debug')('lobbysim:webhooks')
+  , assign = require('object-assign')
+
+/**
+ * A URL that the events of the bot are POSTed to
+ * @typedef {Object} Webhooks~Hook
+ * @property {string} url - Where to send the events
+ * @property {string} [secret] - Sign every request with this secret
+ * @property {Array.<string>} [events] - Only send these events (defaults to all of them)
+ * @property {string} [format='json'] - 'json' to send the event and its payload, or 'discord' to send a chat message to a Discord webhook
+ * @property {number} [retries=3] - How often to retry when the URL didn't respond or answered with an error
+ * @property {number} [retryDelay=1000] - How long to wait before the first retry (in ms). Doubled for every further retry.
+ * @property {number} [timeout=5000] - How long to wait for a response (in ms)
+ */
+
+/**
+ * An error while delivering an event
+ * @property {string} code - 'unavailable' if it may work when retried, 'rejected' if it won't
+ * @property {number} [statusCode] - The status code the URL answered with
+ * @property {number} [retryAfter] - How long the URL asked to wait before retrying (in ms)
+ */
+class WebhookError extends Error {
+  /**
+   * Create a webhook error
+   * @param {string} code - What went wrong
+   * @param {string} message - A description of the error
+   * @param {number} [statusCode] - The status code of the response
+   */
+  constructor(code, message, statusCode) {
+    super(message)
+    this.name = 'WebhookError'
+    this.code = code
+    this.statusCode = statusCode
+    this.retryAfter = null
+  }
+}
+
+// Every event of LobbySim that is sent to the webhooks
+var EVENTS = [
+  'drawing-opened'
+, 'drawing-closed'
+, 'entry-added'
+, 'entry-removed'
+, 'winner-picked'
+, 'winner-rerolled'
+, 'user-kicked'
+, 'connection-state'
+]
+
+// The message templates for the 'discord' format, by event
+var MESSAGES = {
+  'drawing-opened': 'hookDrawingOpened'
+, 'drawing-closed': 'hookDrawingClosed'
+, 'entry-added': 'hookEntryAdded'
+, 'entry-removed': 'hookEntryRemoved'
+, 'winner-picked': 'hookWinnerPicked'
+, 'winner-rerolled': 'hookWinnerRerolled'
+, 'user-kicked': 'hookUserKicked'
+, 'connection-state': 'hookConnectionState'
+}
+
+/**
+ * Sends the events of a LobbySim to webhooks as JSON.
+ *
+ * Every request carries the headers X-LobbySim-Event, X-LobbySim-Delivery
+ * and X-LobbySim-Timestamp. If the hook has a secret, X-LobbySim-Signature is
+ * 'sha256=' followed by the hex HMAC-SHA256 of '<timestamp>.<body>' keyed with
+ * the secret. The events of a hook are delivered one after another, in order.
+ */
+class Webhooks {
+  /**
+   * Start sending the events of a bot to webhooks
+   * @param {LobbySim} lobbySim - The bot whose events to send
+   * @param {Array.<Webhooks~Hook>} hooks - Where to send them
+   */
+  constructor(lobbySim, hooks) {
+    this.lobbySim = lobbySim
+    this.hooks = hooks.map(hook => {
+      let unknown = (hook.events || []).filter(event => EVENTS.indexOf(event) === -1)
+      if (unknown.length !== 0) {
+        throw new Error(`The webhook for ${hook.url} subscribes to unknown events: ${unknown.join(', ')}`)
+      }
+      return assign({
+        events: EVENTS
+      , format: 'json'
+      , retries: 3
+      , retryDelay: 1000
+      , timeout: 5000
+      }, hook, {queue: Promise.resolve()})
+    })
+    this.listeners = {}
+    EVENTS.forEach(event => {
+      this.listeners[event] = payload => this.send(event, payload)
+      lobbySim.on(event, this.listeners[event])
+    })
+  }
+
+  /** Stop sending events. Deliveries that already started are finished. */
+  close() {
+    EVENTS.forEach(event => this.lobbySim.removeListener(event, this.listeners[event]))
+  }
+
+  /**
+   * Send an event to every hook that subscribed to it
+   * @param {string} event - Name of the event
+   * @param {Object} payload - The payload of the event
+   * @return {Promise} - Resolves once every hook got the event or gave up. Never rejects.
+   */
+  send(event, payload) {
+    let id = crypto.randomBytes(16).toString('hex')
+    return Promise.all(this.hooks.filter(hook => hook.events.indexOf(event) !== -1).map(hook => {
+      let body = JSON.stringify(hook.format === 'discord' ?
+        {content: this._message(event, payload)} :
+        {event: event, id: id, data: payload})
+      hook.queue = hook.queue
+        .then(() => this._deliver(hook, event, id, body, hook.retries))
+        .catch(err => {
+          console.error(`Couldn't send ${event} to the webhook at ${hook.url}: ${err.message}`)
+        })
+      return hook.queue
+    }))
+  }
+
+  /**
+   * Render an event as a chat message in the language of its channel
+   * @param {string} event - Name of the event
+   * @param {Object} payload - The payload of the event
+   * @return {string}
+   * @private
+   */
+  _message(event, payload) {
+    let templates = this.lobbySim.channelTemplates[payload.channel] || this.lobbySim.templates
+    let params = assign({}, payload)
+    if (Array.isArray(payload.winners)) {
+      params.winners = payload.winners.join(', ') || '-'
+    }
+    if (event === 'connection-state' && payload.client !== null) {
+      params.service = `${payload.service} ${payload.client}`
+    }
+    return templates.format(MESSAGES[event], params)
+  }
+
+  /**
+   * Deliver an event to a hook, retrying if that didn't work
+   * @param {Webhooks~Hook} hook - The hook
+   * @param {string} event - Name of the event
+   * @param {string} id - ID of the delivery
+   * @param {string} body - The JSON body
+   * @param {number} retries - How often to retry
+   * @return {Promise} - Rejects with a WebhookError if the event couldn't be delivered
+   * @private
+   */
+  _deliver(hook, event, id, body, retries) {
+    return this._deliverOnce(hook, event, id, body).catch(err => {
+      if (err.code !== 'unavailable' || retries <= 0) {
+        throw err
+      }
+      let delay = err.retryAfter !== null ? err.retryAfter :
+        hook.retryDelay * Math.pow(2, hook.retries - retries)
+      debug(`Retrying ${event} for ${hook.url} in ${delay}ms (${retries} retries left): ${err.message}`)
+      return new Promise(resolve => setTimeout(resolve, delay))
+        .then(() => this._deliver(hook, event, id, body, retries - 1))
+    })
+  }
+
+  /**
+   * Deliver an event to a hook once
+   * @param {Webhooks~Hook} hook - The hook
+   * @param {string} event - Name of the event
+   * @param {string} id - ID of the delivery
+   * @param {string} body - The JSON body
+   * @return {Promise}
+   * @private
+   */
+  _deliverOnce(hook, event, id, body) {
+    let timestamp = String(Math.floor((new Date).getTime() / 1000))
+    let headers = {
+      'Content-Type': 'application/json'
+    , 'X-LobbySim-Event': event
+    , 'X-LobbySim-Delivery': id
+    , 'X-LobbySim-Timestamp': timestamp
+    }
+    if (hook.secret) {
+      headers['X-LobbySim-Signature'] = 'sha256=' +
+        crypto.createHmac('sha256', hook.secret).update(`${timestamp}.${body}`).digest('hex')
+    }
+    return new Promise((resolve, reject) => {
+      request({method: 'POST', url: hook.url, headers: headers, body: body, timeout: hook.timeout},
+        (error, response) => {
+          if (error) {
+            reject(new WebhookError('unavailable', `Error while trying to reach ${hook.url}: ${error}`))
+            return
+          }
+          let status = response.statusCode
+          if (status >= 200 && status < 300) {
+            debug(`Sent ${event} to ${hook.url}`)
+            resolve()
+            return
+          }
+          let err = new WebhookError(status === 429 || status >= 500 ? 'unavailable' : 'rejected',
+            `${hook.url} answered with status code ${status}`, status)
+          let retryAfter = parseFloat(response.headers['retry-after'])
+          if (status === 429 && retryAfter >= 0) {
+            err.retryAfter = retryAfter * 1000
+          }
+          reject(err)
+        })
+    })
+  }
+}
+
+Webhooks.WebhookError = WebhookError
+Webhooks.EVENTS = EVENTS
+
+module.exports = Webhooks